@@ -0,0 +1,164 @@
+import React from 'react';
+
+// 轻量 SVG 时间序列图：折线/柱状序列、可选置信带、左右双纵轴，缺失值 (null) 处断开
+const WIDTH = 900;
+const PADDING = { top: 20, right: 60, bottom: 40, left: 60 };
+
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const rawStep = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+  const start = Math.floor(min / step) * step;
+  const ticks = [];
+  for (let value = start; value <= max + step * 0.5; value += step) {
+    ticks.push(Number(value.toFixed(10)));
+  }
+  return ticks;
+}
+
+function isValue(value) {
+  return value !== null && value !== undefined && !isNaN(value);
+}
+
+// 含柱状序列的纵轴从 0 起，柱高才有意义
+function computeScale(values, height, includeZero) {
+  const valid = values.filter(isValue);
+  if (valid.length === 0) return null;
+  if (includeZero) valid.push(0);
+  const ticks = niceTicks(Math.min(...valid), Math.max(...valid));
+  const min = ticks[0];
+  const max = ticks[ticks.length - 1];
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  return {
+    ticks,
+    y: value => PADDING.top + plotHeight - ((value - min) / (max - min || 1)) * plotHeight
+  };
+}
+
+function formatTick(value) {
+  return Math.abs(value) >= 10000 ? `${(value / 1000).toFixed(0)}k` : String(Math.round(value * 100) / 100);
+}
+
+// 折线按 null 断成多段
+function linePath(values, x, y) {
+  let path = '';
+  let drawing = false;
+  values.forEach((value, i) => {
+    if (!isValue(value)) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(value).toFixed(1)}`;
+    drawing = true;
+  });
+  return path;
+}
+
+function bandPath(lower, upper, x, y) {
+  const points = lower.map((value, i) => (isValue(value) && isValue(upper[i]) ? i : null)).filter(i => i !== null);
+  if (points.length === 0) return '';
+  const top = points.map(i => `${x(i).toFixed(1)},${y(upper[i]).toFixed(1)}`);
+  const bottom = [...points].reverse().map(i => `${x(i).toFixed(1)},${y(lower[i]).toFixed(1)}`);
+  return `M${top.join('L')}L${bottom.join('L')}Z`;
+}
+
+export default function TimeSeriesChart({ labels, series, bands = [], height = 320, leftLabel, rightLabel }) {
+  if (!labels || labels.length === 0) {
+    return <div style={{ padding: '20px', color: '#7f8c8d', fontSize: '13px' }}>暂无数据</div>;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const slot = plotWidth / labels.length;
+  const x = i => PADDING.left + slot * (i + 0.5);
+
+  const leftValues = [
+    ...series.filter(s => s.axis !== 'right').flatMap(s => s.values),
+    ...bands.flatMap(b => [...b.lower, ...b.upper])
+  ];
+  const rightValues = series.filter(s => s.axis === 'right').flatMap(s => s.values);
+  const hasBars = axis => series.some(s => s.type === 'bar' && (s.axis === 'right') === (axis === 'right'));
+  const leftScale = computeScale(leftValues, height, hasBars('left'));
+  const rightScale = rightValues.length > 0 ? computeScale(rightValues, height, hasBars('right')) : null;
+  const scaleFor = s => (s.axis === 'right' ? rightScale : leftScale);
+
+  const labelStep = Math.max(1, Math.ceil(labels.length / 8));
+  const baseline = height - PADDING.bottom;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+        {leftScale && leftScale.ticks.map(tick => (
+          <g key={`l${tick}`}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={leftScale.y(tick)} y2={leftScale.y(tick)} stroke="#ecf0f1" />
+            <text x={PADDING.left - 6} y={leftScale.y(tick) + 4} fontSize="11" textAnchor="end" fill="#7f8c8d">{formatTick(tick)}</text>
+          </g>
+        ))}
+        {rightScale && rightScale.ticks.map(tick => (
+          <text key={`r${tick}`} x={WIDTH - PADDING.right + 6} y={rightScale.y(tick) + 4} fontSize="11" fill="#7f8c8d">{formatTick(tick)}</text>
+        ))}
+        {leftLabel && <text x={12} y={PADDING.top - 6} fontSize="11" fill="#7f8c8d">{leftLabel}</text>}
+        {rightLabel && rightScale && <text x={WIDTH - 12} y={PADDING.top - 6} fontSize="11" textAnchor="end" fill="#7f8c8d">{rightLabel}</text>}
+
+        {leftScale && bands.map(band => (
+          <path key={band.label} d={bandPath(band.lower, band.upper, x, leftScale.y)} fill={band.color} opacity={band.opacity || 0.2} />
+        ))}
+
+        {series.filter(s => s.type === 'bar' && scaleFor(s)).map(s => {
+          const y = scaleFor(s).y;
+          const zero = y(0);
+          return (
+            <g key={s.label}>
+              {s.values.map((value, i) => isValue(value) && (
+                <rect
+                  key={i}
+                  x={x(i) - slot * 0.35}
+                  width={slot * 0.7}
+                  y={Math.min(y(value), zero)}
+                  height={Math.abs(zero - y(value))}
+                  fill={s.color}
+                  opacity={0.5}
+                />
+              ))}
+            </g>
+          );
+        })}
+
+        {series.filter(s => s.type !== 'bar' && scaleFor(s)).map(s => (
+          <path
+            key={s.label}
+            d={linePath(s.values, x, scaleFor(s).y)}
+            fill="none"
+            stroke={s.color}
+            strokeWidth={s.width || 1.5}
+            strokeDasharray={s.dashed ? '4 3' : undefined}
+          />
+        ))}
+
+        <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={baseline} y2={baseline} stroke="#bdc3c7" />
+        {labels.map((label, i) => i % labelStep === 0 && (
+          <text key={i} x={x(i)} y={baseline + 16} fontSize="10" textAnchor="middle" fill="#7f8c8d">{label}</text>
+        ))}
+      </svg>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', fontSize: '12px', color: '#2c3e50', marginTop: '5px' }}>
+        {[...series, ...bands].map(item => (
+          <span key={item.label} style={{ display: 'flex', alignItems: 'center' }}>
+            <span style={{
+              display: 'inline-block',
+              width: '14px',
+              height: item.lower || item.type === 'bar' ? '10px' : '3px',
+              backgroundColor: item.color,
+              opacity: item.lower ? 0.3 : 1,
+              marginRight: '5px'
+            }} />
+            {item.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+// 分段报价曲线：每个时段输出单调递增的 价格-出力 分段，并按市场规则校验
+const { INTERVAL_MS, toMarketDateKey, getMarketParts, formatMarketTimestamp } = require('./timeutil');
+
+const DEFAULT_MARKET_RULES = {
+  max_segments: 5,
+  price_floor: 0, // 元/MWh
+  price_cap: 1500, // 元/MWh
+  min_segment_mw: 10,
+  price_precision: 2
+};
+
+// 超出计划出力的上调段按价格分布的这些分位数报价，捕捉价格上行
+const UPSIDE_QUANTILES = [0.5, 0.7, 0.9];
+
+function resolveMarketRules(rules = {}) {
+  const resolved = { ...DEFAULT_MARKET_RULES };
+  Object.keys(rules).forEach(key => {
+    if (rules[key] !== undefined && rules[key] !== null && rules[key] !== '') resolved[key] = Number(rules[key]);
+  });
+  Object.keys(DEFAULT_MARKET_RULES).forEach(key => {
+    if (isNaN(resolved[key])) throw new Error(`市场规则 ${key} 必须为数字`);
+  });
+  if (resolved.max_segments < 1 || !Number.isInteger(resolved.max_segments)) {
+    throw new Error('max_segments 须为正整数');
+  }
+  if (resolved.price_floor >= resolved.price_cap) {
+    throw new Error('price_floor 必须低于 price_cap');
+  }
+  if (resolved.min_segment_mw < 0) {
+    throw new Error('min_segment_mw 不能为负数');
+  }
+  return resolved;
+}
+
+function roundPrice(price, rules) {
+  const factor = Math.pow(10, rules.price_precision);
+  return Math.round(price * factor) / factor;
+}
+
+function scenarioQuantile(sortedScenarios, u) {
+  return sortedScenarios[Math.min(sortedScenarios.length - 1, Math.floor(u * sortedScenarios.length))];
+}
+
+// 把原始分段整理成满足市场规则的曲线，返回分段和所做的调整
+function applyMarketRules(blocks, rules) {
+  const adjustments = [];
+  let segments = blocks.filter(block => block.quantity > 1e-9).map(block => ({ ...block }));
+
+  // 价格上下限
+  segments.forEach(segment => {
+    const clamped = Math.min(rules.price_cap, Math.max(rules.price_floor, segment.price));
+    if (clamped !== segment.price) {
+      adjustments.push(`报价 ${segment.price.toFixed(2)} 超出 [${rules.price_floor}, ${rules.price_cap}]，已截断`);
+      segment.price = clamped;
+    }
+    segment.price = roundPrice(segment.price, rules);
+  });
+
+  // 价格单调递增：不递增的段并入前一段
+  const monotonic = [];
+  segments.forEach(segment => {
+    const last = monotonic[monotonic.length - 1];
+    if (last && segment.price <= last.price) {
+      if (segment.price < last.price) adjustments.push(`第 ${monotonic.length + 1} 段价格低于前一段，已合并`);
+      last.quantity += segment.quantity;
+    } else {
+      monotonic.push(segment);
+    }
+  });
+  segments = monotonic;
+
+  // 最小分段容量：计划出力内的小段并入前一段 (首段并入下一段)；
+  // 上调小段不能按更低价格报出，并入下一段，已是最后一段则不报
+  for (let i = 0; i < segments.length;) {
+    const segment = segments[i];
+    if (segment.quantity >= rules.min_segment_mw - 1e-9 || segments.length === 1) {
+      i++;
+      continue;
+    }
+    if (segment.upside && i === segments.length - 1) {
+      adjustments.push(`上调段 ${segment.quantity.toFixed(1)}MW 小于 ${rules.min_segment_mw}MW，不予申报`);
+    } else {
+      adjustments.push(`分段容量 ${segment.quantity.toFixed(1)}MW 小于 ${rules.min_segment_mw}MW，已合并`);
+      if (i > 0 && !segment.upside) {
+        segments[i - 1].quantity += segment.quantity;
+      } else {
+        segments[i + 1].quantity += segment.quantity;
+      }
+    }
+    segments.splice(i, 1);
+  }
+
+  // 分段数上限：从高价端合并相邻段；上调段只能以较高的价格合并，无可合并的上调段时不报
+  while (segments.length > rules.max_segments) {
+    const last = segments.pop();
+    const previous = segments[segments.length - 1];
+    if (!last.upside) {
+      previous.quantity += last.quantity;
+      adjustments.push(`分段数超过 ${rules.max_segments}，高价段已合并`);
+    } else if (previous.upside) {
+      previous.quantity += last.quantity;
+      previous.price = last.price;
+      adjustments.push(`分段数超过 ${rules.max_segments}，上调段已合并`);
+    } else {
+      adjustments.push(`分段数超过 ${rules.max_segments}，上调段 ${last.quantity.toFixed(1)}MW 不予申报`);
+    }
+  }
+
+  let cursor = 0;
+  return {
+    segments: segments.map((segment, index) => {
+      const start = cursor;
+      cursor += segment.quantity;
+      return {
+        segment: index + 1,
+        start_mw: start,
+        end_mw: cursor,
+        quantity_mw: segment.quantity,
+        price: segment.price
+      };
+    }),
+    adjustments
+  };
+}
+
+// 按市场规则校验一条曲线，返回违反的规则列表 (空数组表示通过)
+function validateBidCurve(segments, rules) {
+  const violations = [];
+  if (segments.length > rules.max_segments) violations.push('max_segments');
+  segments.forEach((segment, i) => {
+    if (segment.price < rules.price_floor || segment.price > rules.price_cap) violations.push(`price_limits:${i + 1}`);
+    if (segment.quantity_mw < rules.min_segment_mw - 1e-9 && segments.length > 1) violations.push(`min_segment:${i + 1}`);
+    if (i > 0 && segment.price <= segments[i - 1].price) violations.push(`monotonic:${i + 1}`);
+  });
+  return violations;
+}
+
+// 单个时段的报价曲线
+//   必发段：可调范围下限 (最小出力或爬坡下限)，按已开机最优报价报出
+//   经济段：下限到计划出力，按边际成本报价
+//   上调段：计划出力到可调上限，按价格分布的高分位报价，不低于上调部分的边际成本 upsideCost
+function buildIntervalCurve({ status, output, lowerLimit, upperLimit, mustRunPrice, marginalCost, upsideCost = marginalCost, scenarios, rules }) {
+  if (!status) {
+    return { segments: [], adjustments: [], violations: [] };
+  }
+
+  const sorted = [...scenarios].sort((a, b) => a - b);
+  const blocks = [
+    { quantity: lowerLimit, price: mustRunPrice },
+    { quantity: output - lowerLimit, price: Math.max(marginalCost, mustRunPrice) }
+  ];
+
+  const upside = Math.max(0, upperLimit - output);
+  const upsideCount = Math.max(0, Math.min(UPSIDE_QUANTILES.length, rules.max_segments - 2));
+  UPSIDE_QUANTILES.slice(UPSIDE_QUANTILES.length - upsideCount).forEach(u => {
+    blocks.push({
+      quantity: upside / upsideCount,
+      price: Math.max(upsideCost, scenarioQuantile(sorted, u)),
+      upside: true
+    });
+  });
+
+  const { segments, adjustments } = applyMarketRules(blocks, rules);
+  return { segments, adjustments, violations: validateBidCurve(segments, rules) };
+}
+
+// 组合报价：各机组分段按价格排序叠加，同价合并；超过分段数上限时合并价差最小的相邻段并取较高价格，
+// 保证合并后任何容量都不会以低于原报价的价格报出
+function aggregateBidCurves(curves, rules) {
+  const adjustments = [];
+  const blocks = curves
+    .flatMap(segments => segments.map(segment => ({ quantity: segment.quantity_mw, price: segment.price })))
+    .sort((a, b) => a.price - b.price);
+
+  const merged = [];
+  blocks.forEach(block => {
+    const last = merged[merged.length - 1];
+    if (last && Math.abs(block.price - last.price) < 1e-9) last.quantity += block.quantity;
+    else merged.push({ ...block });
+  });
+
+  while (merged.length > rules.max_segments) {
+    let pair = 1;
+    for (let i = 2; i < merged.length; i++) {
+      if (merged[i].price - merged[i - 1].price < merged[pair].price - merged[pair - 1].price) pair = i;
+    }
+    merged[pair].quantity += merged[pair - 1].quantity;
+    merged.splice(pair - 1, 1);
+    adjustments.push(`组合分段数超过 ${rules.max_segments}，已合并相邻段并取较高价格`);
+  }
+
+  let cursor = 0;
+  const segments = merged.map((block, index) => {
+    const start = cursor;
+    cursor += block.quantity;
+    return { segment: index + 1, start_mw: start, end_mw: cursor, quantity_mw: block.quantity, price: block.price };
+  });
+  return { segments, adjustments, violations: validateBidCurve(segments, rules) };
+}
+
+// 交易申报文件：每个时段每个分段一行
+const OFFER_FILE_COLUMNS = ['交易日', '机组', '时段', '开始时间', '结束时间', '段号', '起始出力(MW)', '终止出力(MW)', '报价(元/MWh)'];
+
+function buildOfferFileRows(biddingSchedule, unitId) {
+  const rows = [];
+  biddingSchedule.forEach(bid => {
+    const start = new Date(bid.time_period).getTime();
+    const parts = getMarketParts(start);
+    (bid.bid_curve || []).forEach(segment => {
+      rows.push({
+        '交易日': toMarketDateKey(start),
+        '机组': unitId,
+        '时段': parts.slot + 1,
+        '开始时间': formatMarketTimestamp(start),
+        '结束时间': formatMarketTimestamp(start + INTERVAL_MS),
+        '段号': segment.segment,
+        '起始出力(MW)': segment.start_mw.toFixed(3),
+        '终止出力(MW)': segment.end_mw.toFixed(3),
+        '报价(元/MWh)': segment.price.toFixed(2)
+      });
+    });
+  });
+  return rows;
+}
+
+function toOfferCSV(rows) {
+  const lines = [OFFER_FILE_COLUMNS.join(',')];
+  rows.forEach(row => lines.push(OFFER_FILE_COLUMNS.map(column => row[column]).join(',')));
+  // 带 BOM 便于 Excel 正确识别中文表头
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  DEFAULT_MARKET_RULES,
+  OFFER_FILE_COLUMNS,
+  resolveMarketRules,
+  buildIntervalCurve,
+  aggregateBidCurves,
+  validateBidCurve,
+  buildOfferFileRows,
+  toOfferCSV
+};
@@ -0,0 +1,92 @@
+// 机组发电成本曲线：cost(P) 为出力 P (MW) 时每小时的发电成本 (元/h)
+//   linear：     { type: 'linear', cost }                      cost(P) = cost·P
+//   piecewise：  { type: 'piecewise', points: [[MW, 元/h], ...] } 按出力点线性插值 (煤耗曲线分段)
+//   quadratic：  { type: 'quadratic', a, b, c }                 cost(P) = a + b·P + c·P² (a 为空载成本)
+const COST_CURVE_TYPES = ['linear', 'piecewise', 'quadratic'];
+
+function toNumber(value, name) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || isNaN(number)) {
+    throw new Error(`成本曲线参数 ${name} 必须为数字`);
+  }
+  return number;
+}
+
+function linearCurve(cost) {
+  return {
+    type: 'linear',
+    params: { cost },
+    cost: output => cost * output,
+    marginal: () => cost
+  };
+}
+
+function piecewiseCurve(rawPoints) {
+  if (!Array.isArray(rawPoints) || rawPoints.length < 2) {
+    throw new Error('分段成本曲线至少需要 2 个出力点');
+  }
+  const points = rawPoints
+    .map(point => (Array.isArray(point) ? point : [point.output_mw, point.cost_per_hour]))
+    .map(([output, cost], i) => [toNumber(output, `points[${i}].output_mw`), toNumber(cost, `points[${i}].cost_per_hour`)])
+    .sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < points.length; i++) {
+    if (points[i][0] === points[i - 1][0]) throw new Error(`分段成本曲线出力点重复: ${points[i][0]} MW`);
+  }
+
+  // 出力所在的分段，超出端点时沿首末段外推
+  const segmentIndex = output => {
+    let i = 1;
+    while (i < points.length - 1 && output > points[i][0]) i++;
+    return i;
+  };
+  const slope = i => (points[i][1] - points[i - 1][1]) / (points[i][0] - points[i - 1][0]);
+
+  return {
+    type: 'piecewise',
+    params: { points },
+    cost: output => {
+      const i = segmentIndex(output);
+      return points[i - 1][1] + slope(i) * (output - points[i - 1][0]);
+    },
+    marginal: output => slope(segmentIndex(output))
+  };
+}
+
+function quadraticCurve(a, b, c) {
+  if (c < 0) throw new Error('二次成本曲线的 c 不能为负数');
+  return {
+    type: 'quadratic',
+    params: { a, b, c },
+    cost: output => a + b * output + c * output * output,
+    marginal: output => b + 2 * c * output
+  };
+}
+
+// spec 缺省时用 cost_params.generationCost 作为线性成本
+function resolveCostCurve(spec, defaultCost) {
+  if (!spec) {
+    if (defaultCost === undefined || defaultCost === null || isNaN(Number(defaultCost))) {
+      throw new Error('缺少发电成本：请提供 cost_curve 或 cost_params.generationCost');
+    }
+    return linearCurve(Number(defaultCost));
+  }
+  const type = spec.type || 'linear';
+  if (!COST_CURVE_TYPES.includes(type)) {
+    throw new Error(`不支持的成本曲线类型: ${type}，可选: ${COST_CURVE_TYPES.join(', ')}`);
+  }
+  if (type === 'linear') return linearCurve(toNumber(spec.cost, 'cost'));
+  if (type === 'piecewise') return piecewiseCurve(spec.points);
+  return quadraticCurve(toNumber(spec.a || 0, 'a'), toNumber(spec.b, 'b'), toNumber(spec.c || 0, 'c'));
+}
+
+// from -> to 之间每 MWh 的平均增量成本，from = to 时取边际成本
+function incrementalCost(curve, from, to) {
+  if (to - from < 1e-9) return curve.marginal(from);
+  return (curve.cost(to) - curve.cost(from)) / (to - from);
+}
+
+module.exports = {
+  COST_CURVE_TYPES,
+  resolveCostCurve,
+  incrementalCost
+};
@@ -0,0 +1,148 @@
+// 日前/实时双市场结算：日前按出清电价卖出部分计划电量 (日前头寸)，实际出力与日前头寸的差额按实时电价结算
+//   收益 = 日前电价 × 日前头寸 + 实时电价 × (实际出力 - 日前头寸) - 发电成本
+// 日前头寸取计划出力的一定比例 (日前比例 r)，则每 MWh 出力的价值为 r·日前电价 + (1-r)·实时电价，
+// 出力计划仍用动态规划按该价值求解；各时段的 r 按价差 (实时 - 日前) 的情景分布选择
+const { generatePriceScenarios } = require('./scenarios');
+const { profitDistribution } = require('./risk');
+
+const DEFAULT_DUAL_MARKET_PARAMS = {
+  enabled: false,
+  min_da_ratio: 0.5, // 日前头寸占计划出力的比例下限
+  max_da_ratio: 1, // 上限，大于 1 表示日前超卖、实时买回
+  ratio_step: 0.1
+};
+
+const MAX_DA_RATIO = 2;
+
+// 价差情景的随机种子，与日前电价情景相互独立
+const SPREAD_SCENARIO_SEED = 20250102;
+
+function resolveDualMarketParams(params = {}) {
+  const dual = { ...DEFAULT_DUAL_MARKET_PARAMS };
+  Object.keys(params || {}).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') dual[key] = params[key];
+  });
+  dual.enabled = dual.enabled === true || dual.enabled === 'true';
+  ['min_da_ratio', 'max_da_ratio', 'ratio_step'].forEach(key => {
+    dual[key] = Number(dual[key]);
+    if (isNaN(dual[key])) throw new Error(`双市场参数 ${key} 必须为数字`);
+  });
+  if (dual.min_da_ratio < 0 || dual.min_da_ratio > dual.max_da_ratio || dual.max_da_ratio > MAX_DA_RATIO) {
+    throw new Error(`日前比例无效: 需满足 0 ≤ min_da_ratio ≤ max_da_ratio ≤ ${MAX_DA_RATIO}`);
+  }
+  if (dual.ratio_step <= 0) {
+    throw new Error('ratio_step 必须大于 0');
+  }
+  return dual;
+}
+
+// 预测结果中的价差预测转换为情景生成所需的格式
+function spreadPredictions(predictions) {
+  return predictions.map((pred, index) => {
+    if (!pred.spread || !pred.real_time) {
+      throw new Error(`第 ${index + 1} 个时段缺少实时电价与价差预测，双市场优化需在预测时开启 dual_market`);
+    }
+    return {
+      timestamp: pred.timestamp,
+      predicted_price: pred.spread.predicted_spread,
+      confidence_lower: pred.spread.confidence_lower,
+      confidence_upper: pred.spread.confidence_upper,
+      confidence_level: pred.confidence_level,
+      quantiles: pred.spread.quantiles
+    };
+  });
+}
+
+// 实时电价情景 = 日前电价情景 + 价差情景 (不低于 0)，情景数与日前情景一致
+// 日前情景来自历史残差路径时，按日期配对价差残差路径，保留两个市场误差的相关性；配对不上时用价差预测分布
+function buildRealTimeScenarios(predictions, daScenarioSet, { count, residualPaths = [] } = {}) {
+  const spreads = spreadPredictions(predictions);
+  const scenarioCount = daScenarioSet.prices.length;
+
+  let spreadSet = null;
+  let fallbackReason = null;
+  if (daScenarioSet.source === 'residuals') {
+    const byDate = new Map((residualPaths || []).map(path => [path.date, path]));
+    const missing = daScenarioSet.days.filter(date => !byDate.has(date));
+    if (missing.length === 0) {
+      spreadSet = generatePriceScenarios(spreads, {
+        source: 'residuals',
+        residualPaths: daScenarioSet.days.map(date => byDate.get(date)),
+        minValue: -Infinity
+      });
+    } else {
+      fallbackReason = `${missing.length} 个验证日缺少价差残差路径，价差改用预测分布情景`;
+    }
+  }
+  if (!spreadSet || spreadSet.prices.length !== scenarioCount) {
+    spreadSet = generatePriceScenarios(spreads, {
+      source: 'forecast',
+      count: Math.max(10, count || scenarioCount, scenarioCount),
+      seed: SPREAD_SCENARIO_SEED,
+      minValue: -Infinity
+    });
+  }
+
+  const prices = daScenarioSet.prices.map((path, s) => path.map((price, t) => Math.max(0, price + spreadSet.prices[s][t])));
+  return {
+    source: spreadSet.source,
+    ...(fallbackReason ? { requested_source: 'residuals', fallback_reason: fallbackReason } : {}),
+    count: scenarioCount,
+    days: spreadSet.days,
+    description: spreadSet.source === 'residuals'
+      ? '实时电价 = 日前情景 + 同一验证日的价差残差路径'
+      : `实时电价 = 日前情景 + 独立的价差预测分布情景 (${spreadSet.description})`,
+    prices
+  };
+}
+
+function candidateRatios(dual) {
+  const ratios = [];
+  for (let ratio = dual.max_da_ratio; ratio >= dual.min_da_ratio - 1e-9; ratio -= dual.ratio_step) {
+    ratios.push(Math.round(ratio * 1e6) / 1e6);
+  }
+  return ratios;
+}
+
+// 各时段在候选日前比例中选 (1-λ)·E[v] + λ·CVaR_α[v] 最高者，v 为每 MWh 出力的价值；
+// 目标相同时取较高的日前比例。返回 values[情景][时段] 供出力计划求解
+function splitPositions(daPrices, rtPrices, dual, risk) {
+  const S = daPrices.length;
+  const T = daPrices[0].length;
+  const alpha = risk.risk_measure === 'worst_case' ? 1 / S : risk.cvar_alpha;
+  const aversion = risk.risk_aversion;
+  const ratios = candidateRatios(dual);
+  const values = Array.from({ length: S }, () => new Array(T));
+  const intervals = [];
+
+  for (let t = 0; t < T; t++) {
+    let best = null;
+    ratios.forEach(ratio => {
+      const intervalValues = daPrices.map((path, s) => ratio * path[t] + (1 - ratio) * rtPrices[s][t]);
+      const distribution = profitDistribution(intervalValues, alpha);
+      const objective = (1 - aversion) * distribution.mean + aversion * distribution.cvar;
+      if (!best || objective > best.objective + 1e-9) best = { ratio, objective, intervalValues };
+    });
+    best.intervalValues.forEach((value, s) => { values[s][t] = value; });
+
+    const spreads = daPrices.map((path, s) => rtPrices[s][t] - path[t]);
+    const expectedSpread = spreads.reduce((sum, v) => sum + v, 0) / S;
+    intervals.push({
+      da_ratio: best.ratio,
+      expected_da_price: daPrices.reduce((sum, path) => sum + path[t], 0) / S,
+      expected_rt_price: rtPrices.reduce((sum, path) => sum + path[t], 0) / S,
+      expected_spread: expectedSpread,
+      spread_std: Math.sqrt(spreads.reduce((sum, v) => sum + (v - expectedSpread) ** 2, 0) / S)
+    });
+  }
+
+  return { ratios: intervals.map(interval => interval.da_ratio), values, intervals };
+}
+
+module.exports = {
+  DEFAULT_DUAL_MARKET_PARAMS,
+  resolveDualMarketParams,
+  spreadPredictions,
+  buildRealTimeScenarios,
+  splitPositions
+};
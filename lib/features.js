@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { formatMarketTimestamp, parseTimestampValue, toMarketDateKey } = require('./timeutil');
+
+// 外部特征库：节假日日历、气象数据和负荷预测，按时间戳与市场数据对齐后作为预测特征
+// 每类特征是一个 provider：{ name, names, history(time), forecast(time) }，返回该时段的特征值数组，取不到时返回 null；
+// history 用于训练 (实际值)，forecast 用于预测起点之后的时段 (预报值)
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 法定节假日 (放假日期区间) 与调休上班日，按国务院办公厅 2025 年放假安排；可用特征目录下的 holidays.json 替换
+const DEFAULT_HOLIDAYS = [
+  { name: '元旦', start: '2025-01-01', end: '2025-01-01', workdays: [] },
+  { name: '春节', start: '2025-01-28', end: '2025-02-04', workdays: ['2025-01-26', '2025-02-08'] },
+  { name: '清明节', start: '2025-04-04', end: '2025-04-06', workdays: [] },
+  { name: '劳动节', start: '2025-05-01', end: '2025-05-05', workdays: ['2025-04-27'] },
+  { name: '端午节', start: '2025-05-31', end: '2025-06-02', workdays: [] },
+  { name: '国庆节、中秋节', start: '2025-10-01', end: '2025-10-08', workdays: ['2025-09-28', '2025-10-11'] }
+];
+
+const CALENDAR_FEATURE_NAMES = ['is_holiday', 'is_makeup_workday'];
+const WEATHER_FEATURE_NAMES = ['temperature', 'cooling_degree', 'heating_degree'];
+const LOAD_FEATURE_NAMES = ['load_forecast', 'net_demand_forecast'];
+
+// 制冷/采暖度数的基准温度 (℃)
+const COOLING_BASE = 26;
+const HEATING_BASE = 18;
+
+// 相邻两条气象记录相差超过该时长时不插值
+const MAX_WEATHER_GAP_MS = 3 * HOUR_MS;
+
+const WEATHER_KINDS = ['observation', 'forecast'];
+
+const WEATHER_COLUMNS = {
+  timestamp: ['时间', '日期时间', 'timestamp', 'datetime', 'time'],
+  temperature: ['温度', '气温', 'temperature', 'temp'],
+  kind: ['类型', 'kind', 'type', 'source']
+};
+
+const WEATHER_FILE_EXTENSIONS = ['.csv', '.json'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD 且是真实存在的日期
+function isDateKey(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+function isValue(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function netDemand(item) {
+  return isValue(item.demand) && isValue(item.supply) ? item.demand - item.supply : null;
+}
+
+function eachDate(start, end, callback) {
+  const last = Date.parse(`${end}T00:00:00Z`);
+  for (let time = Date.parse(`${start}T00:00:00Z`); time <= last; time += 24 * HOUR_MS) {
+    callback(new Date(time).toISOString().slice(0, 10));
+  }
+}
+
+// 日历条目 -> 日期索引 (日期 -> { type: holiday | workday, name })
+function createHolidayCalendar(entries = DEFAULT_HOLIDAYS) {
+  if (!Array.isArray(entries)) {
+    throw new Error('节假日日历须为数组: [{ name, start, end, workdays }]');
+  }
+  const days = new Map();
+  entries.forEach((entry, index) => {
+    const { name = `节假日${index + 1}`, start, end = start, workdays = [] } = entry || {};
+    if (!isDateKey(start) || !isDateKey(end) || start > end) {
+      throw new Error(`节假日日历第 ${index + 1} 项日期无效，需为 YYYY-MM-DD 且 start ≤ end`);
+    }
+    eachDate(start, end, date => days.set(date, { type: 'holiday', name }));
+    workdays.forEach(date => {
+      if (!isDateKey(date)) throw new Error(`节假日日历第 ${index + 1} 项调休日期无效: ${date}`);
+      days.set(date, { type: 'workday', name });
+    });
+  });
+
+  const years = [...new Set([...days.keys()].map(date => date.slice(0, 4)))].sort();
+  return { entries, days, years };
+}
+
+function calendarProvider(calendar) {
+  const featuresAt = time => {
+    const day = calendar.days.get(toMarketDateKey(time));
+    return [day && day.type === 'holiday' ? 1 : 0, day && day.type === 'workday' ? 1 : 0];
+  };
+  return { name: 'calendar', names: CALENDAR_FEATURE_NAMES, history: featuresAt, forecast: featuresAt };
+}
+
+function pickColumn(row, candidates) {
+  const key = candidates.find(name => row[name] !== undefined && row[name] !== null && row[name] !== '');
+  return key ? row[key] : undefined;
+}
+
+// 类型列缺省时按文件名判断：含 forecast/预报 的为预报，否则为实测
+function parseWeatherKind(value, filename) {
+  const text = String(value !== undefined ? value : filename).toLowerCase();
+  return /forecast|预报|预测/.test(text) ? 'forecast' : 'observation';
+}
+
+// 解析一个气象文件 (CSV 或 JSON 数组)，返回 { records: [{ time, temperature, kind }], rejected }
+function parseWeatherFile(buffer, filename) {
+  const extension = path.extname(filename).toLowerCase();
+  if (!WEATHER_FILE_EXTENSIONS.includes(extension)) {
+    throw new Error(`不支持的气象文件类型: ${extension || filename}`);
+  }
+
+  let rows;
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (extension === '.json') {
+    const parsed = JSON.parse(text);
+    rows = Array.isArray(parsed) ? parsed : parsed.records;
+    if (!Array.isArray(rows)) throw new Error(`${filename}: JSON 须为记录数组或 { records: [...] }`);
+  } else {
+    const workbook = XLSX.read(text, { type: 'string', raw: true });
+    rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+  }
+
+  const records = [];
+  let rejected = 0;
+  rows.forEach(row => {
+    const parsed = parseTimestampValue(pickColumn(row, WEATHER_COLUMNS.timestamp));
+    const temperature = parseFloat(pickColumn(row, WEATHER_COLUMNS.temperature));
+    if (!parsed || isNaN(temperature)) {
+      rejected++;
+      return;
+    }
+    records.push({ time: parsed.time, temperature, kind: parseWeatherKind(pickColumn(row, WEATHER_COLUMNS.kind), filename) });
+  });
+  return { records, rejected };
+}
+
+// 按类型排序的气象序列；同一时刻重复时后读入的覆盖先读入的
+function createWeatherIndex(records) {
+  const index = {};
+  WEATHER_KINDS.forEach(kind => {
+    const byTime = new Map();
+    records.filter(record => record.kind === kind).forEach(record => byTime.set(record.time, record.temperature));
+    const times = [...byTime.keys()].sort((a, b) => a - b);
+    index[kind] = { times, values: times.map(time => byTime.get(time)) };
+  });
+  return index;
+}
+
+// 某一时刻的温度：落在两条相邻记录之间时线性插值，间隔过大或超出范围时返回 null
+function temperatureAt(series, time) {
+  const { times, values } = series;
+  let low = 0;
+  let high = times.length - 1;
+  if (high < 0 || time < times[0] || time > times[high]) return null;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (times[mid] <= time) low = mid;
+    else high = mid - 1;
+  }
+  if (times[low] === time) return values[low];
+  const next = low + 1;
+  if (next >= times.length || times[next] - times[low] > MAX_WEATHER_GAP_MS) return null;
+  const weight = (time - times[low]) / (times[next] - times[low]);
+  return values[low] + weight * (values[next] - values[low]);
+}
+
+function weatherFeatures(temperature) {
+  return temperature === null ? null : [
+    temperature,
+    Math.max(0, temperature - COOLING_BASE),
+    Math.max(0, HEATING_BASE - temperature)
+  ];
+}
+
+// 训练用实测优先、缺失时用预报；预测用预报优先，没有预报时用实测 (回测时相当于完美预报)
+function weatherProvider(weather) {
+  const lookup = order => time => {
+    for (const kind of order) {
+      const temperature = temperatureAt(weather[kind], time);
+      if (temperature !== null) return weatherFeatures(temperature);
+    }
+    return null;
+  };
+  return {
+    name: 'weather',
+    names: WEATHER_FEATURE_NAMES,
+    history: lookup(['observation', 'forecast']),
+    forecast: lookup(['forecast', 'observation'])
+  };
+}
+
+// 负荷特征：训练用同时段的实际负荷与净需求，预测用负荷预测值 (时间 ms -> [负荷, 净需求])；
+// 预测时段已有实际值 (滚动预测的误差窗口) 而没有负荷预测时用实际值
+function loadProvider(history, loadForecast) {
+  const actual = new Map();
+  history.forEach(item => {
+    if (isValue(item.load) && isValue(netDemand(item))) {
+      actual.set(new Date(item.timestamp).getTime(), [item.load, netDemand(item)]);
+    }
+  });
+  return {
+    name: 'load',
+    names: LOAD_FEATURE_NAMES,
+    history: time => actual.get(time) || null,
+    forecast: time => loadForecast.get(time) || actual.get(time) || null
+  };
+}
+
+// 读取特征目录：holidays.json 为节假日日历 (缺省用内置日历)，其余 .csv/.json 文件为气象数据
+function loadFeatureStore(directory) {
+  const store = {
+    directory,
+    calendar: null,
+    calendarSource: 'default',
+    weatherRecords: [],
+    files: [],
+    errors: [],
+    loadedAt: new Date().toISOString()
+  };
+
+  const files = fs.existsSync(directory) ? fs.readdirSync(directory).sort() : [];
+  const calendarFile = files.find(file => file.toLowerCase() === 'holidays.json');
+  try {
+    store.calendar = createHolidayCalendar(calendarFile
+      ? JSON.parse(fs.readFileSync(path.join(directory, calendarFile), 'utf8'))
+      : DEFAULT_HOLIDAYS);
+    if (calendarFile) store.calendarSource = calendarFile;
+  } catch (error) {
+    store.errors.push({ file: calendarFile, error: error.message });
+    store.calendar = createHolidayCalendar(DEFAULT_HOLIDAYS);
+  }
+
+  files
+    .filter(file => file !== calendarFile && WEATHER_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .forEach(file => {
+      try {
+        const { records, rejected } = parseWeatherFile(fs.readFileSync(path.join(directory, file)), file);
+        store.weatherRecords.push(...records);
+        store.files.push({ file, records: records.length, rejected });
+      } catch (error) {
+        store.errors.push({ file, error: error.message });
+      }
+    });
+
+  store.weather = createWeatherIndex(store.weatherRecords);
+  return store;
+}
+
+// 特征库状态：日历覆盖的年份、各类气象数据的时间范围以及对市场数据时段的覆盖率
+function describeFeatureStore(store, marketTimes = []) {
+  const provider = weatherProvider(store.weather);
+  const covered = marketTimes.filter(time => provider.history(time) !== null).length;
+  const weather = {};
+  WEATHER_KINDS.forEach(kind => {
+    const { times } = store.weather[kind];
+    weather[kind] = {
+      records: times.length,
+      start: times.length > 0 ? formatMarketTimestamp(times[0]) : null,
+      end: times.length > 0 ? formatMarketTimestamp(times[times.length - 1]) : null
+    };
+  });
+
+  return {
+    directory: store.directory,
+    loaded_at: store.loadedAt,
+    calendar: {
+      source: store.calendarSource,
+      years: store.calendar.years,
+      holidays: store.calendar.entries,
+      features: CALENDAR_FEATURE_NAMES
+    },
+    weather: {
+      ...weather,
+      market_coverage: marketTimes.length > 0 ? covered / marketTimes.length : null,
+      features: WEATHER_FEATURE_NAMES
+    },
+    files: store.files,
+    errors: store.errors
+  };
+}
+
+module.exports = {
+  DEFAULT_HOLIDAYS,
+  CALENDAR_FEATURE_NAMES,
+  WEATHER_FEATURE_NAMES,
+  LOAD_FEATURE_NAMES,
+  netDemand,
+  createHolidayCalendar,
+  calendarProvider,
+  parseWeatherFile,
+  weatherProvider,
+  loadProvider,
+  loadFeatureStore,
+  describeFeatureStore
+};
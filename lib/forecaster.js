@@ -0,0 +1,359 @@
+const { MODEL_DEFINITIONS, createModel, restoreModel } = require('./models');
+const { computeErrorMetrics } = require('./metrics');
+const { createCalibration, createResidualPaths, computeInterval } = require('./intervals');
+const { formatMarketTimestamp, getMarketParts, toMarketDateKey } = require('./timeutil');
+const { netDemand } = require('./features');
+
+const INTERVAL_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POINTS_PER_DAY = DAY_MS / INTERVAL_MS;
+
+// 验证集长度 (天)，用于计算集成权重和校准预测区间
+const VALIDATION_DAYS = 14;
+
+// 预测目标：日前电价、实时电价、实时-日前价差、系统负荷、净需求 (竞价空间 - 发电出力预测)；
+// price_* 特征为目标自身的滞后值
+const FORECAST_TARGETS = {
+  day_ahead: item => item.price,
+  real_time: item => item.rt_price,
+  spread: item => (isValue(item.price) && isValue(item.rt_price) ? item.rt_price - item.price : null),
+  load: item => item.load,
+  net_demand: item => netDemand(item)
+};
+
+// 负荷随季节有明显趋势，树模型无法外推到训练集范围之外，改为学习相对前一日同时段的变化量
+const DIFFERENCED_TARGETS = ['load'];
+
+function isValue(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+const FEATURE_NAMES = [
+  'price_lag_1d',
+  'price_lag_2d',
+  'price_lag_7d',
+  'price_mean_prev_day',
+  'load_lag_1d',
+  'demand_lag_1d',
+  'supply_lag_1d',
+  'slot_sin',
+  'slot_cos',
+  'slot_sin_2',
+  'slot_cos_2',
+  'is_weekend',
+  'weekday_1',
+  'weekday_2',
+  'weekday_3',
+  'weekday_4',
+  'weekday_5',
+  'weekday_6'
+];
+
+// 历史数据索引：按毫秒时间戳查找记录和目标值，预测值通过 overlay 叠加用于递推
+// 目标值缺失的时段 (如实时电价未发布) 不参与训练，递推时同样用预测值补上
+function createSeries(history, target = 'day_ahead') {
+  const valueOf = FORECAST_TARGETS[target];
+  const records = new Map();
+  const values = new Map();
+  let lastTime = -Infinity;
+
+  history.forEach(item => {
+    const time = new Date(item.timestamp).getTime();
+    if (isNaN(time)) return;
+    records.set(time, item);
+    const value = valueOf(item);
+    if (!isValue(value)) return;
+    values.set(time, value);
+    if (time > lastTime) lastTime = time;
+  });
+
+  return { records, values, lastTime };
+}
+
+function lookupPrice(series, overlay, time) {
+  if (series.values.has(time)) return series.values.get(time);
+  return overlay ? overlay.get(time) : undefined;
+}
+
+// 负荷/供需数据只有历史值，超出历史范围或被标记缺失时沿用最近一天同一时段的值
+function lookupField(series, time, field) {
+  for (let back = 0; back <= 14; back++) {
+    const record = series.records.get(time - back * DAY_MS);
+    if (record && record[field] !== null && record[field] !== undefined) return record[field];
+  }
+  return 0;
+}
+
+// 市场时区下一天内的时段序号 (0-95)
+function getSlot(time) {
+  return getMarketParts(time).slot;
+}
+
+// 外部特征 (节假日、气象、负荷预测等，见 features.js) 按顺序拼接；phase 为 history 或 forecast，
+// 任一 provider 取不到值时返回 null
+function externalFeaturesAt(providers, phase) {
+  return time => {
+    const values = [];
+    for (const provider of providers) {
+      const features = provider[phase](time);
+      if (!features) return null;
+      values.push(...features);
+    }
+    return values;
+  };
+}
+
+// externalAt 返回该时段的外部特征，取不到时样本无法构造
+function buildFeatures(series, overlay, time, externalAt) {
+  const lag1 = lookupPrice(series, overlay, time - DAY_MS);
+  if (lag1 === undefined) return null;
+
+  const lag2 = lookupPrice(series, overlay, time - 2 * DAY_MS);
+  const lag7 = lookupPrice(series, overlay, time - 7 * DAY_MS);
+
+  let sum = 0;
+  let count = 0;
+  for (let k = 0; k < POINTS_PER_DAY; k++) {
+    const value = lookupPrice(series, overlay, time - DAY_MS - k * INTERVAL_MS);
+    if (value !== undefined) {
+      sum += value;
+      count++;
+    }
+  }
+
+  const external = externalAt(time);
+  if (!external) return null;
+
+  const { slot, weekday: dayOfWeek } = getMarketParts(time);
+  const angle = (2 * Math.PI * slot) / POINTS_PER_DAY;
+
+  return [
+    lag1,
+    lag2 !== undefined ? lag2 : lag1,
+    lag7 !== undefined ? lag7 : (lag2 !== undefined ? lag2 : lag1),
+    sum / count,
+    lookupField(series, time - DAY_MS, 'load'),
+    lookupField(series, time - DAY_MS, 'demand'),
+    lookupField(series, time - DAY_MS, 'supply'),
+    Math.sin(angle),
+    Math.cos(angle),
+    Math.sin(2 * angle),
+    Math.cos(2 * angle),
+    dayOfWeek === 0 || dayOfWeek === 6 ? 1 : 0,
+    ...[1, 2, 3, 4, 5, 6].map(d => (dayOfWeek === d ? 1 : 0)),
+    ...external
+  ];
+}
+
+// differenced 为 true 时训练目标为相对 1 天前同时段 (第一个特征) 的变化量
+function buildTrainingSet(series, providers, differenced) {
+  const externalAt = externalFeaturesAt(providers, 'history');
+  const times = [...series.values.keys()].sort((a, b) => a - b);
+  const X = [];
+  const y = [];
+  const sampleTimes = [];
+
+  times.forEach(time => {
+    const features = buildFeatures(series, null, time, externalAt);
+    if (!features) return;
+    X.push(features);
+    y.push(series.values.get(time) - (differenced ? features[0] : 0));
+    sampleTimes.push(time);
+  });
+
+  return { X, y, times: sampleTimes };
+}
+
+// 训练所请求的模型：先在最后两周留出验证集上评估以确定集成权重，再用全部数据重新训练
+// options.features 为外部特征 provider 列表。训练与验证用实际值 (如实测气温、实际负荷)，
+// 预测时换成预报值，预报误差不体现在验证集误差和预测区间中
+// options.onProgress(百分比, 说明) 在每个模型训练完成后调用
+function trainForecaster(history, modelTypes, target = 'day_ahead', options = {}) {
+  if (!FORECAST_TARGETS[target]) {
+    throw new Error(`不支持的预测目标: ${target}，可选: ${Object.keys(FORECAST_TARGETS).join(', ')}`);
+  }
+  const types = (modelTypes && modelTypes.length > 0 ? modelTypes : Object.keys(MODEL_DEFINITIONS))
+    .filter((type, index, list) => list.indexOf(type) === index);
+  types.forEach(type => {
+    if (!MODEL_DEFINITIONS[type]) throw new Error(`不支持的模型类型: ${type}`);
+  });
+
+  const providers = options.features || [];
+  const differenced = DIFFERENCED_TARGETS.includes(target);
+  const series = createSeries(history, target);
+  const { X, y, times } = buildTrainingSet(series, providers, differenced);
+
+  if (X.length < POINTS_PER_DAY * 2) {
+    throw new Error(`训练样本不足: 仅有 ${X.length} 个带滞后特征的数据点`);
+  }
+
+  const validationSize = X.length > POINTS_PER_DAY * VALIDATION_DAYS * 2
+    ? POINTS_PER_DAY * VALIDATION_DAYS
+    : Math.floor(X.length * 0.2);
+  const splitIndex = X.length - validationSize;
+  // 验证集误差按目标本身计算，差分目标加回 1 天前的值
+  const toLevel = (value, i) => value + (differenced ? X[splitIndex + i][0] : 0);
+  const validationActual = y.slice(splitIndex).map(toLevel);
+
+  const models = {};
+  const validation = {};
+  const holdoutPredictions = {};
+
+  types.forEach((type, index) => {
+    const holdoutModel = createModel(type).fit(X.slice(0, splitIndex), y.slice(0, splitIndex));
+    holdoutPredictions[type] = X.slice(splitIndex).map((x, i) => toLevel(holdoutModel.predict(x), i));
+    validation[type] = computeErrorMetrics(validationActual, holdoutPredictions[type]);
+
+    models[type] = createModel(type).fit(X, y);
+    if (options.onProgress) {
+      options.onProgress((index + 1) / types.length * 100, `${MODEL_DEFINITIONS[type].name} 训练完成`);
+    }
+  });
+
+  // 集成权重与验证集 MAE 的平方成反比
+  const inverse = types.map(type => 1 / Math.max(validation[type].mae, 1e-6) ** 2);
+  const inverseSum = inverse.reduce((sum, v) => sum + v, 0);
+  const weights = {};
+  types.forEach((type, i) => { weights[type] = inverse[i] / inverseSum; });
+
+  const ensembleHoldout = validationActual.map((_, i) =>
+    types.reduce((sum, type) => sum + weights[type] * holdoutPredictions[type][i], 0)
+  );
+
+  // 留出集上集成预测的残差用于校准预测区间
+  const holdoutTimes = times.slice(splitIndex);
+  const holdoutResiduals = validationActual.map((v, i) => v - ensembleHoldout[i]);
+  const calibration = createCalibration(holdoutTimes.map(getSlot), holdoutResiduals);
+  const residualPaths = createResidualPaths(holdoutTimes.map(time => toMarketDateKey(time)), holdoutTimes.map(getSlot), holdoutResiduals);
+
+  return {
+    target,
+    series,
+    models,
+    weights,
+    validation,
+    ensembleValidation: computeErrorMetrics(validationActual, ensembleHoldout),
+    calibration,
+    residualPaths,
+    differenced,
+    providers,
+    featureNames: [...FEATURE_NAMES, ...providers.flatMap(provider => provider.names)],
+    trainingPoints: X.length,
+    trainingRange: {
+      start: formatMarketTimestamp(times[0]),
+      end: formatMarketTimestamp(times[times.length - 1])
+    }
+  };
+}
+
+// 训练结果中可保存的部分 (不含历史数据索引和特征 provider)，用于模型库；features 为所用外部特征的名称
+function serializeForecaster(trained) {
+  return {
+    target: trained.target,
+    models: JSON.parse(JSON.stringify(trained.models)),
+    weights: trained.weights,
+    validation: trained.validation,
+    ensembleValidation: trained.ensembleValidation,
+    calibration: trained.calibration,
+    residualPaths: trained.residualPaths,
+    differenced: trained.differenced,
+    features: trained.providers.map(provider => provider.name),
+    featureNames: trained.featureNames,
+    trainingPoints: trained.trainingPoints,
+    trainingRange: trained.trainingRange
+  };
+}
+
+// 由保存的训练结果恢复可用于 forecast 的模型：history 为预测起点之前的数据 (提供滞后特征)，
+// providers 须与训练时的外部特征一致
+function restoreForecaster(saved, history, providers = []) {
+  const names = providers.map(provider => provider.name);
+  if (names.join(',') !== saved.features.join(',')) {
+    throw new Error(`外部特征与模型不一致: 模型使用 [${saved.features.join(', ')}]，当前为 [${names.join(', ')}]`);
+  }
+  const models = {};
+  Object.keys(saved.models).forEach(type => {
+    models[type] = restoreModel(type, saved.models[type]);
+  });
+  return {
+    ...saved,
+    series: createSeries(history, saved.target),
+    models,
+    providers
+  };
+}
+
+// 更换构造滞后特征所用的历史数据，模型参数不变；滚动预测时补入训练截止之后新到的实际值
+function withHistory(trained, history) {
+  return {
+    ...trained,
+    series: createSeries(history, trained.target)
+  };
+}
+
+// 逐点递推预测：超出历史范围的滞后电价使用模型自身的预测值
+// 外部特征在预测起点之后取预报值，之前 (滞后窗口内补预测的时段) 取实际值
+function forecastModel(trained, type, startTime, points) {
+  const { series } = trained;
+  const historyAt = externalFeaturesAt(trained.providers, 'history');
+  const forecastAt = externalFeaturesAt(trained.providers, 'forecast');
+  const externalAt = time => (time >= startTime ? forecastAt(time) : historyAt(time));
+  const model = trained.models[type];
+  const overlay = new Map();
+  const values = [];
+
+  // 滞后窗口 (7天) 内目标值缺失的历史时段也用预测值补上，如个别时段实时市场未出清
+  let firstTime = Math.min(startTime, series.lastTime + INTERVAL_MS);
+  for (let time = startTime - 7 * DAY_MS; time < firstTime; time += INTERVAL_MS) {
+    if (series.records.has(time) && !series.values.has(time)) {
+      firstTime = time;
+      break;
+    }
+  }
+  const endTime = startTime + (points - 1) * INTERVAL_MS;
+
+  for (let time = firstTime; time <= endTime; time += INTERVAL_MS) {
+    const features = buildFeatures(series, overlay, time, externalAt);
+    if (!features && time < startTime) continue;
+    if (!features) {
+      throw new Error(`无法为 ${formatMarketTimestamp(time)} 构造${trained.providers.length > 0 ? '滞后或外部' : '滞后'}特征`);
+    }
+    const value = model.predict(features) + (trained.differenced ? features[0] : 0);
+    if (!series.values.has(time)) overlay.set(time, value);
+    if (time >= startTime) values.push(value);
+  }
+
+  return values;
+}
+
+function forecast(trained, startTime, points, confidenceLevel = 0.95) {
+  const types = Object.keys(trained.models);
+  const modelPredictions = {};
+  types.forEach(type => {
+    modelPredictions[type] = forecastModel(trained, type, startTime, points);
+  });
+
+  const ensemble = [];
+  const intervals = [];
+  for (let i = 0; i < points; i++) {
+    const time = startTime + i * INTERVAL_MS;
+    const daysAhead = Math.ceil((time - trained.series.lastTime) / DAY_MS);
+    ensemble.push(types.reduce((sum, type) => sum + trained.weights[type] * modelPredictions[type][i], 0));
+    intervals.push(computeInterval(trained.calibration, getSlot(time), confidenceLevel, daysAhead));
+  }
+
+  return { ensemble, modelPredictions, intervals };
+}
+
+module.exports = {
+  INTERVAL_MS,
+  DAY_MS,
+  POINTS_PER_DAY,
+  FEATURE_NAMES,
+  FORECAST_TARGETS,
+  trainForecaster,
+  serializeForecaster,
+  restoreForecaster,
+  withHistory,
+  forecast
+};
@@ -0,0 +1,279 @@
+// 历史数据查询：按数据集自身时间轴筛选、重采样 (15分钟/小时/日) 与游标分页
+const {
+  INTERVAL_MS,
+  DAY_MS,
+  getMarketParts,
+  formatMarketTimestamp,
+  toMarketDateKey,
+  parseMarketDate,
+  addDays,
+  parseTimestampValue
+} = require('./timeutil');
+const { computeErrorMetrics } = require('./metrics');
+
+const RESAMPLE_INTERVALS = ['15min', 'hourly', 'daily'];
+const VALUE_FIELDS = ['price', 'rt_price', 'price_spread', 'load', 'demand', 'supply'];
+const PRICE_AGGREGATES = ['price_open', 'price_high', 'price_low', 'price_close', 'price_mean'];
+const PREDICTION_FIELDS = [
+  'predicted_price',
+  'prediction_lower',
+  'prediction_upper',
+  'prediction_error',
+  'prediction_abs_error',
+  'prediction_source'
+];
+
+// 相对时间范围以数据集最后一个区间为终点，而不是当前时间
+const RELATIVE_RANGES = { '1d': 1, '7d': 7, '30d': 30, all: null };
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}$/;
+
+// 查询参数错误，路由据此返回 400
+class HistoryQueryError extends Error {}
+
+// 日期按市场时区整天处理：start 取当日零点，end 包含当天最后一个区间；完整时间戳按原值
+function parseBoundary(value, isEnd) {
+  const text = String(value).trim();
+  if (DATE_ONLY_PATTERN.test(text)) {
+    const dayStart = parseMarketDate(text);
+    if (isNaN(dayStart)) return NaN;
+    return isEnd ? parseMarketDate(addDays(toMarketDateKey(dayStart), 1)) - INTERVAL_MS : dayStart;
+  }
+  const parsed = parseTimestampValue(text);
+  return parsed ? parsed.time : NaN;
+}
+
+function resolveRange(query, firstTime, lastTime) {
+  const { start, end, timeRange = '1d' } = query;
+
+  if (start || end) {
+    const startTime = start ? parseBoundary(start, false) : firstTime;
+    const endTime = end ? parseBoundary(end, true) : lastTime;
+    if (isNaN(startTime)) throw new HistoryQueryError(`无效的开始时间: ${start}`);
+    if (isNaN(endTime)) throw new HistoryQueryError(`无效的结束时间: ${end}`);
+    if (startTime > endTime) throw new HistoryQueryError('开始时间不能晚于结束时间');
+    return { startTime, endTime };
+  }
+
+  if (!(timeRange in RELATIVE_RANGES)) {
+    throw new HistoryQueryError(`不支持的时间范围: ${timeRange}，可选: ${Object.keys(RELATIVE_RANGES).join(', ')}`);
+  }
+  const days = RELATIVE_RANGES[timeRange];
+  return {
+    startTime: days === null ? firstTime : lastTime + INTERVAL_MS - days * DAY_MS,
+    endTime: lastTime
+  };
+}
+
+// 未指定字段时：15分钟返回原始数值，重采样时额外返回点数和电价开高低收
+function parseFields(fields, interval) {
+  if (!fields) return interval === '15min' ? VALUE_FIELDS : ['points', ...VALUE_FIELDS, ...PRICE_AGGREGATES];
+  const selected = String(fields).split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = selected.filter(f => !VALUE_FIELDS.includes(f) && !PRICE_AGGREGATES.includes(f) && f !== 'points');
+  if (unknown.length > 0) {
+    throw new HistoryQueryError(`未知字段: ${unknown.join(', ')}，可选: ${[...VALUE_FIELDS, ...PRICE_AGGREGATES, 'points'].join(', ')}`);
+  }
+  return selected;
+}
+
+function parseLimit(limit) {
+  if (limit === undefined || limit === '') return DEFAULT_LIMIT;
+  const value = parseInt(limit, 10);
+  if (isNaN(value) || value < 1 || value > MAX_LIMIT) {
+    throw new HistoryQueryError(`limit 须为 1-${MAX_LIMIT} 之间的整数`);
+  }
+  return value;
+}
+
+// 游标为不透明字符串，内部记录上一页最后一个区间的起点
+function encodeCursor(time) {
+  return Buffer.from(JSON.stringify({ after: time })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { after } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof after === 'number' && isFinite(after)) return after;
+  } catch (error) {
+    // 落到下方统一报错
+  }
+  throw new HistoryQueryError('无效的分页游标');
+}
+
+// 区间所属的重采样桶起点 (市场时区)
+function bucketStart(time, interval) {
+  if (interval === 'daily') return parseMarketDate(toMarketDateKey(time));
+  if (interval === 'hourly') {
+    const { minute, second } = getMarketParts(time);
+    return time - (minute * 60 + second) * 1000;
+  }
+  return time;
+}
+
+function bucketEnd(start, interval) {
+  if (interval === 'daily') return parseMarketDate(addDays(toMarketDateKey(start), 1));
+  if (interval === 'hourly') return start + 4 * INTERVAL_MS;
+  return start + INTERVAL_MS;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function isValue(value) {
+  return value !== null && value !== undefined && !isNaN(value);
+}
+
+// 电价给出开高低收和均值，负荷/供需取均值；price 字段等于均值，保持与原始数据同名
+// price_spread 为实时减日前电价，只在两者都有值的区间上取均值
+function aggregateBucket(start, interval, rows) {
+  const prices = rows.map(row => row.price).filter(isValue);
+  const bucket = {
+    timestamp: formatMarketTimestamp(start),
+    interval_end: formatMarketTimestamp(bucketEnd(start, interval)),
+    points: rows.length,
+    price: mean(prices),
+    price_open: prices.length > 0 ? prices[0] : null,
+    price_high: prices.length > 0 ? prices.reduce((a, b) => Math.max(a, b)) : null,
+    price_low: prices.length > 0 ? prices.reduce((a, b) => Math.min(a, b)) : null,
+    price_close: prices.length > 0 ? prices[prices.length - 1] : null,
+    price_mean: mean(prices)
+  };
+  ['rt_price', 'load', 'demand', 'supply'].forEach(field => {
+    bucket[field] = mean(rows.map(row => row[field]).filter(isValue));
+  });
+  bucket.price_spread = mean(rows.filter(row => isValue(row.price) && isValue(row.rt_price)).map(row => row.rt_price - row.price));
+  return bucket;
+}
+
+function resample(rows, interval) {
+  const buckets = [];
+  let current = null;
+  rows.forEach(row => {
+    const start = bucketStart(row.time, interval);
+    if (!current || current.start !== start) {
+      current = { start, rows: [] };
+      buckets.push(current);
+    }
+    current.rows.push(row);
+  });
+  return buckets.map(({ start, rows: bucketRows }) => ({
+    time: start,
+    rows: bucketRows,
+    ...aggregateBucket(start, interval, bucketRows)
+  }));
+}
+
+// 把逐点预测对齐到桶：只用同时有预测和真实电价的点，误差 = 预测 - 实际
+function attachPredictions(bucket, predictions, matched) {
+  const pairs = bucket.rows
+    .filter(row => predictions.has(row.time) && isValue(row.price))
+    .map(row => ({ actual: row.price, prediction: predictions.get(row.time) }));
+
+  if (pairs.length === 0) {
+    PREDICTION_FIELDS.forEach(field => { bucket[field] = null; });
+    return;
+  }
+
+  pairs.forEach(({ actual, prediction }) => {
+    matched.actual.push(actual);
+    matched.predicted.push(prediction.predicted_price);
+    matched.lower.push(prediction.lower);
+    matched.upper.push(prediction.upper);
+  });
+
+  const predicted = mean(pairs.map(pair => pair.prediction.predicted_price));
+  const error = predicted - mean(pairs.map(pair => pair.actual));
+  const sources = [...new Set(pairs.map(pair => pair.prediction.source))];
+  bucket.predicted_price = predicted;
+  bucket.prediction_lower = mean(pairs.map(pair => pair.prediction.lower));
+  bucket.prediction_upper = mean(pairs.map(pair => pair.prediction.upper));
+  bucket.prediction_error = error;
+  bucket.prediction_abs_error = Math.abs(error);
+  bucket.prediction_source = sources.length === 1 ? sources[0] : 'mixed';
+}
+
+function selectFields(bucket, fields) {
+  const selected = { timestamp: bucket.timestamp, interval_end: bucket.interval_end };
+  fields.forEach(field => { selected[field] = bucket[field]; });
+  return selected;
+}
+
+// 执行查询：records 需已按时间排序；统计和总数基于整个区间，而非当前页
+// getPredictions(startTime, endTime) 返回当前页时间段内 时间 -> 预测 的 Map，仅在需要预测对比时传入
+function queryHistory(records, query = {}, getPredictions = null) {
+  const interval = query.interval || '15min';
+  if (!RESAMPLE_INTERVALS.includes(interval)) {
+    throw new HistoryQueryError(`不支持的重采样间隔: ${interval}，可选: ${RESAMPLE_INTERVALS.join(', ')}`);
+  }
+  const fields = parseFields(query.fields, interval);
+  const limit = parseLimit(query.limit);
+  const after = query.cursor ? decodeCursor(query.cursor) : null;
+
+  const rows = records.map(record => ({ ...record, time: new Date(record.timestamp).getTime() }));
+  if (rows.length === 0) {
+    return {
+      interval,
+      fields,
+      range: null,
+      data: [],
+      statistics: { average_price: null, max_price: null, min_price: null, total_records: 0 },
+      prediction_metrics: null,
+      pagination: { limit, returned: 0, total: 0, has_more: false, next_cursor: null }
+    };
+  }
+
+  const { startTime, endTime } = resolveRange(query, rows[0].time, rows[rows.length - 1].time);
+  const inRange = rows.filter(row => row.time >= startTime && row.time <= endTime);
+  const buckets = resample(inRange, interval);
+
+  const remaining = after === null ? buckets : buckets.filter(bucket => bucket.time > after);
+  const page = remaining.slice(0, limit);
+  const hasMore = remaining.length > limit;
+
+  const prices = inRange.map(row => row.price).filter(isValue);
+
+  let predictionMetrics = null;
+  let outputFields = fields;
+  if (getPredictions && page.length > 0) {
+    const lastRows = page[page.length - 1].rows;
+    const predictions = getPredictions(page[0].rows[0].time, lastRows[lastRows.length - 1].time);
+    const matched = { actual: [], predicted: [], lower: [], upper: [] };
+    page.forEach(bucket => attachPredictions(bucket, predictions, matched));
+    predictionMetrics = computeErrorMetrics(matched.actual, matched.predicted, matched.lower, matched.upper);
+    outputFields = [...fields, ...PREDICTION_FIELDS];
+  }
+
+  return {
+    interval,
+    fields,
+    range: {
+      start: formatMarketTimestamp(startTime),
+      end: formatMarketTimestamp(endTime)
+    },
+    data: page.map(bucket => selectFields(bucket, outputFields)),
+    statistics: {
+      average_price: mean(prices),
+      max_price: prices.length > 0 ? prices.reduce((a, b) => Math.max(a, b)) : null,
+      min_price: prices.length > 0 ? prices.reduce((a, b) => Math.min(a, b)) : null,
+      total_records: inRange.length
+    },
+    prediction_metrics: predictionMetrics,
+    pagination: {
+      limit,
+      returned: page.length,
+      total: buckets.length,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1].time) : null
+    }
+  };
+}
+
+module.exports = {
+  RESAMPLE_INTERVALS,
+  HistoryQueryError,
+  queryHistory
+};
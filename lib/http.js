@@ -0,0 +1,122 @@
+const path = require('path');
+const multer = require('multer');
+const { SUPPORTED_EXTENSIONS } = require('./ingest');
+const { ServiceError, getJob, watchJob } = require('./service');
+const { isFinished } = require('./jobs');
+
+// HTTP 适配：Express 路由与 Next.js API 路由共用的请求处理、错误响应和文件上传
+
+// 上传文件保存在内存中解析，不落盘
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 12 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      return cb(new Error(`不支持的文件类型: ${file.originalname}，仅支持 ${SUPPORTED_EXTENSIONS.join('/')}`));
+    }
+    cb(null, true);
+  }
+});
+
+// 解析 multipart 表单中的上传文件 (字段 files)，文件类型或大小不符时为参数错误
+function receiveFiles(req, res) {
+  return new Promise((resolve, reject) => {
+    upload.array('files')(req, res, error => (error ? reject(new ServiceError(error.message)) : resolve()));
+  });
+}
+
+// ServiceError 按其状态码返回 (参数错误 400、不存在 404 等)，其余异常为服务端故障，返回 500
+function sendError(res, error) {
+  const status = error instanceof ServiceError ? error.status : 500;
+  res.status(status).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// 处理函数返回的结果以 JSON 返回；处理函数自行写响应 (如下载文件) 时返回 undefined
+function handleRequest(handler) {
+  return async (req, res) => {
+    try {
+      const result = await handler(req, res);
+      if (result !== undefined) {
+        res.json(result);
+      }
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+// Next.js API 路由：一个文件对应一个路径，按请求方法分派，例如 apiRoute({ POST: req => ... })
+function apiRoute(handlers) {
+  return (req, res) => {
+    if (!handlers[req.method]) {
+      res.setHeader('Allow', Object.keys(handlers).join(', '));
+      return res.status(405).json({
+        success: false,
+        error: `不支持的请求方法: ${req.method}`
+      });
+    }
+    return handleRequest(handlers[req.method])(req, res);
+  };
+}
+
+// 分段报价申报文件：json 格式直接返回，否则作为 csv 附件下载
+function sendOfferFile(res, file) {
+  if (file.content === undefined) {
+    return file;
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.content);
+  return undefined;
+}
+
+// SSE 心跳间隔：定期发送注释行，避免空闲连接被代理断开
+const SSE_HEARTBEAT_MS = 15000;
+
+// 后台任务进度以 Server-Sent Events 推送：状态变化时发送 progress 事件，任务结束时发送 done 事件并关闭连接
+function sendJobEvents(req, res, id) {
+  // 任务不存在时在写响应头之前抛出 404
+  getJob(id);
+  
+  // no-transform 使压缩中间件跳过该响应，事件逐条到达浏览器
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  let closed = false;
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  
+  unsubscribe = watchJob(id, job => {
+    if (closed) return;
+    res.write(`event: ${isFinished(job) ? 'done' : 'progress'}\ndata: ${JSON.stringify(job)}\n\n`);
+    if (isFinished(job)) close();
+  });
+  // 订阅时任务已结束：close 先于取消订阅函数返回
+  if (closed) unsubscribe();
+  req.on('close', close);
+  return undefined;
+}
+
+module.exports = {
+  receiveFiles,
+  sendError,
+  handleRequest,
+  apiRoute,
+  sendOfferFile,
+  sendJobEvents
+};
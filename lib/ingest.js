@@ -0,0 +1,206 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const { canonicalizeRecords } = require('./timeutil');
+
+// 标准字段及各月份表格中可能出现的列名；price 为日前出清电价，rt_price 为实时出清电价 (表格中没有时为 null)
+const COLUMN_CANDIDATES = {
+  timestamp: ['时间', '日期', 'timestamp', 'Time'],
+  date: ['日期（日）', '日期', 'date', 'Date'],
+  time: ['时刻', '时间', 'time'],
+  price: ['电价', '日前出清电价', 'price', 'Price'],
+  rt_price: ['实时电价', '实时出清电价', 'rt_price', 'RT Price'],
+  rt_volume: ['实时出清电量', 'rt_volume'],
+  load: ['负荷', '系统负荷实际数据', 'load', 'Load'],
+  demand: ['需求', '预测竞价空间', 'demand', 'Demand'],
+  supply: ['供应', '发电总出力预测数据', 'supply', 'Supply']
+};
+
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+// 被拒绝行在报告中最多列出的条数
+const MAX_REPORTED_REJECTIONS = 50;
+
+// 从候选列名中取第一个有值的列
+function pickColumn(row, candidates) {
+  const key = candidates.find(name => row[name] !== undefined && row[name] !== null && row[name] !== '');
+  return key ? row[key] : undefined;
+}
+
+// 是否为包含日期的完整时间：日期字符串、带小数的 Excel 序列号或 Date 对象
+function isFullTimestamp(value, hasTimeColumn) {
+  if (value instanceof Date) return true;
+  if (typeof value === 'number') {
+    // 整数序列号只有日期，存在单独时刻列时交给日期+时刻组合解析
+    return value >= 1 && !(hasTimeColumn && Number.isInteger(value));
+  }
+  return typeof value === 'string' && /^\d{4}[-/.年]\d{1,2}[-/.月]\d{1,2}/.test(value.trim());
+}
+
+// 时间列：不同月份表格中"时间"/"日期"列含义不同 (完整时间、Excel 小数时刻、24:00)，
+// 取第一个完整时间，否则把日期列和时刻列组合起来交给时间标准化处理；
+// 都不成立时返回时间/日期列的原始值，由时间标准化按无法解析拒绝，没有任何时间值时为 undefined
+function pickTimestamp(row, column) {
+  const timeValue = pickColumn(row, column('time'));
+  const hasTimeColumn = timeValue !== undefined;
+  const key = column('timestamp').find(name => isFullTimestamp(row[name], hasTimeColumn));
+  if (key) return row[key];
+
+  const dateValue = pickColumn(row, column('date'));
+  if (dateValue !== undefined && hasTimeColumn) {
+    return { date: dateValue, time: timeValue };
+  }
+  const rawValue = pickColumn(row, column('timestamp'));
+  return rawValue !== undefined ? rawValue : dateValue;
+}
+
+// 数值列：缺失或无法解析时保留为 null，交给数据质量阶段处理
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// 按列映射取值：显式映射优先，否则按候选列名自动识别
+function normalizeRow(row, mapping = {}) {
+  const column = field => (mapping[field] ? [mapping[field]] : COLUMN_CANDIDATES[field]);
+  // 实时出清电量为 0 说明该时段实时市场未出清 (或数据尚未发布)，此时实时电价列中的 0 不是真实价格
+  const rtVolume = parseNumber(pickColumn(row, column('rt_volume')));
+
+  return {
+    timestamp: pickTimestamp(row, column),
+    price: parseFloat(pickColumn(row, column('price'))),
+    rt_price: rtVolume === 0 ? null : parseNumber(pickColumn(row, column('rt_price'))),
+    load: parseNumber(pickColumn(row, column('load'))),
+    demand: parseNumber(pickColumn(row, column('demand'))),
+    supply: parseNumber(pickColumn(row, column('supply')))
+  };
+}
+
+function readWorkbook(buffer, filename) {
+  const extension = path.extname(filename).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    throw new Error(`不支持的文件类型: ${extension || filename}`);
+  }
+
+  // CSV 按 UTF-8 文本解析，避免中文列名乱码；raw 保留原始时间字符串
+  if (extension === '.csv') {
+    return XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true });
+  }
+  return XLSX.read(buffer, { type: 'buffer' });
+}
+
+function resolveSheetName(workbook, sheet) {
+  if (sheet === undefined || sheet === null || sheet === '') {
+    return workbook.SheetNames[0];
+  }
+  if (workbook.SheetNames.includes(sheet)) {
+    return sheet;
+  }
+  const index = parseInt(sheet, 10);
+  if (!isNaN(index) && workbook.SheetNames[index]) {
+    return workbook.SheetNames[index];
+  }
+  throw new Error(`工作表不存在: ${sheet}，可选: ${workbook.SheetNames.join(', ')}`);
+}
+
+// 把一批原始行转换为标准记录，返回记录和被拒绝的行序号
+function normalizeRows(rows, options = {}) {
+  const { mapping = {}, timezone, intervalLabel = 'auto' } = options;
+  const candidates = [];
+  const rejected = [];
+
+  rows.forEach((row, index) => {
+    const record = normalizeRow(row, mapping);
+    if (record.timestamp === undefined) {
+      rejected.push({ index, reason: '缺少时间列' });
+    } else if (isNaN(record.price)) {
+      rejected.push({ index, reason: '电价不是有效数字' });
+    } else {
+      candidates.push({ index, record });
+    }
+  });
+
+  const canonical = canonicalizeRecords(candidates.map(c => c.record), { timezone, intervalLabel });
+  canonical.rejected.forEach(({ index, reason }) => {
+    rejected.push({ index: candidates[index].index, reason });
+  });
+
+  return {
+    records: canonical.records,
+    rejected: rejected.sort((a, b) => a.index - b.index),
+    intervalLabel: canonical.intervalLabel
+  };
+}
+
+// 解析上传的文件，返回标准化记录和被拒绝的行
+function parseMarketFile(buffer, filename, options = {}) {
+  const { sheet, mapping = {}, timezone, intervalLabel } = options;
+
+  Object.keys(mapping).forEach(field => {
+    if (!COLUMN_CANDIDATES[field]) {
+      throw new Error(`未知的映射字段: ${field}，可选: ${Object.keys(COLUMN_CANDIDATES).join(', ')}`);
+    }
+  });
+
+  const workbook = readWorkbook(buffer, filename);
+  const sheetName = resolveSheetName(workbook, sheet);
+  const worksheet = workbook.Sheets[sheetName];
+  const header = XLSX.utils.sheet_to_json(worksheet, { header: 1 })[0] || [];
+  const rows = XLSX.utils.sheet_to_json(worksheet);
+
+  Object.keys(mapping).forEach(field => {
+    if (!header.includes(mapping[field])) {
+      throw new Error(`工作表 ${sheetName} 中不存在列: ${mapping[field]}`);
+    }
+  });
+
+  const { records, rejected, intervalLabel: detectedLabel } = normalizeRows(rows, { mapping, timezone, intervalLabel });
+
+  return {
+    sheet: sheetName,
+    sheets: workbook.SheetNames,
+    columns: header,
+    records,
+    // 表头占第1行，数据从第2行开始
+    rejected: rejected.map(({ index, reason }) => ({ row: index + 2, reason })),
+    intervalLabel: detectedLabel,
+    totalRows: rows.length
+  };
+}
+
+// 按时间戳去重合并：新数据覆盖同一时刻的旧数据，结果按时间排序
+function mergeRecords(existing, incoming) {
+  const byTime = new Map(existing.map(item => [new Date(item.timestamp).getTime(), item]));
+  const seenInFile = new Set();
+  let accepted = 0;
+  let overwritten = 0;
+  let duplicatesInFile = 0;
+
+  incoming.forEach(record => {
+    const time = new Date(record.timestamp).getTime();
+    if (seenInFile.has(time)) {
+      duplicatesInFile++;
+    } else if (byTime.has(time)) {
+      overwritten++;
+    } else {
+      accepted++;
+    }
+    seenInFile.add(time);
+    byTime.set(time, record);
+  });
+
+  const data = [...byTime.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, item]) => item);
+
+  return { data, accepted, overwritten, duplicatesInFile };
+}
+
+module.exports = {
+  COLUMN_CANDIDATES,
+  SUPPORTED_EXTENSIONS,
+  MAX_REPORTED_REJECTIONS,
+  normalizeRow,
+  normalizeRows,
+  parseMarketFile,
+  mergeRecords
+};
@@ -0,0 +1,74 @@
+// 基于留出验证集残差的分时段经验分位数区间 (split conformal)
+// 残差定义为 实际值 - 预测值，按一天内96个时段分组
+
+const POINTS_PER_DAY = 96;
+
+function createCalibration(slots, residuals) {
+  const bySlot = Array.from({ length: POINTS_PER_DAY }, () => []);
+  residuals.forEach((value, i) => bySlot[slots[i]].push(value));
+  return {
+    bySlot,
+    total: residuals.length
+  };
+}
+
+// 留出集残差按市场日拆成完整的96点路径，保留日内误差的时序相关性，供情景生成使用
+function createResidualPaths(dayKeys, slots, residuals) {
+  const days = new Map();
+  residuals.forEach((value, i) => {
+    if (!days.has(dayKeys[i])) days.set(dayKeys[i], Array(POINTS_PER_DAY).fill(null));
+    days.get(dayKeys[i])[slots[i]] = value;
+  });
+  return [...days.entries()]
+    .filter(([, path]) => path.every(value => value !== null))
+    .map(([date, path]) => ({ date, residuals: path }));
+}
+
+// 以目标时段为中心向两侧扩展窗口，直到样本数足以支撑所需的尾部概率
+function collectResiduals(calibration, slot, minSamples) {
+  const values = [...calibration.bySlot[slot]];
+  let window = 0;
+
+  while (values.length < minSamples && window < POINTS_PER_DAY / 2) {
+    window++;
+    values.push(...calibration.bySlot[(slot + window) % POINTS_PER_DAY]);
+    if (window < POINTS_PER_DAY / 2) {
+      values.push(...calibration.bySlot[(slot - window + POINTS_PER_DAY) % POINTS_PER_DAY]);
+    }
+  }
+
+  return { values: values.sort((a, b) => a - b), window };
+}
+
+// 有限样本修正的经验分位数：k = ceil((n + 1) * p)，超出范围时取最小/最大残差
+function conformalQuantile(sorted, p) {
+  const n = sorted.length;
+  const k = p >= 0.5 ? Math.ceil((n + 1) * p) : Math.floor((n + 1) * p);
+  return sorted[Math.min(Math.max(k, 1), n) - 1];
+}
+
+// 返回相对点预测的偏移量；多日预测时误差按 sqrt(提前天数) 放大
+function computeInterval(calibration, slot, confidenceLevel, daysAhead = 1) {
+  const alpha = 1 - confidenceLevel;
+  const minSamples = Math.max(Math.ceil(2 / alpha) - 1, Math.ceil(2 / 0.2) - 1);
+  const { values, window } = collectResiduals(calibration, slot, minSamples);
+  const scale = Math.sqrt(Math.max(daysAhead, 1));
+
+  return {
+    lower: conformalQuantile(values, alpha / 2) * scale,
+    upper: conformalQuantile(values, 1 - alpha / 2) * scale,
+    quantiles: {
+      p10: conformalQuantile(values, 0.1) * scale,
+      p50: conformalQuantile(values, 0.5) * scale,
+      p90: conformalQuantile(values, 0.9) * scale
+    },
+    samples: values.length,
+    slot_window: window
+  };
+}
+
+module.exports = {
+  createCalibration,
+  createResidualPaths,
+  computeInterval
+};
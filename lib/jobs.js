@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+
+// 后台任务队列：每个任务在单独的工作线程中计算，同时运行的任务数受 concurrency 限制，其余按提交顺序排队；
+// 取消运行中的任务时直接终止其工作线程。任务只保存在进程内存中，服务重启后清空
+// 每次任务状态或进度变化时触发 update 事件 (参数为任务快照)
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+class JobQueue extends EventEmitter {
+  // script: 工作线程脚本，workerData 为 { type, payload }，通过 postMessage 发送
+  //   { event: 'progress', percent, message } 与 { event: 'result', result }
+  // finish(job, result): 在主线程中处理计算结果 (如保存运行记录)，返回值作为任务结果
+  constructor({ script, concurrency = 1, maxFinished = 50, finish = (job, result) => result }) {
+    super();
+    this.script = script;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxFinished = maxFinished;
+    this.finish = finish;
+    this.jobs = new Map();
+    this.waiting = [];
+    this.running = new Map();
+    // 订阅 SSE 的连接较多时不提示监听器泄漏
+    this.setMaxListeners(0);
+  }
+
+  submit(type, payload) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      progress: { percent: 0, message: '排队中' },
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      error: null,
+      payload,
+      result: null
+    };
+    this.jobs.set(job.id, job);
+    this.waiting.push(job);
+    this.notify(job);
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // 最新提交的在前
+  list() {
+    return [...this.jobs.values()].reverse();
+  }
+
+  // 排队中的任务直接移出队列，运行中的任务终止工作线程；已结束的任务返回 false
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || isFinished(job)) return false;
+
+    const worker = this.running.get(job.id);
+    this.waiting = this.waiting.filter(item => item !== job);
+    this.settle(job, 'cancelled', { error: '任务已取消' });
+    if (worker) {
+      worker.terminate();
+    } else {
+      this.drain();
+    }
+    return true;
+  }
+
+  // 对外的任务状态，不含请求参数和计算结果
+  describe(job) {
+    const position = this.waiting.indexOf(job);
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      queue_position: position >= 0 ? position + 1 : null,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      error: job.error
+    };
+  }
+
+  notify(job) {
+    this.emit('update', this.describe(job));
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      this.start(this.waiting.shift());
+    }
+    // 排队位置变化
+    this.waiting.forEach(job => this.notify(job));
+  }
+
+  start(job) {
+    let worker;
+    try {
+      worker = new Worker(this.script, { workerData: { type: job.type, payload: job.payload } });
+    } catch (error) {
+      this.settle(job, 'failed', { error: `无法启动工作线程: ${error.message}` });
+      return;
+    }
+    this.running.set(job.id, worker);
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    job.progress = { percent: 0, message: '开始计算' };
+    this.notify(job);
+
+    worker.on('message', message => {
+      if (isFinished(job)) return;
+      if (message.event === 'progress') {
+        job.progress = { percent: Math.round(Math.min(100, Math.max(0, message.percent)) * 10) / 10, message: message.message };
+        this.notify(job);
+      } else if (message.event === 'result') {
+        try {
+          this.settle(job, 'succeeded', { result: this.finish(job, message.result) });
+        } catch (error) {
+          this.settle(job, 'failed', { error: error.message });
+        }
+      }
+    });
+    worker.on('error', error => {
+      if (!isFinished(job)) this.settle(job, 'failed', { error: error.message });
+    });
+    worker.on('exit', code => {
+      if (!isFinished(job)) this.settle(job, 'failed', { error: `工作线程异常退出 (退出码 ${code})` });
+      this.running.delete(job.id);
+      this.drain();
+    });
+  }
+
+  settle(job, status, { result = null, error = null }) {
+    job.status = status;
+    job.finished_at = new Date().toISOString();
+    job.result = result;
+    job.error = error;
+    if (status === 'succeeded') {
+      job.progress = { percent: 100, message: '完成' };
+    }
+    job.payload = null;
+    this.notify(job);
+    this.prune();
+  }
+
+  // 只保留最近 maxFinished 个已结束的任务
+  prune() {
+    const finished = [...this.jobs.values()].filter(isFinished);
+    finished.slice(0, Math.max(0, finished.length - this.maxFinished)).forEach(job => this.jobs.delete(job.id));
+  }
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  isFinished,
+  JobQueue
+};
@@ -0,0 +1,10 @@
+const { parentPort, workerData } = require('worker_threads');
+const service = require('./service');
+
+// 后台任务的工作线程：只读打开主线程已准备好的存储，执行计算并把进度和结果发回主线程，运行记录由主线程保存
+service.openStorageSnapshot();
+
+const result = service.computeTask(workerData.type, workerData.payload, (percent, message) => {
+  parentPort.postMessage({ event: 'progress', percent, message });
+});
+parentPort.postMessage({ event: 'result', result });
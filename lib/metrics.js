@@ -0,0 +1,50 @@
+// 预测误差指标：MAE / RMSE / MAPE / sMAPE 以及置信区间覆盖率
+function computeErrorMetrics(actual, predicted, lower, upper) {
+  const points = actual.length;
+  if (points === 0) {
+    return { points: 0, mae: null, rmse: null, mape: null, smape: null, coverage: null };
+  }
+
+  let absSum = 0;
+  let squareSum = 0;
+  let apeSum = 0;
+  let apeCount = 0;
+  let sapeSum = 0;
+  let sapeCount = 0;
+  let covered = 0;
+
+  for (let i = 0; i < points; i++) {
+    const error = predicted[i] - actual[i];
+    absSum += Math.abs(error);
+    squareSum += error * error;
+
+    // 实际电价为 0 的点无法计算百分比误差，不计入 MAPE
+    if (actual[i] !== 0) {
+      apeSum += Math.abs(error / actual[i]);
+      apeCount++;
+    }
+
+    const denominator = (Math.abs(actual[i]) + Math.abs(predicted[i])) / 2;
+    if (denominator !== 0) {
+      sapeSum += Math.abs(error) / denominator;
+      sapeCount++;
+    }
+
+    if (lower && upper && actual[i] >= lower[i] && actual[i] <= upper[i]) {
+      covered++;
+    }
+  }
+
+  return {
+    points,
+    mae: absSum / points,
+    rmse: Math.sqrt(squareSum / points),
+    mape: apeCount > 0 ? apeSum / apeCount : null,
+    smape: sapeCount > 0 ? sapeSum / sapeCount : null,
+    coverage: lower && upper ? covered / points : null
+  };
+}
+
+module.exports = {
+  computeErrorMetrics
+};
@@ -0,0 +1,327 @@
+const { MultivariateLinearRegression } = require('ml-regression');
+
+// 可复现的伪随机数生成器 (mulberry32)，保证同一份数据训练出同一个模型
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 按分位数为每个特征计算分箱边界，树模型只在边界上寻找切分点
+function computeBinEdges(X, maxBins) {
+  const featureCount = X[0].length;
+  const edges = [];
+
+  for (let f = 0; f < featureCount; f++) {
+    const values = X.map(row => row[f]).sort((a, b) => a - b);
+    const featureEdges = [];
+    for (let b = 1; b < maxBins; b++) {
+      const value = values[Math.floor((b / maxBins) * (values.length - 1))];
+      if (featureEdges.length === 0 || value > featureEdges[featureEdges.length - 1]) {
+        featureEdges.push(value);
+      }
+    }
+    edges.push(featureEdges);
+  }
+
+  return edges;
+}
+
+function binFeatures(X, edges) {
+  return edges.map((featureEdges, f) => {
+    const codes = new Uint8Array(X.length);
+    for (let i = 0; i < X.length; i++) {
+      const value = X[i][f];
+      let bin = 0;
+      while (bin < featureEdges.length && value > featureEdges[bin]) bin++;
+      codes[i] = bin;
+    }
+    return codes;
+  });
+}
+
+// 基于梯度/二阶导的直方图回归树 (平方损失下 hessian 恒为 1)
+function buildTree(binned, edges, gradients, hessians, rows, options, random) {
+  const { maxDepth, minSamplesLeaf, lambda = 0, gamma = 0, featureFraction = 1 } = options;
+  const nodes = [];
+
+  const leafValue = (G, H) => -G / (H + lambda);
+
+  const grow = (nodeRows, depth) => {
+    let G = 0;
+    let H = 0;
+    for (const i of nodeRows) {
+      G += gradients[i];
+      H += hessians[i];
+    }
+
+    const nodeIndex = nodes.length;
+    nodes.push({ leaf: true, value: leafValue(G, H) });
+
+    if (depth >= maxDepth || nodeRows.length < minSamplesLeaf * 2) {
+      return nodeIndex;
+    }
+
+    const parentScore = (G * G) / (H + lambda);
+    let best = null;
+
+    for (let f = 0; f < edges.length; f++) {
+      if (featureFraction < 1 && random() > featureFraction) continue;
+      const binCount = edges[f].length + 1;
+      if (binCount < 2) continue;
+
+      const gradSum = new Float64Array(binCount);
+      const hessSum = new Float64Array(binCount);
+      const counts = new Uint32Array(binCount);
+      const codes = binned[f];
+      for (const i of nodeRows) {
+        gradSum[codes[i]] += gradients[i];
+        hessSum[codes[i]] += hessians[i];
+        counts[codes[i]]++;
+      }
+
+      let GL = 0;
+      let HL = 0;
+      let nL = 0;
+      for (let b = 0; b < binCount - 1; b++) {
+        GL += gradSum[b];
+        HL += hessSum[b];
+        nL += counts[b];
+        const nR = nodeRows.length - nL;
+        if (nL < minSamplesLeaf || nR < minSamplesLeaf) continue;
+
+        const GR = G - GL;
+        const HR = H - HL;
+        const gain = (GL * GL) / (HL + lambda) + (GR * GR) / (HR + lambda) - parentScore;
+        if (gain > gamma && (!best || gain > best.gain)) {
+          best = { gain, feature: f, bin: b };
+        }
+      }
+    }
+
+    if (!best) return nodeIndex;
+
+    const codes = binned[best.feature];
+    const leftRows = [];
+    const rightRows = [];
+    for (const i of nodeRows) {
+      (codes[i] <= best.bin ? leftRows : rightRows).push(i);
+    }
+
+    const node = nodes[nodeIndex];
+    node.leaf = false;
+    node.feature = best.feature;
+    node.threshold = edges[best.feature][best.bin];
+    node.gain = best.gain;
+    node.left = grow(leftRows, depth + 1);
+    node.right = grow(rightRows, depth + 1);
+    return nodeIndex;
+  };
+
+  grow(rows, 0);
+  return nodes;
+}
+
+function predictTree(nodes, x) {
+  let node = nodes[0];
+  while (!node.leaf) {
+    node = nodes[x[node.feature] <= node.threshold ? node.left : node.right];
+  }
+  return node.value;
+}
+
+// 线性回归 (ml-regression 多元线性回归，特征先标准化)
+class LinearRegressionModel {
+  fit(X, y) {
+    const featureCount = X[0].length;
+    this.means = new Array(featureCount).fill(0);
+    this.scales = new Array(featureCount).fill(0);
+
+    X.forEach(row => row.forEach((v, f) => { this.means[f] += v / X.length; }));
+    X.forEach(row => row.forEach((v, f) => { this.scales[f] += ((v - this.means[f]) ** 2) / X.length; }));
+    this.scales = this.scales.map(v => Math.sqrt(v) || 1);
+
+    const scaled = X.map(row => this.scale(row));
+    this.regression = new MultivariateLinearRegression(scaled, y.map(v => [v]), { statistics: false });
+    return this;
+  }
+
+  scale(row) {
+    return row.map((v, f) => (v - this.means[f]) / this.scales[f]);
+  }
+
+  predict(x) {
+    return this.regression.predict(this.scale(x))[0];
+  }
+
+  toJSON() {
+    return { means: this.means, scales: this.scales, regression: this.regression.toJSON() };
+  }
+
+  restore(state) {
+    this.means = state.means;
+    this.scales = state.scales;
+    this.regression = MultivariateLinearRegression.load(state.regression);
+    return this;
+  }
+}
+
+// 随机森林：自助采样 + 特征子采样的回归树集成
+class RandomForestModel {
+  constructor(options = {}) {
+    this.options = {
+      nEstimators: 30,
+      maxDepth: 8,
+      minSamplesLeaf: 8,
+      featureFraction: 0.5,
+      maxBins: 32,
+      seed: 42,
+      ...options
+    };
+  }
+
+  fit(X, y) {
+    const { nEstimators, maxBins, seed } = this.options;
+    const random = createRandom(seed);
+    const edges = computeBinEdges(X, maxBins);
+    const binned = binFeatures(X, edges);
+    const gradients = Float64Array.from(y, v => -v);
+    const hessians = new Float64Array(y.length).fill(1);
+
+    this.trees = [];
+    for (let t = 0; t < nEstimators; t++) {
+      const rows = Array.from({ length: y.length }, () => Math.floor(random() * y.length));
+      this.trees.push(buildTree(binned, edges, gradients, hessians, rows, this.options, random));
+    }
+    return this;
+  }
+
+  predict(x) {
+    return this.trees.reduce((sum, tree) => sum + predictTree(tree, x), 0) / this.trees.length;
+  }
+
+  toJSON() {
+    return { options: this.options, trees: this.trees };
+  }
+
+  restore(state) {
+    this.options = state.options;
+    this.trees = state.trees;
+    return this;
+  }
+}
+
+// 梯度提升树：平方损失下逐轮拟合残差；设置 lambda/gamma 时即为 XGBoost 式的正则化牛顿提升
+class GradientBoostingModel {
+  constructor(options = {}) {
+    this.options = {
+      nEstimators: 80,
+      learningRate: 0.1,
+      maxDepth: 3,
+      minSamplesLeaf: 10,
+      subsample: 0.8,
+      featureFraction: 1,
+      lambda: 0,
+      gamma: 0,
+      maxBins: 32,
+      seed: 7,
+      ...options
+    };
+  }
+
+  fit(X, y) {
+    const { nEstimators, learningRate, subsample, maxBins, seed } = this.options;
+    const random = createRandom(seed);
+    const edges = computeBinEdges(X, maxBins);
+    const binned = binFeatures(X, edges);
+
+    this.baseValue = y.reduce((sum, v) => sum + v, 0) / y.length;
+    const current = new Float64Array(y.length).fill(this.baseValue);
+    const gradients = new Float64Array(y.length);
+    const hessians = new Float64Array(y.length).fill(1);
+
+    this.trees = [];
+    for (let t = 0; t < nEstimators; t++) {
+      for (let i = 0; i < y.length; i++) gradients[i] = current[i] - y[i];
+
+      const rows = [];
+      for (let i = 0; i < y.length; i++) {
+        if (subsample >= 1 || random() < subsample) rows.push(i);
+      }
+
+      const tree = buildTree(binned, edges, gradients, hessians, rows, this.options, random);
+      this.trees.push(tree);
+      for (let i = 0; i < y.length; i++) current[i] += learningRate * predictTree(tree, X[i]);
+    }
+    return this;
+  }
+
+  predict(x) {
+    const { learningRate } = this.options;
+    return this.trees.reduce((sum, tree) => sum + learningRate * predictTree(tree, x), this.baseValue);
+  }
+
+  toJSON() {
+    return { options: this.options, baseValue: this.baseValue, trees: this.trees };
+  }
+
+  restore(state) {
+    this.options = state.options;
+    this.baseValue = state.baseValue;
+    this.trees = state.trees;
+    return this;
+  }
+}
+
+// 支持的模型及其中文名称
+const MODEL_DEFINITIONS = {
+  random_forest: {
+    name: '随机森林',
+    create: () => new RandomForestModel()
+  },
+  xgboost: {
+    name: 'XGBoost (L2正则化牛顿提升)',
+    create: () => new GradientBoostingModel({
+      nEstimators: 80,
+      maxDepth: 4,
+      minSamplesLeaf: 5,
+      lambda: 1,
+      gamma: 1,
+      featureFraction: 0.8,
+      seed: 11
+    })
+  },
+  gradient_boosting: {
+    name: '梯度提升树',
+    create: () => new GradientBoostingModel()
+  },
+  linear_regression: {
+    name: '多元线性回归',
+    create: () => new LinearRegressionModel()
+  }
+};
+
+function createModel(type) {
+  const definition = MODEL_DEFINITIONS[type];
+  if (!definition) {
+    throw new Error(`不支持的模型类型: ${type}`);
+  }
+  return definition.create();
+}
+
+// 由 JSON.stringify(model) 保存的参数恢复已训练的模型，预测结果与保存前完全一致
+function restoreModel(type, state) {
+  return createModel(type).restore(state);
+}
+
+module.exports = {
+  MODEL_DEFINITIONS,
+  createModel,
+  restoreModel,
+  createRandom
+};
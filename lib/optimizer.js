@@ -0,0 +1,229 @@
+// 单机组投标出力优化：在96点上联合求解开停机与出力，最大化预期收益
+// 约束：最小/最大出力、爬坡速率、最小开机/停机时间、启动成本，发电成本可为非线性的成本曲线
+// 方法：出力离散为网格后做动态规划 (状态 = 开/停 × 已持续时段数 × 出力档位)，在网格上得到全局最优
+const INTERVAL_HOURS = 0.25;
+
+// 出力网格最多的档位数，档位越多越精确，计算量线性增长
+const MAX_LEVELS = 100;
+
+const DEFAULT_UNIT_PARAMS = {
+  min_output: 50, // MW
+  max_output: 150, // MW
+  ramp_up: 30, // MW / 15分钟
+  ramp_down: 30, // MW / 15分钟
+  min_up_time: 2, // 小时
+  min_down_time: 2, // 小时
+  startup_cost: 5000, // 元/次
+  initial_status: 'off',
+  initial_output: 0 // MW，initial_status 为 on 时有效
+};
+
+function resolveUnitParams(params = {}) {
+  const unit = { ...DEFAULT_UNIT_PARAMS };
+  Object.keys(params).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') unit[key] = params[key];
+  });
+  ['min_output', 'max_output', 'ramp_up', 'ramp_down', 'min_up_time', 'min_down_time', 'startup_cost', 'initial_output'].forEach(key => {
+    unit[key] = Number(unit[key]);
+    if (isNaN(unit[key]) || unit[key] < 0) {
+      throw new Error(`机组参数 ${key} 必须为非负数`);
+    }
+  });
+  if (unit.max_output <= 0 || unit.min_output > unit.max_output) {
+    throw new Error('机组参数无效: 需满足 0 ≤ min_output ≤ max_output 且 max_output > 0');
+  }
+  if (!['on', 'off'].includes(unit.initial_status)) {
+    throw new Error('initial_status 只能为 on 或 off');
+  }
+  return unit;
+}
+
+// values: 各时段每发 1MWh 的期望收益 (元/MWh)，已计入偏差结算风险
+// costCurve 为空时 values 已扣除发电成本；否则按成本曲线 cost(P) (元/h) 另行扣除
+function optimizeSchedule(values, unitParams = {}, costCurve = null) {
+  const startedAt = Date.now();
+  const unit = resolveUnitParams(unitParams);
+  const T = values.length;
+
+  const range = unit.max_output - unit.min_output;
+  const N = range > 0 ? Math.min(MAX_LEVELS, Math.ceil(range)) : 0;
+  const step = N > 0 ? range / N : 0;
+  const level = i => unit.min_output + i * step;
+  // 爬坡限制换算为档位数；ramp 为 0 时视为出力固定
+  const toLevels = ramp => (step > 0 ? Math.floor(ramp / step + 1e-9) : 0);
+  const rampUpLevels = toLevels(unit.ramp_up);
+  const rampDownLevels = toLevels(unit.ramp_down);
+  // 启动当时段/停机前一时段的出力不超过 max(最小出力, 爬坡速率)
+  const startupMaxLevel = toLevels(Math.max(unit.min_output, unit.ramp_up) - unit.min_output);
+  const shutdownMaxLevel = toLevels(Math.max(unit.min_output, unit.ramp_down) - unit.min_output);
+
+  const U = Math.max(1, Math.ceil(unit.min_up_time / INTERVAL_HOURS));
+  const D = Math.max(1, Math.ceil(unit.min_down_time / INTERVAL_HOURS));
+  const L = N + 1;
+  const onIndex = (k, i) => (k - 1) * L + i;
+  const offIndex = k => U * L + (k - 1);
+  const S = U * L + D;
+
+  const margins = values;
+  const levelCosts = Array.from({ length: L }, (_, i) => (costCurve ? costCurve.cost(level(i)) * INTERVAL_HOURS : 0));
+  const reward = (t, i) => margins[t] * level(i) * INTERVAL_HOURS - levelCosts[i];
+  // 出力处的边际收益 (元/MWh)，用于判断哪些约束限制了收益
+  const marginAt = (t, output) => margins[t] - (costCurve ? costCurve.marginal(output) : 0);
+  const bestReward = margins.map((_, t) => {
+    let best = -Infinity;
+    for (let i = 0; i <= N; i++) best = Math.max(best, reward(t, i));
+    return best;
+  });
+
+  let value = new Float64Array(S).fill(-Infinity);
+  if (unit.initial_status === 'on') {
+    const initial = Math.max(0, Math.min(N, Math.round((unit.initial_output - unit.min_output) / (step || 1))));
+    value[onIndex(U, initial)] = 0;
+  } else {
+    value[offIndex(D)] = 0;
+  }
+
+  const backpointers = [];
+  let transitions = 0;
+
+  for (let t = 0; t < T; t++) {
+    const next = new Float64Array(S).fill(-Infinity);
+    const back = new Int32Array(S).fill(-1);
+    const energyValue = i => reward(t, i);
+    const relax = (to, from, reward) => {
+      transitions++;
+      const candidate = value[from] + reward;
+      if (candidate > next[to]) {
+        next[to] = candidate;
+        back[to] = from;
+      }
+    };
+
+    for (let k = 1; k <= D; k++) {
+      const from = offIndex(k);
+      if (value[from] === -Infinity) continue;
+      relax(offIndex(Math.min(k + 1, D)), from, 0);
+      if (k >= D) {
+        for (let i = 0; i <= Math.min(N, startupMaxLevel); i++) {
+          relax(onIndex(1, i), from, energyValue(i) - unit.startup_cost);
+        }
+      }
+    }
+
+    for (let k = 1; k <= U; k++) {
+      for (let i = 0; i <= N; i++) {
+        const from = onIndex(k, i);
+        if (value[from] === -Infinity) continue;
+        const nextK = Math.min(k + 1, U);
+        for (let j = Math.max(0, i - rampDownLevels); j <= Math.min(N, i + rampUpLevels); j++) {
+          relax(onIndex(nextK, j), from, energyValue(j));
+        }
+        if (k >= U && i <= shutdownMaxLevel) {
+          relax(offIndex(1), from, 0);
+        }
+      }
+    }
+
+    value = next;
+    backpointers.push(back);
+  }
+
+  // 回溯最优路径
+  let best = 0;
+  for (let s = 1; s < S; s++) {
+    if (value[s] > value[best]) best = s;
+  }
+  const objective = value[best];
+  if (objective === -Infinity) {
+    throw new Error('机组约束下不存在可行的出力计划，请检查初始状态与爬坡参数');
+  }
+
+  const states = new Array(T);
+  let state = best;
+  for (let t = T - 1; t >= 0; t--) {
+    states[t] = state;
+    state = backpointers[t][state];
+  }
+
+  const decode = s => (s >= U * L
+    ? { on: false, counter: s - U * L + 1, output: 0 }
+    : { on: true, counter: Math.floor(s / L) + 1, index: s % L, output: level(s % L) });
+
+  let previous = unit.initial_status === 'on'
+    ? { on: true, counter: U, output: unit.initial_output }
+    : { on: false, counter: D, output: 0 };
+
+  const schedule = states.map((s, t) => {
+    const current = decode(s);
+    const startup = current.on && !previous.on;
+    const binding = [];
+    const tolerance = 1e-6;
+
+    const intervalReward = current.on ? reward(t, current.index) : 0;
+
+    if (current.on) {
+      const margin = marginAt(t, current.output);
+      if (Math.abs(current.output - unit.max_output) < tolerance && margin > 0) binding.push('max_output');
+      if (Math.abs(current.output - unit.min_output) < tolerance && margin < 0) binding.push('min_output');
+      if (previous.on && current.output < unit.max_output - tolerance &&
+          Math.abs(current.output - previous.output - rampUpLevels * step) < tolerance && rampUpLevels * step > 0 && margin > 0) {
+        binding.push('ramp_up');
+      }
+      if (previous.on && current.output > unit.min_output + tolerance &&
+          Math.abs(previous.output - current.output - rampDownLevels * step) < tolerance && rampDownLevels * step > 0 && margin < 0) {
+        binding.push('ramp_down');
+      }
+      if (intervalReward < 0) binding.push(current.counter < U ? 'min_up_time' : 'startup_cost');
+    } else if (bestReward[t] > 0) {
+      binding.push(current.counter < D ? 'min_down_time' : 'startup_cost');
+    }
+
+    const profit = intervalReward - (startup ? unit.startup_cost : 0);
+    previous = current;
+    return {
+      on: current.on,
+      output: current.output,
+      startup,
+      margin: current.on ? marginAt(t, current.output) : margins[t],
+      profit,
+      binding
+    };
+  });
+
+  const bindingSummary = {};
+  schedule.forEach((point, t) => {
+    point.binding.forEach(name => {
+      (bindingSummary[name] = bindingSummary[name] || []).push(t);
+    });
+  });
+
+  // 忽略全部机组约束时的收益上界：每个时段都取收益最高的出力 (亏损时停机)
+  const upperBound = bestReward.reduce((sum, value) => sum + Math.max(0, value), 0);
+
+  return {
+    schedule,
+    objective,
+    unit,
+    binding: bindingSummary,
+    convergence: {
+      method: '动态规划 (出力网格上的全局最优)',
+      converged: true,
+      intervals: T,
+      output_levels: L,
+      grid_step_mw: step,
+      states: S,
+      transitions_evaluated: transitions,
+      startups: schedule.filter(point => point.startup).length,
+      relaxation_upper_bound: upperBound,
+      gap_to_upper_bound: upperBound > 0 ? (upperBound - objective) / upperBound : 0,
+      solve_time_ms: Date.now() - startedAt
+    }
+  };
+}
+
+module.exports = {
+  INTERVAL_HOURS,
+  DEFAULT_UNIT_PARAMS,
+  resolveUnitParams,
+  optimizeSchedule
+};
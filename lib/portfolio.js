@@ -0,0 +1,43 @@
+// 机组组合：每台机组有各自的出力约束、启动成本和发电成本曲线
+const { resolveUnitParams } = require('./optimizer');
+const { resolveCostCurve } = require('./costcurve');
+
+const MAX_UNITS = 10;
+
+// config.units 缺省时由 unit_params + cost_params.generationCost 构成单机组组合，与单机组优化一致
+function resolvePortfolio(config) {
+  const unitParams = config.unit_params || {};
+  const specs = Array.isArray(config.units) && config.units.length > 0
+    ? config.units
+    : [{ ...unitParams, unit_id: unitParams.unit_id || 'UNIT-1' }];
+  if (specs.length > MAX_UNITS) {
+    throw new Error(`机组数量不能超过 ${MAX_UNITS} 台`);
+  }
+
+  const generationCost = config.cost_params ? config.cost_params.generationCost : undefined;
+  const seen = new Set();
+  return specs.map((spec, index) => {
+    const { unit_id: rawId, name, cost_curve: costCurve, ...params } = spec;
+    const unitId = String(rawId || `UNIT-${index + 1}`);
+    if (seen.has(unitId)) {
+      throw new Error(`机组编号重复: ${unitId}`);
+    }
+    seen.add(unitId);
+
+    try {
+      return {
+        unit_id: unitId,
+        name: name || unitId,
+        params: resolveUnitParams(params),
+        costCurve: resolveCostCurve(costCurve, generationCost)
+      };
+    } catch (error) {
+      throw new Error(`机组 ${unitId}: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  MAX_UNITS,
+  resolvePortfolio
+};
@@ -0,0 +1,269 @@
+// 数据质量校验与修复：重复时间戳、缺失的15分钟区间、缺失/零值字段、统计异常值、日边界
+const { INTERVAL_MS, DAY_MS, formatMarketTimestamp, toMarketDateKey } = require('./timeutil');
+
+const POINTS_PER_DAY = DAY_MS / INTERVAL_MS;
+
+const REPAIR_STRATEGIES = ['interpolate', 'previous_day', 'flag'];
+
+// 负荷/供需字段为 0 视为缺测补零；电价为 0 在现货市场中可能真实存在，不做此判断
+const FILL_FIELDS = ['load', 'demand', 'supply'];
+const OUTLIER_FIELDS = ['price', 'rt_price', 'load', 'demand', 'supply'];
+
+// 实时电价只在部分数据源中存在；缺失时只标记不修复，实时数据未发布的整段时间插值会编造结算价格
+const FLAG_ONLY_FIELDS = ['rt_price'];
+
+// Hampel 滤波窗口：前后各12小时
+const OUTLIER_WINDOW = 48;
+
+const DEFAULT_OPTIONS = {
+  strategy: 'interpolate',
+  repairOutliers: false,
+  outlierThreshold: 5
+};
+
+function isMissing(row, field) {
+  const value = row[field];
+  if (value === null || value === undefined || isNaN(value)) return true;
+  return FILL_FIELDS.includes(field) && value === 0;
+}
+
+function addFlag(row, flag) {
+  row.quality_flags = [...(row.quality_flags || []), flag].filter((f, i, list) => list.indexOf(f) === i);
+}
+
+// 线性插值：取前后最近的有效值，只有一侧有效时直接沿用
+function interpolateValue(rows, index, field) {
+  let before = index - 1;
+  while (before >= 0 && isMissing(rows[before], field)) before--;
+  let after = index + 1;
+  while (after < rows.length && isMissing(rows[after], field)) after++;
+
+  const hasBefore = before >= 0;
+  const hasAfter = after < rows.length;
+  if (hasBefore && hasAfter) {
+    const ratio = (rows[index].time - rows[before].time) / (rows[after].time - rows[before].time);
+    return rows[before][field] + (rows[after][field] - rows[before][field]) * ratio;
+  }
+  if (hasBefore) return rows[before][field];
+  if (hasAfter) return rows[after][field];
+  return null;
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Hampel 滤波：与滑动窗口中位数的偏差超过 threshold 倍 MAD 即判为异常
+function detectOutliers(rows, field, threshold) {
+  const outliers = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    if (isMissing(rows[i], field)) continue;
+
+    const window = [];
+    for (let j = Math.max(0, i - OUTLIER_WINDOW); j <= Math.min(rows.length - 1, i + OUTLIER_WINDOW); j++) {
+      if (!isMissing(rows[j], field)) window.push(rows[j][field]);
+    }
+    if (window.length < 5) continue;
+
+    window.sort((a, b) => a - b);
+    const center = median(window);
+    // 价格平稳时 MAD 接近 0，设置为中位数 5% 的下限以免把正常波动判为异常
+    const mad = Math.max(
+      median(window.map(v => Math.abs(v - center)).sort((a, b) => a - b)) * 1.4826,
+      Math.abs(center) * 0.05
+    );
+    if (mad === 0) continue;
+
+    const score = Math.abs(rows[i][field] - center) / mad;
+    if (score > threshold) {
+      outliers.push({ index: i, median: center, score });
+    }
+  }
+
+  return outliers;
+}
+
+// 执行完整的校验与修复，返回修复后的数据和逐时间点的问题清单 (不修改传入的记录)
+function runQualityStage(records, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  if (!REPAIR_STRATEGIES.includes(config.strategy)) {
+    throw new Error(`不支持的修复策略: ${config.strategy}，可选: ${REPAIR_STRATEGIES.join(', ')}`);
+  }
+
+  const issues = [];
+  let changed = false;
+
+  // 1. 排序并合并重复时间戳 (保留最后一条)
+  const byTime = new Map();
+  const duplicateCounts = new Map();
+  records.forEach(record => {
+    const time = new Date(record.timestamp).getTime();
+    if (isNaN(time)) {
+      issues.push({ timestamp: String(record.timestamp), type: 'invalid_timestamp', message: '时间无法解析，已丢弃' });
+      changed = true;
+      return;
+    }
+    if (byTime.has(time)) {
+      duplicateCounts.set(time, (duplicateCounts.get(time) || 1) + 1);
+    }
+    byTime.set(time, { ...record, time });
+  });
+
+  duplicateCounts.forEach((count, time) => {
+    issues.push({
+      timestamp: byTime.get(time).timestamp,
+      type: 'duplicate',
+      count,
+      message: `时间戳重复 ${count} 次，保留最后一条`
+    });
+    addFlag(byTime.get(time), 'duplicate_resolved');
+    changed = true;
+  });
+
+  let rows = [...byTime.values()].sort((a, b) => a.time - b.time);
+
+  // 2. 检查是否落在15分钟网格上 (时区/夏令时错位会表现为非整刻度)
+  rows.forEach(row => {
+    if (row.time % INTERVAL_MS !== 0) {
+      issues.push({ timestamp: row.timestamp, type: 'misaligned', message: '时间不在15分钟整刻度上' });
+    }
+  });
+
+  // 3. 查找缺失的15分钟区间，非 flag 策略下补齐空行待后续修复
+  const withGaps = [];
+  rows.forEach((row, i) => {
+    if (i > 0) {
+      for (let time = rows[i - 1].time + INTERVAL_MS; time < row.time; time += INTERVAL_MS) {
+        const timestamp = formatMarketTimestamp(time);
+        issues.push({ timestamp, type: 'gap', message: '缺失该15分钟区间' });
+        if (config.strategy !== 'flag') {
+          const filled = {
+            timestamp,
+            interval_end: formatMarketTimestamp(time + INTERVAL_MS),
+            interval_label: row.interval_label,
+            time,
+            price: null,
+            rt_price: null,
+            load: null,
+            demand: null,
+            supply: null
+          };
+          addFlag(filled, 'gap_filled');
+          withGaps.push(filled);
+          changed = true;
+        }
+      }
+    }
+    withGaps.push(row);
+  });
+  rows = withGaps;
+
+  // 4. 缺失值与补零字段 (数据源完全没有实时电价时不检查该字段)
+  const rowByTime = new Map(rows.map(row => [row.time, row]));
+  const flagOnlyFields = FLAG_ONLY_FIELDS.filter(field => rows.some(row => !isMissing(row, field)));
+  const pending = [];
+  rows.forEach((row, index) => {
+    const isGapRow = row.quality_flags && row.quality_flags.includes('gap_filled');
+    flagOnlyFields.forEach(field => {
+      if (!isMissing(row, field) || isGapRow) return;
+      issues.push({
+        timestamp: row.timestamp,
+        type: 'missing_value',
+        field,
+        value: null,
+        message: `${field} 缺失 (未修复)`
+      });
+    });
+    ['price', ...FILL_FIELDS].forEach(field => {
+      if (!isMissing(row, field)) return;
+      const issue = {
+        timestamp: row.timestamp,
+        type: row[field] === 0 ? 'zero_value' : 'missing_value',
+        field,
+        value: row[field] === undefined ? null : row[field],
+        message: row[field] === 0 ? `${field} 为 0，疑似缺测补零` : `${field} 缺失或无法解析`
+      };
+      if (!isGapRow) issues.push(issue);
+      pending.push({ index, field, issue });
+    });
+  });
+
+  if (config.strategy !== 'flag') {
+    // 先计算全部修复值再统一写入，避免修复结果影响相邻点的插值
+    const repairs = pending.map(({ index, field, issue }) => {
+      let value = null;
+      let method = config.strategy;
+      if (config.strategy === 'previous_day') {
+        const previous = rowByTime.get(rows[index].time - DAY_MS);
+        if (previous && !isMissing(previous, field)) value = previous[field];
+      }
+      if (value === null) {
+        value = interpolateValue(rows, index, field);
+        method = 'interpolate';
+      }
+      return { index, field, issue, value, method };
+    });
+
+    repairs.forEach(({ index, field, issue, value, method }) => {
+      if (value === null) return;
+      rows[index] = { ...rows[index], [field]: value };
+      addFlag(rows[index], `${method}:${field}`);
+      issue.repair = { strategy: method, value };
+      changed = true;
+    });
+  }
+
+  // 5. 统计异常值 (默认只标记，电价尖峰往往是真实行情)
+  OUTLIER_FIELDS.forEach(field => {
+    detectOutliers(rows, field, config.outlierThreshold).forEach(({ index, median: center, score }) => {
+      const issue = {
+        timestamp: rows[index].timestamp,
+        type: 'outlier',
+        field,
+        value: rows[index][field],
+        rolling_median: center,
+        score,
+        message: `${field} 偏离滑动中位数 ${score.toFixed(1)} 倍 MAD`
+      };
+      if (config.repairOutliers) {
+        rows[index] = { ...rows[index], [field]: center };
+        addFlag(rows[index], `outlier_median:${field}`);
+        issue.repair = { strategy: 'rolling_median', value: center };
+        changed = true;
+      }
+      issues.push(issue);
+    });
+  });
+
+  // 6. 日边界：市场时区的每个自然日应有96个区间
+  const dayCounts = new Map();
+  rows.forEach(row => {
+    const day = toMarketDateKey(row.time);
+    dayCounts.set(day, (dayCounts.get(day) || 0) + 1);
+  });
+  dayCounts.forEach((count, day) => {
+    if (count !== POINTS_PER_DAY) {
+      issues.push({ timestamp: day, type: 'incomplete_day', count, message: `该日有 ${count} 个区间，应为 ${POINTS_PER_DAY} 个` });
+    }
+  });
+
+  issues.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+
+  const summary = {};
+  issues.forEach(issue => { summary[issue.type] = (summary[issue.type] || 0) + 1; });
+
+  return {
+    data: rows.map(({ time, ...row }) => row),
+    issues,
+    summary,
+    changed,
+    options: config
+  };
+}
+
+module.exports = {
+  REPAIR_STRATEGIES,
+  runQualityStage
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+// 模型库：已训练的电价预测模型按版本保存，索引 (版本、训练窗口、特征组合、回测指标、启用状态) 保存在
+// registry.json，模型参数较大，每个版本单独保存为 <版本>.json；同一时间只有一个版本处于启用状态
+
+const INDEX_FILE = 'registry.json';
+
+class ModelRegistry {
+  constructor(directory) {
+    this.directory = directory;
+    this.isOpen = false;
+    this.index = { active_version: null, next_number: 1, models: [] };
+  }
+
+  open() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const file = path.join(this.directory, INDEX_FILE);
+    if (fs.existsSync(file)) {
+      this.index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    this.isOpen = true;
+    return this;
+  }
+
+  artifactPath(version) {
+    return path.join(this.directory, `${version}.json`);
+  }
+
+  // 先写临时文件再重命名，避免进程中断时留下半截文件
+  writeFile(file, content) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, file);
+  }
+
+  saveIndex() {
+    this.writeFile(path.join(this.directory, INDEX_FILE), JSON.stringify(this.index, null, 2));
+  }
+
+  list() {
+    return this.index.models;
+  }
+
+  get(version) {
+    return this.index.models.find(model => model.version === version) || null;
+  }
+
+  getActive() {
+    return this.index.active_version ? this.get(this.index.active_version) : null;
+  }
+
+  // 登记新版本：entry 为描述信息，artifact 为模型参数；版本号按登记顺序为 v1、v2 ...
+  register(entry, artifact) {
+    const version = `v${this.index.next_number}`;
+    const content = JSON.stringify(artifact);
+    this.writeFile(this.artifactPath(version), content);
+
+    const model = {
+      version,
+      status: 'candidate',
+      created_at: new Date().toISOString(),
+      promoted_at: null,
+      ...entry,
+      artifact_bytes: Buffer.byteLength(content)
+    };
+    this.index.models.push(model);
+    this.index.next_number++;
+    this.saveIndex();
+    return model;
+  }
+
+  // 启用指定版本，原启用版本改为 retired
+  promote(version) {
+    const model = this.get(version);
+    if (!model) {
+      throw new Error(`模型版本不存在: ${version}`);
+    }
+    const previous = this.getActive();
+    if (previous && previous !== model) {
+      previous.status = 'retired';
+    }
+    model.status = 'active';
+    model.promoted_at = new Date().toISOString();
+    this.index.active_version = version;
+    this.saveIndex();
+    return model;
+  }
+
+  loadArtifact(version) {
+    return JSON.parse(fs.readFileSync(this.artifactPath(version), 'utf8'));
+  }
+}
+
+module.exports = {
+  ModelRegistry
+};
@@ -0,0 +1,217 @@
+// 风险约束下的计划：在全天价格情景上最大化 (1-λ)·E[收益] + λ·CVaR_α[收益]
+//   CVaR_α 为最差 α 比例情景的平均收益；risk_measure 为 worst_case 时 α = 1/情景数，即最差情景收益
+// 方法：CVaR 可写成情景的加权平均 (尾部情景权重 1/α)，固定权重后目标对时段可分，直接复用动态规划；
+// 按新计划的尾部情景更新权重后重新求解，直到尾部情景集合不再变化，保留目标值最好的计划
+// 求解模型提供 solve(各时段加权值) -> 计划、profits(情景值, 计划) -> 各情景收益、key(计划) 三个方法，
+// 可选 baseline() 返回一个保底计划 (如储能全天不动作)，交替求解振荡时不会比它更差
+const { INTERVAL_HOURS, optimizeSchedule } = require('./optimizer');
+const { SCENARIO_SOURCES, MAX_SCENARIO_COUNT } = require('./scenarios');
+
+const RISK_MEASURES = ['cvar', 'worst_case'];
+
+const DEFAULT_RISK_PARAMS = {
+  risk_aversion: 0, // λ，0 为风险中性 (期望收益)，1 只看尾部收益
+  cvar_alpha: 0.05, // 尾部比例
+  risk_measure: 'cvar',
+  risk_floor: null, // 元，要求 CVaR (或最差情景收益) 不低于该值，不满足时逐步提高 λ
+  scenario_source: 'forecast',
+  scenario_count: 200
+};
+
+const MAX_ITERATIONS = 20;
+const AVERSION_STEP = 0.25;
+
+function resolveRiskParams(params = {}) {
+  const risk = { ...DEFAULT_RISK_PARAMS };
+  Object.keys(params).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') risk[key] = params[key];
+  });
+  ['risk_aversion', 'cvar_alpha', 'scenario_count'].forEach(key => {
+    risk[key] = Number(risk[key]);
+    if (isNaN(risk[key])) throw new Error(`风险参数 ${key} 必须为数字`);
+  });
+  if (risk.risk_floor !== null) {
+    risk.risk_floor = Number(risk.risk_floor);
+    if (isNaN(risk.risk_floor)) throw new Error('风险参数 risk_floor 必须为数字');
+  }
+  if (risk.risk_aversion < 0 || risk.risk_aversion > 1) {
+    throw new Error('risk_aversion 须在 0-1 之间');
+  }
+  if (risk.cvar_alpha <= 0 || risk.cvar_alpha >= 1) {
+    throw new Error('cvar_alpha 须在 0-1 之间 (不含端点)');
+  }
+  if (!RISK_MEASURES.includes(risk.risk_measure)) {
+    throw new Error(`不支持的风险度量: ${risk.risk_measure}，可选: ${RISK_MEASURES.join(', ')}`);
+  }
+  if (!SCENARIO_SOURCES.includes(risk.scenario_source)) {
+    throw new Error(`不支持的情景来源: ${risk.scenario_source}，可选: ${SCENARIO_SOURCES.join(', ')}`);
+  }
+  if (!Number.isInteger(risk.scenario_count) || risk.scenario_count < 10 || risk.scenario_count > MAX_SCENARIO_COUNT) {
+    throw new Error(`scenario_count 须为 10-${MAX_SCENARIO_COUNT} 之间的整数`);
+  }
+  return risk;
+}
+
+// 最差 α·S 个情景的权重 (0-1，边界情景取小数部分)，权重和为 α·S
+function tailWeights(profits, alpha) {
+  const tailSize = alpha * profits.length;
+  const order = profits.map((_, s) => s).sort((a, b) => profits[a] - profits[b]);
+  const weights = new Array(profits.length).fill(0);
+  let remaining = tailSize;
+  for (const s of order) {
+    if (remaining <= 0) break;
+    weights[s] = Math.min(1, remaining);
+    remaining -= weights[s];
+  }
+  return weights;
+}
+
+function quantile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// 全天收益分布统计
+function profitDistribution(profits, alpha) {
+  const sorted = [...profits].sort((a, b) => a - b);
+  const mean = profits.reduce((sum, v) => sum + v, 0) / profits.length;
+  const weights = tailWeights(profits, alpha);
+  const cvar = profits.reduce((sum, v, s) => sum + v * weights[s], 0) / (alpha * profits.length);
+  const variance = profits.reduce((sum, v) => sum + (v - mean) ** 2, 0) / profits.length;
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    p5: quantile(sorted, 0.05),
+    p10: quantile(sorted, 0.1),
+    p50: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    p95: quantile(sorted, 0.95),
+    cvar,
+    cvar_alpha: alpha,
+    worst: sorted[0],
+    best: sorted[sorted.length - 1],
+    loss_probability: profits.filter(v => v < 0).length / profits.length,
+    scenarios: profits.length
+  };
+}
+
+// 机组组合模型：scenarioValues[s][t] 为情景 s 下时段 t 每发 1MWh 的收入 (元/MWh)，已含偏差结算，不含发电成本
+// units: [{ params, costCurve }]，计划为每台机组的出力计划 (与 units 顺序一致)
+function portfolioModel(units) {
+  return {
+    solve: values => units.map(unit => optimizeSchedule(values, unit.params, unit.costCurve)),
+    profits: (scenarioValues, solutions) => portfolioProfits(scenarioValues, units, solutions),
+    key: solutions => solutions.map(solution => solution.schedule.map(point => point.output.toFixed(3)).join(',')).join('|')
+  };
+}
+
+function portfolioProfits(scenarioValues, units, solutions) {
+  const T = scenarioValues[0].length;
+  const output = new Float64Array(T);
+  let fixedCosts = 0;
+  solutions.forEach((solution, u) => {
+    solution.schedule.forEach((point, t) => {
+      output[t] += point.output;
+      if (point.on) fixedCosts += units[u].costCurve.cost(point.output) * INTERVAL_HOURS;
+      if (point.startup) fixedCosts += solution.unit.startup_cost;
+    });
+  });
+  return scenarioValues.map(values => values.reduce((sum, value, t) => sum + value * output[t] * INTERVAL_HOURS, 0) - fixedCosts);
+}
+
+// 固定 λ 下的交替求解：情景权重 -> 动态规划 -> 新计划的尾部情景 -> 情景权重
+function solveForAversion(scenarioValues, model, aversion, alpha) {
+  const S = scenarioValues.length;
+  const T = scenarioValues[0].length;
+  let weights = new Array(S).fill(1 / S);
+  const seen = new Set();
+  const iterations = [];
+  let best = null;
+  let converged = false;
+
+  if (model.baseline) {
+    const plan = model.baseline();
+    const profits = model.profits(scenarioValues, plan);
+    const distribution = profitDistribution(profits, alpha);
+    best = { plan, profits, distribution, objective: (1 - aversion) * distribution.mean + aversion * distribution.cvar };
+  }
+
+  for (let iteration = 1; iteration <= MAX_ITERATIONS; iteration++) {
+    const values = Array.from({ length: T }, (_, t) => scenarioValues.reduce((sum, row, s) => sum + weights[s] * row[t], 0));
+    const plan = model.solve(values);
+    const profits = model.profits(scenarioValues, plan);
+    const distribution = profitDistribution(profits, alpha);
+    const objective = (1 - aversion) * distribution.mean + aversion * distribution.cvar;
+
+    iterations.push({ iteration, objective, mean: distribution.mean, cvar: distribution.cvar });
+    if (!best || objective > best.objective + 1e-6) {
+      best = { plan, profits, distribution, objective };
+    }
+
+    const key = model.key(plan);
+    if (aversion === 0 || seen.has(key)) {
+      converged = true;
+      break;
+    }
+    seen.add(key);
+
+    const tail = tailWeights(profits, alpha);
+    weights = tail.map(w => (1 - aversion) / S + aversion * w / (alpha * S));
+  }
+
+  return { ...best, aversion, iterations, converged };
+}
+
+function optimizeWithRisk(scenarioValues, model, riskParams) {
+  const startedAt = Date.now();
+  const risk = resolveRiskParams(riskParams);
+  if (scenarioValues.length === 0) {
+    throw new Error('缺少价格情景');
+  }
+  const alpha = risk.risk_measure === 'worst_case' ? 1 / scenarioValues.length : risk.cvar_alpha;
+
+  let result = solveForAversion(scenarioValues, model, risk.risk_aversion, alpha);
+  const attempts = [result];
+  const satisfied = candidate => risk.risk_floor === null || candidate.distribution.cvar >= risk.risk_floor;
+
+  // 风险下限不满足时逐步提高 λ；都不满足时取尾部收益最高的计划
+  let aversion = risk.risk_aversion;
+  while (!satisfied(result) && aversion < 1) {
+    aversion = Math.min(1, aversion + AVERSION_STEP);
+    result = solveForAversion(scenarioValues, model, aversion, alpha);
+    attempts.push(result);
+  }
+  if (!satisfied(result)) {
+    result = attempts.reduce((a, b) => (b.distribution.cvar > a.distribution.cvar ? b : a));
+  }
+
+  return {
+    plan: result.plan,
+    objective: result.objective,
+    profits: result.profits,
+    distribution: result.distribution,
+    risk: {
+      ...risk,
+      measure_alpha: alpha,
+      applied_risk_aversion: result.aversion,
+      constraint_satisfied: satisfied(result),
+      converged: result.converged,
+      iterations: result.iterations,
+      aversion_attempts: attempts.map(attempt => ({
+        risk_aversion: attempt.aversion,
+        objective: attempt.objective,
+        mean: attempt.distribution.mean,
+        cvar: attempt.distribution.cvar
+      })),
+      solve_time_ms: Date.now() - startedAt
+    }
+  };
+}
+
+module.exports = {
+  RISK_MEASURES,
+  DEFAULT_RISK_PARAMS,
+  resolveRiskParams,
+  profitDistribution,
+  portfolioModel,
+  optimizeWithRisk
+};
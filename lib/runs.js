@@ -0,0 +1,298 @@
+const { computeErrorMetrics } = require('./metrics');
+const { INTERVAL_HOURS } = require('./settlement');
+
+// 运行记录：电价预测、负荷预测和投标优化的每次运行都以 ID 保存完整配置、模型信息、输入与结果，
+// 这里生成列表用的摘要，并逐时段对比两次运行的预测曲线与投标计划
+
+// 运行类型 -> 存储表
+const RUN_TABLES = {
+  prediction: 'prediction_runs',
+  load_forecast: 'load_forecast_runs',
+  optimization: 'optimization_runs'
+};
+
+// timestamp 按同一时刻对齐 (同一天的两次预测)，position 按预测起点后的第几个时段对齐 (不同日期的预测)，
+// auto 在两次运行有重叠时刻时按 timestamp，否则按 position
+const ALIGN_MODES = ['auto', 'timestamp', 'position'];
+
+// 投标计划逐时段对比的字段，第一个字段 (MW) 用于统计电量和计划有变化的时段
+const SCHEDULE_FIELDS = {
+  generation: ['bid_capacity', 'bid_price', 'expected_profit'],
+  storage: ['net_mw', 'soc', 'expected_profit']
+};
+
+// 计划电量相差不超过该值 (MW) 视为未变化
+const SCHEDULE_TOLERANCE = 0.01;
+
+// 配置对比时数组超过该长度只显示项数 (如残差路径)
+const MAX_DISPLAYED_ARRAY = 10;
+
+function isValue(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function average(values) {
+  const valid = values.filter(isValue);
+  return valid.length > 0 ? valid.reduce((sum, v) => sum + v, 0) / valid.length : null;
+}
+
+function difference(a, b) {
+  return isValue(a) && isValue(b) ? b - a : null;
+}
+
+// 运行记录中的预测曲线：电价预测取日前电价，负荷预测取负荷，投标优化取作为输入的电价预测
+function forecastOf(type, run) {
+  if (type === 'load_forecast') {
+    return {
+      quantity: 'load',
+      unit: 'MW',
+      points: (run.result.predictions || []).map(pred => ({
+        timestamp: pred.timestamp,
+        value: pred.load.predicted_load,
+        lower: pred.load.confidence_lower,
+        upper: pred.load.confidence_upper
+      }))
+    };
+  }
+  const predictions = type === 'optimization' ? run.predictions : run.result.predictions;
+  return {
+    quantity: 'price',
+    unit: '元/MWh',
+    points: (predictions || []).map(pred => ({
+      timestamp: pred.timestamp,
+      value: pred.predicted_price,
+      lower: pred.confidence_lower,
+      upper: pred.confidence_upper
+    }))
+  };
+}
+
+// 各类运行的关键指标，列表摘要和对比共用
+function runMetrics(type, run) {
+  const { result } = run;
+  if (type === 'optimization') {
+    const distribution = result.profit_distribution || {};
+    const schedule = result.bidding_schedule || [];
+    return {
+      expected_profit: result.expected_profit,
+      cvar: distribution.cvar,
+      loss_probability: distribution.loss_probability,
+      ...(result.mode === 'storage'
+        ? { discharged_mwh: result.storage.summary.discharged_mwh, equivalent_cycles: result.storage.summary.equivalent_cycles }
+        : { energy_mwh: schedule.reduce((sum, bid) => sum + bid.bid_capacity, 0) * INTERVAL_HOURS, startups: schedule.filter(bid => bid.startup).length })
+    };
+  }
+
+  const accuracy = type === 'load_forecast' ? result.load.accuracy_info : result.accuracy_info;
+  const metrics = (accuracy && accuracy.metrics) || {};
+  return {
+    ...(type === 'load_forecast'
+      ? { average_load: result.statistics.average_load, peak_load: result.statistics.peak_load }
+      : { average_price: result.statistics.average_price }),
+    accuracy_source: accuracy ? accuracy.source : null,
+    mae: metrics.mae,
+    mape: metrics.mape,
+    coverage: metrics.coverage
+  };
+}
+
+// 列表摘要：预测时段范围、主要设置和关键指标，不含逐时段数据
+function summarizeRun(type, run) {
+  const { config = {}, result } = run;
+  const points = forecastOf(type, run).points;
+  const settings = type === 'optimization'
+    ? {
+      mode: result.mode,
+      units: result.units ? result.units.length : null,
+      risk_aversion: config.risk_params ? config.risk_params.risk_aversion : null,
+      dual_market: !!result.dual_market,
+      prediction_run_id: config.prediction_run_id || null
+    }
+    : {
+      models: config.models || null,
+      confidence_level: result.statistics.confidence_level,
+      ...(type === 'prediction' ? { dual_market: !!result.dual_market, load_features: !!result.load_features, model_version: result.model_version || null } : {})
+    };
+
+  return {
+    id: run.id,
+    type,
+    created_at: run.created_at,
+    start: points.length > 0 ? points[0].timestamp : null,
+    end: points.length > 0 ? points[points.length - 1].timestamp : null,
+    points: points.length,
+    ...settings,
+    metrics: runMetrics(type, run)
+  };
+}
+
+// 两组逐时段记录配对，返回 { alignment, pairs: [{ a, b }] }，缺失的一侧为 null
+function alignSeries(aItems, bItems, timeOf, align) {
+  const bByTime = new Map(bItems.map(item => [new Date(timeOf(item)).getTime(), item]));
+  const overlap = aItems.filter(item => bByTime.has(new Date(timeOf(item)).getTime())).length;
+  const alignment = align === 'auto' ? (overlap > 0 ? 'timestamp' : 'position') : align;
+
+  if (alignment === 'position') {
+    const length = Math.max(aItems.length, bItems.length);
+    return {
+      alignment,
+      overlap,
+      pairs: Array.from({ length }, (_, i) => ({ a: aItems[i] || null, b: bItems[i] || null }))
+    };
+  }
+
+  const aByTime = new Map(aItems.map(item => [new Date(timeOf(item)).getTime(), item]));
+  const times = [...new Set([...aByTime.keys(), ...bByTime.keys()])].sort((x, y) => x - y);
+  return {
+    alignment,
+    overlap,
+    pairs: times.map(time => ({ a: aByTime.get(time) || null, b: bByTime.get(time) || null }))
+  };
+}
+
+// 预测值与当前数据中的实际值比较；运行时还没有实际数据的预测，事后可在这里看到真实误差
+function actualAccuracy(points, actualAt, quantity) {
+  if (!actualAt) return null;
+  const matched = { actual: [], predicted: [], lower: [], upper: [] };
+  points.forEach(point => {
+    const actual = actualAt(new Date(point.timestamp).getTime(), quantity);
+    if (!isValue(actual) || !isValue(point.value)) return;
+    matched.actual.push(actual);
+    matched.predicted.push(point.value);
+    matched.lower.push(point.lower);
+    matched.upper.push(point.upper);
+  });
+  if (matched.actual.length === 0) return null;
+  const hasInterval = matched.lower.every(isValue) && matched.upper.every(isValue);
+  return computeErrorMetrics(matched.actual, matched.predicted, hasInterval ? matched.lower : null, hasInterval ? matched.upper : null);
+}
+
+function compareForecasts(a, b, align, actualAt) {
+  const forecastA = forecastOf(a.type, a.run);
+  const forecastB = forecastOf(b.type, b.run);
+  if (forecastA.quantity !== forecastB.quantity) {
+    return { comparable: false, reason: '两次运行的预测对象不同 (电价与负荷)，不对比预测曲线' };
+  }
+
+  const { alignment, overlap, pairs } = alignSeries(forecastA.points, forecastB.points, point => point.timestamp, align);
+  const points = pairs.map(pair => ({
+    a_timestamp: pair.a ? pair.a.timestamp : null,
+    b_timestamp: pair.b ? pair.b.timestamp : null,
+    a: pair.a ? pair.a.value : null,
+    b: pair.b ? pair.b.value : null,
+    diff: difference(pair.a && pair.a.value, pair.b && pair.b.value)
+  }));
+  const diffs = points.map(point => point.diff).filter(isValue);
+  const largest = points.reduce((best, point) => (isValue(point.diff) && (!best || Math.abs(point.diff) > Math.abs(best.diff)) ? point : best), null);
+
+  return {
+    comparable: true,
+    quantity: forecastA.quantity,
+    unit: forecastA.unit,
+    alignment,
+    overlap_points: overlap,
+    compared_points: diffs.length,
+    stats: {
+      average_a: average(points.map(point => point.a)),
+      average_b: average(points.map(point => point.b)),
+      mean_diff: average(diffs),
+      mean_abs_diff: average(diffs.map(Math.abs)),
+      max_abs_diff: largest ? Math.abs(largest.diff) : null,
+      max_abs_diff_at: largest ? (largest.b_timestamp || largest.a_timestamp) : null
+    },
+    accuracy: {
+      a: actualAccuracy(forecastA.points, actualAt, forecastA.quantity),
+      b: actualAccuracy(forecastB.points, actualAt, forecastB.quantity)
+    },
+    points
+  };
+}
+
+function compareSchedules(a, b, align) {
+  if (a.type !== 'optimization' || b.type !== 'optimization') return null;
+  if (a.run.result.mode !== b.run.result.mode) {
+    return { comparable: false, reason: `优化模式不同 (${a.run.result.mode} 与 ${b.run.result.mode})，不对比投标计划` };
+  }
+
+  const fields = SCHEDULE_FIELDS[a.run.result.mode] || SCHEDULE_FIELDS.generation;
+  const pick = item => (item ? Object.fromEntries(fields.map(field => [field, isValue(item[field]) ? item[field] : null])) : null);
+  const { alignment, pairs } = alignSeries(a.run.result.bidding_schedule || [], b.run.result.bidding_schedule || [], bid => bid.time_period, align);
+  const points = pairs.map(pair => ({
+    a_timestamp: pair.a ? pair.a.time_period : null,
+    b_timestamp: pair.b ? pair.b.time_period : null,
+    a: pick(pair.a),
+    b: pick(pair.b),
+    diff: Object.fromEntries(fields.map(field => [field, difference(pair.a && pair.a[field], pair.b && pair.b[field])]))
+  }));
+
+  const primary = fields[0];
+  const total = (side, field, scale = 1) => points.reduce((sum, point) => sum + ((point[side] && point[side][field]) || 0), 0) * scale;
+  const totals = {
+    energy_mwh: { a: total('a', primary, INTERVAL_HOURS), b: total('b', primary, INTERVAL_HOURS) },
+    expected_profit: { a: total('a', 'expected_profit'), b: total('b', 'expected_profit') }
+  };
+
+  return {
+    comparable: true,
+    mode: a.run.result.mode,
+    alignment,
+    fields,
+    changed_intervals: points.filter(point => !isValue(point.diff[primary]) || Math.abs(point.diff[primary]) > SCHEDULE_TOLERANCE).length,
+    totals,
+    points
+  };
+}
+
+// 配置展开为 "a.b.c" 路径 -> 值，数组整体比较
+function flattenConfig(value, prefix = '', output = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach(key => flattenConfig(value[key], prefix ? `${prefix}.${key}` : key, output));
+  } else if (prefix) {
+    output[prefix] = value;
+  }
+  return output;
+}
+
+function displayValue(value) {
+  if (value === undefined) return null;
+  return Array.isArray(value) && value.length > MAX_DISPLAYED_ARRAY ? `[${value.length} 项]` : value;
+}
+
+function diffConfigs(configA = {}, configB = {}) {
+  const flatA = flattenConfig(configA);
+  const flatB = flattenConfig(configB);
+  return [...new Set([...Object.keys(flatA), ...Object.keys(flatB)])]
+    .sort()
+    .filter(key => JSON.stringify(flatA[key]) !== JSON.stringify(flatB[key]))
+    .map(key => ({ path: key, a: displayValue(flatA[key]), b: displayValue(flatB[key]) }));
+}
+
+// 两次运行的对比 (b 相对 a)：a、b 为 { type, run }；actualAt(时间 ms, 'price' | 'load') 返回当前数据中的实际值
+function diffRuns(a, b, { align = 'auto', actualAt = null } = {}) {
+  const metricsA = runMetrics(a.type, a.run);
+  const metricsB = runMetrics(b.type, b.run);
+  const metrics = Object.keys(metricsA)
+    .filter(name => name in metricsB)
+    .map(name => ({
+      name,
+      a: metricsA[name],
+      b: metricsB[name],
+      diff: difference(metricsA[name], metricsB[name])
+    }));
+
+  return {
+    a: summarizeRun(a.type, a.run),
+    b: summarizeRun(b.type, b.run),
+    metrics,
+    config_diff: diffConfigs(a.run.config, b.run.config),
+    forecast: compareForecasts(a, b, align, actualAt),
+    schedule: compareSchedules(a, b, align)
+  };
+}
+
+module.exports = {
+  RUN_TABLES,
+  ALIGN_MODES,
+  summarizeRun,
+  diffRuns
+};
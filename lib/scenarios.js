@@ -0,0 +1,106 @@
+// 全天联合价格情景：每个情景是一条完整的价格路径，保留时段间预测误差的相关性，用于评估全天收益分布
+//   forecast：按各时段预测分位数的逆分布函数取价，分位由 AR(1) 高斯过程驱动 (高斯 copula)
+//   residuals：点预测叠加留出验证集上整日的真实残差路径 (历史误差重放)
+const { createRandom } = require('./models');
+const { predictionQuantile } = require('./settlement');
+const { getMarketParts } = require('./timeutil');
+
+const POINTS_PER_DAY = 96;
+const SCENARIO_SOURCES = ['forecast', 'residuals'];
+const DEFAULT_SCENARIO_COUNT = 200;
+const MAX_SCENARIO_COUNT = 2000;
+
+// 相邻15分钟预测误差的相关系数，相隔1小时约 0.66、6小时约 0.08
+const ERROR_AUTOCORRELATION = 0.9;
+
+// 固定随机种子，相同输入得到相同情景和优化结果
+const SCENARIO_SEED = 20250101;
+
+// 残差路径少于该天数时尾部统计没有意义，改用预测分布
+const MIN_RESIDUAL_PATHS = 5;
+
+function standardNormal(random) {
+  const u = Math.max(random(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// 标准正态分布函数 (Abramowitz-Stegun 7.1.26，误差 < 1.5e-7)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function forecastScenarios(predictions, count, seed) {
+  const random = createRandom(seed);
+  const quantiles = predictions.map(predictionQuantile);
+  const innovation = Math.sqrt(1 - ERROR_AUTOCORRELATION ** 2);
+
+  return Array.from({ length: count }, () => {
+    let state = standardNormal(random);
+    return quantiles.map((quantile, t) => {
+      if (t > 0) state = ERROR_AUTOCORRELATION * state + innovation * standardNormal(random);
+      return quantile(normalCdf(state));
+    });
+  });
+}
+
+// 残差路径按首个预测时段在一天中的序号对齐 (滚动预测从日内任意时段开始)；
+// 第二天起的时段按 sqrt(提前天数) 放大残差，与预测区间的处理一致
+function residualScenarios(predictions, residualPaths, minValue) {
+  const firstTime = predictions.length > 0 ? new Date(predictions[0].timestamp).getTime() : NaN;
+  const firstSlot = isNaN(firstTime) ? 0 : getMarketParts(firstTime).slot;
+  return residualPaths.map(path => predictions.map((pred, t) => {
+    const position = firstSlot + t;
+    const slot = position % POINTS_PER_DAY;
+    const scale = Math.sqrt(Math.floor(position / POINTS_PER_DAY) + 1);
+    return Math.max(minValue, pred.predicted_price + path.residuals[slot] * scale);
+  }));
+}
+
+// 返回 prices[情景][时段]；residuals 所需的残差路径不足时退回 forecast 并说明原因
+//   seed：另一组相互独立的情景 (如价差) 需使用不同的随机种子
+//   minValue：情景值下限，电价为 0，价差可为负时传 -Infinity
+function generatePriceScenarios(predictions, {
+  source = 'forecast',
+  count = DEFAULT_SCENARIO_COUNT,
+  residualPaths = [],
+  seed = SCENARIO_SEED,
+  minValue = 0
+} = {}) {
+  // source 与 count 已由 resolveRiskParams 校验
+  const scenarioCount = Number(count);
+
+  let fallbackReason = null;
+  if (source === 'residuals') {
+    const paths = (residualPaths || []).filter(path =>
+      Array.isArray(path.residuals) && path.residuals.length === POINTS_PER_DAY && path.residuals.every(v => typeof v === 'number' && isFinite(v))
+    );
+    if (paths.length >= MIN_RESIDUAL_PATHS) {
+      return {
+        source,
+        count: paths.length,
+        days: paths.map(path => path.date),
+        description: `${paths.length} 条留出验证日的真实残差路径叠加点预测`,
+        prices: residualScenarios(predictions, paths, minValue)
+      };
+    }
+    fallbackReason = `残差路径仅 ${paths.length} 条 (至少需要 ${MIN_RESIDUAL_PATHS} 条)，改用预测分布情景`;
+  }
+
+  return {
+    source: 'forecast',
+    ...(fallbackReason ? { requested_source: source, fallback_reason: fallbackReason } : {}),
+    count: scenarioCount,
+    description: `预测分位数 + AR(1) 相关误差 (ρ=${ERROR_AUTOCORRELATION}) 的 ${scenarioCount} 条模拟路径`,
+    prices: forecastScenarios(predictions, scenarioCount, seed)
+  };
+}
+
+module.exports = {
+  SCENARIO_SOURCES,
+  DEFAULT_SCENARIO_COUNT,
+  MAX_SCENARIO_COUNT,
+  generatePriceScenarios
+};
@@ -0,0 +1,2426 @@
+// 业务服务层：数据存储、预测、回测、回放与投标优化，
+// Express 服务 (server.js) 与 Next.js API 路由 (pages/api/*) 共用，接口处理函数返回可直接序列化为 JSON 的结果
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const XLSX = require('xlsx');
+const { MODEL_DEFINITIONS } = require('./models');
+const { INTERVAL_MS, POINTS_PER_DAY, trainForecaster, serializeForecaster, restoreForecaster, withHistory, forecast } = require('./forecaster');
+const {
+  LOAD_FEATURE_NAMES,
+  calendarProvider,
+  weatherProvider,
+  loadProvider,
+  loadFeatureStore,
+  describeFeatureStore
+} = require('./features');
+const { computeErrorMetrics } = require('./metrics');
+const {
+  MAX_REPORTED_REJECTIONS,
+  normalizeRows,
+  parseMarketFile,
+  mergeRecords
+} = require('./ingest');
+const { FileStore } = require('./store');
+const { ModelRegistry } = require('./registry');
+const { RUN_TABLES, ALIGN_MODES, summarizeRun, diffRuns } = require('./runs');
+const { isFinished, JobQueue } = require('./jobs');
+const { runQualityStage, REPAIR_STRATEGIES } = require('./quality');
+const { HistoryQueryError, queryHistory } = require('./history');
+const {
+  INTERVAL_HOURS,
+  resolveSettlementCosts,
+  deliveryRiskPremium,
+  optimalBidPrice,
+  expectedSettlement
+} = require('./settlement');
+const { resolvePortfolio } = require('./portfolio');
+const { incrementalCost } = require('./costcurve');
+const { resolveStorageParams, optimizeStorage, idlePlan, storageProfit } = require('./storage');
+const { generatePriceScenarios } = require('./scenarios');
+const { resolveDualMarketParams, spreadPredictions, buildRealTimeScenarios, splitPositions } = require('./dualmarket');
+const { resolveRiskParams, portfolioModel, optimizeWithRisk } = require('./risk');
+const { replayStrategy, replayBaseline, mergeTotals, summarizeTotals } = require('./simulation');
+const {
+  OFFER_FILE_COLUMNS,
+  resolveMarketRules,
+  buildIntervalCurve,
+  aggregateBidCurves,
+  buildOfferFileRows,
+  toOfferCSV
+} = require('./bidcurve');
+const {
+  MARKET_TIMEZONE,
+  getMarketParts,
+  formatMarketTimestamp,
+  toMarketDateKey,
+  parseMarketDate,
+  addDays,
+  parseTimestampValue,
+  canonicalizeRecords,
+  isCanonical
+} = require('./timeutil');
+
+// 项目根目录：Next.js 打包后 __dirname 不再指向源码目录，统一以进程工作目录为准 (Express 服务启动时设为 server.js 所在目录)
+const ROOT_DIR = process.env.APP_ROOT || process.cwd();
+
+// 请求参数错误等可预期的失败，status 为对应的 HTTP 状态码
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// lib 模块 (成本、机组、风险、报价规则等参数解析) 的校验抛出普通 Error，在服务边界转换为参数错误
+function validateParams(validate) {
+  try {
+    return validate();
+  } catch (error) {
+    throw error instanceof ServiceError ? error : new ServiceError(error.message);
+  }
+}
+
+// 数据存储：本地文件持久化，默认位于 storage/ 目录；
+// Vercel 等无服务器环境只有临时目录可写，实例回收后存储清空，下次请求重新从原始Excel导入
+const STORAGE_DIR = process.env.STORAGE_DIR
+  || (process.env.VERCEL ? path.join(os.tmpdir(), 'storage') : path.join(ROOT_DIR, 'storage'));
+const marketStore = new FileStore(STORAGE_DIR);
+let isDataLoaded = false;
+
+// 模型库：已训练的日前电价模型按版本保存在存储目录的 models/ 下
+const modelRegistry = new ModelRegistry(path.join(STORAGE_DIR, 'models'));
+
+// 数据质量修复策略：interpolate (线性插值) / previous_day (前一日同时段) / flag (仅标记)
+const qualityOptions = {
+  strategy: process.env.DATA_REPAIR_STRATEGY || 'interpolate',
+  repairOutliers: process.env.DATA_REPAIR_OUTLIERS === 'true',
+  outlierThreshold: parseFloat(process.env.DATA_OUTLIER_THRESHOLD) || 5
+};
+
+// 外部特征库目录：节假日日历 holidays.json 与气象数据 CSV/JSON，默认位于 data/features/
+const FEATURE_DIR = process.env.FEATURE_DIR || path.join(ROOT_DIR, 'data', 'features');
+let featureStore = null;
+
+function reloadFeatureStore() {
+  featureStore = loadFeatureStore(FEATURE_DIR);
+  historicalForecastCache.clear();
+  console.log(`📅 特征库加载完成: 节假日日历 ${featureStore.calendar.years.join('/')} 年 (${featureStore.calendarSource}), 气象数据 ${featureStore.weatherRecords.length} 条${featureStore.errors.length > 0 ? `, ${featureStore.errors.length} 个文件读取失败` : ''}`);
+  return featureStore;
+}
+
+// 加载Excel原始数据 (仅在存储为空时作为初始数据导入)
+function loadExcelData() {
+  console.log('🔍 开始加载2025年真实电力市场数据...');
+  
+  // 加载5月数据
+  const mayFile = path.join(ROOT_DIR, 'data', 'rawdata_0501.xlsx');
+  const juneFile = path.join(ROOT_DIR, 'data', 'rawdata_0601.xlsx');
+  
+  let allData = [];
+  
+  // 数据预处理 (兼容原始表格的中文列名)，每个文件单独判断区间标记方式
+  if (fs.existsSync(mayFile)) {
+    const mayWorkbook = XLSX.readFile(mayFile);
+    const maySheet = mayWorkbook.Sheets[mayWorkbook.SheetNames[0]];
+    const mayData = normalizeRows(XLSX.utils.sheet_to_json(maySheet));
+    allData = allData.concat(mayData.records);
+    console.log(`✅ 5月数据加载完成: ${mayData.records.length} 条记录 (区间${mayData.intervalLabel === 'end' ? '终点' : '起点'}标记, 拒绝 ${mayData.rejected.length} 条)`);
+  }
+  
+  if (fs.existsSync(juneFile)) {
+    const juneWorkbook = XLSX.readFile(juneFile);
+    const juneSheet = juneWorkbook.Sheets[juneWorkbook.SheetNames[0]];
+    const juneData = normalizeRows(XLSX.utils.sheet_to_json(juneSheet));
+    allData = allData.concat(juneData.records);
+    console.log(`✅ 6月数据加载完成: ${juneData.records.length} 条记录 (区间${juneData.intervalLabel === 'end' ? '终点' : '起点'}标记, 拒绝 ${juneData.rejected.length} 条)`);
+  }
+  
+  return allData;
+}
+
+// 打开本地存储，首次启动时导入原始Excel数据
+function initializeStorage() {
+  try {
+    if (!marketStore.isOpen) {
+      marketStore.open();
+    }
+    if (!modelRegistry.isOpen) {
+      modelRegistry.open();
+    }
+    
+    if (marketStore.getIntervals().length === 0) {
+      const seedData = loadExcelData();
+      if (seedData.length > 0) {
+        marketStore.replaceIntervals(seedData);
+        console.log(`💾 已将 ${seedData.length} 条原始数据写入本地存储`);
+      }
+    }
+    
+    // 旧版本存储中的时间为原始字符串，统一转换为市场时区的标准时间
+    const legacyData = marketStore.getIntervals().filter(item => !isCanonical(item));
+    if (legacyData.length > 0) {
+      const converted = canonicalizeRecords(legacyData);
+      marketStore.replaceIntervals([
+        ...marketStore.getIntervals().filter(item => isCanonical(item)),
+        ...converted.records
+      ]);
+      console.log(`🕒 已标准化 ${converted.records.length} 条旧格式时间, 丢弃 ${converted.rejected.length} 条`);
+    }
+    
+    // 旧版本存储只保存了日前电价，从原始Excel按时间补充实时电价
+    const storedIntervals = marketStore.getIntervals();
+    if (storedIntervals.length > 0 && storedIntervals.every(item => item.rt_price === undefined)) {
+      const rtPrices = new Map(loadExcelData().map(item => [new Date(item.timestamp).getTime(), item.rt_price]));
+      if (rtPrices.size > 0) {
+        marketStore.replaceIntervals(storedIntervals.map(item => ({
+          ...item,
+          rt_price: rtPrices.has(new Date(item.timestamp).getTime()) ? rtPrices.get(new Date(item.timestamp).getTime()) : null
+        })));
+        console.log(`⏱️ 已为 ${marketStore.getIntervals().filter(item => item.rt_price !== null).length} 个区间补充实时电价`);
+      }
+    }
+    
+    if (!featureStore) {
+      reloadFeatureStore();
+    }
+    
+    // 数据质量校验，修复结果写回存储
+    const quality = runQualityStage(marketStore.getIntervals(), qualityOptions);
+    if (quality.changed) {
+      marketStore.replaceIntervals(quality.data);
+    }
+    console.log(`🩺 数据质量检查完成 (${qualityOptions.strategy}):`, quality.summary);
+    
+    isDataLoaded = marketStore.getIntervals().length > 0;
+    console.log(`🎉 数据加载完成! 总计 ${marketStore.getIntervals().length} 条2025年真实数据`);
+    
+    return true;
+  } catch (error) {
+    console.error('❌ 数据加载失败:', error);
+    return false;
+  }
+}
+
+// 将预测结果与同一时间点的真实电价对齐，没有真实数据的点会被跳过
+// actualOf 取记录中的真实值，默认为日前电价
+function matchActualPrices(predictions, actualOf = item => item.price) {
+  const actualByTime = new Map(marketStore.getIntervals().map(item => [new Date(item.timestamp).getTime(), actualOf(item)]));
+  const matched = { actual: [], predicted: [], lower: [], upper: [], models: {} };
+  
+  predictions.forEach(pred => {
+    const actual = actualByTime.get(new Date(pred.timestamp).getTime());
+    if (actual === undefined || actual === null) return;
+    
+    matched.actual.push(actual);
+    matched.predicted.push(pred.predicted_price);
+    matched.lower.push(pred.confidence_lower);
+    matched.upper.push(pred.confidence_upper);
+    Object.keys(pred.model_predictions || {}).forEach(type => {
+      (matched.models[type] = matched.models[type] || []).push(pred.model_predictions[type]);
+    });
+  });
+  
+  return matched;
+}
+
+// 历史对比用的日前预测缓存 (日期 -> 当日96点预测)，数据更新后清空
+const historicalForecastCache = new Map();
+
+// 单次请求最多现算的天数，每天需要重新训练一次模型
+const MAX_FRESH_FORECAST_DAYS = 7;
+
+// 历史时间段内逐点的预测值：优先使用已保存的预测记录 (最新的优先)，
+// source 为 auto 时对仍缺预测的日期只用当日之前的数据重新做日前预测
+function getHistoricalPredictions(startTime, endTime, source) {
+  const predictions = new Map();
+  const report = { source, stored_points: 0, computed_points: 0, skipped_days: [] };
+  
+  const runs = marketStore.listRuns('prediction_runs');
+  for (let i = runs.length - 1; i >= 0; i--) {
+    const runPredictions = (runs[i].result && runs[i].result.predictions) || [];
+    runPredictions.forEach(pred => {
+      const time = new Date(pred.timestamp).getTime();
+      if (time < startTime || time > endTime || predictions.has(time)) return;
+      predictions.set(time, {
+        predicted_price: pred.predicted_price,
+        lower: pred.confidence_lower,
+        upper: pred.confidence_upper,
+        source: 'stored'
+      });
+      report.stored_points++;
+    });
+  }
+  
+  if (source !== 'auto') {
+    return { predictions, report };
+  }
+  
+  const range = getBacktestRange();
+  const actualTimes = new Set(marketStore.getIntervals().map(item => new Date(item.timestamp).getTime()));
+  let freshDays = 0;
+  
+  for (let date = toMarketDateKey(startTime); date <= toMarketDateKey(endTime); date = addDays(date, 1)) {
+    const dayStart = parseMarketDate(date);
+    const missing = [];
+    for (let i = 0; i < POINTS_PER_DAY; i++) {
+      const time = dayStart + i * INTERVAL_MS;
+      if (time >= startTime && time <= endTime && actualTimes.has(time) && !predictions.has(time)) missing.push(time);
+    }
+    if (missing.length === 0) continue;
+    
+    if (!range || date < range.start) {
+      report.skipped_days.push({ date, reason: '之前的历史数据不足3天，无法预测' });
+      continue;
+    }
+    if (!historicalForecastCache.has(date)) {
+      if (freshDays >= MAX_FRESH_FORECAST_DAYS) {
+        report.skipped_days.push({ date, reason: `单次请求最多重新预测 ${MAX_FRESH_FORECAST_DAYS} 天，请缩小时间范围或翻页` });
+        continue;
+      }
+      const result = runPredictionAlgorithm({
+        prediction_date: date,
+        horizon_hours: 24,
+        confidence_level: 0.95
+      });
+      historicalForecastCache.set(date, new Map(result.predictions.map(pred => [new Date(pred.timestamp).getTime(), pred])));
+      freshDays++;
+    }
+    
+    const dayForecast = historicalForecastCache.get(date);
+    missing.forEach(time => {
+      const pred = dayForecast.get(time);
+      if (!pred) return;
+      predictions.set(time, {
+        predicted_price: pred.predicted_price,
+        lower: pred.confidence_lower,
+        upper: pred.confidence_upper,
+        source: 'computed'
+      });
+      report.computed_points++;
+    });
+  }
+  
+  return { predictions, report };
+}
+
+// 可用于回测的日期范围：需要至少3天历史数据才能构造滞后特征并训练
+function getBacktestRange() {
+  const marketData = marketStore.getIntervals();
+  if (marketData.length === 0) return null;
+  
+  const start = addDays(toMarketDateKey(new Date(marketData[0].timestamp).getTime()), 3);
+  const end = toMarketDateKey(new Date(marketData[marketData.length - 1].timestamp).getTime());
+  
+  return start <= end ? { start, end } : null;
+}
+
+// 预测日期之前须有足够的数据训练模型 (与回测相同，至少3天历史数据)
+function assertForecastDate(startTime) {
+  const range = getBacktestRange();
+  if (!range) {
+    throw new ServiceError('真实数据不足，无法预测');
+  }
+  if (toMarketDateKey(startTime) < range.start) {
+    throw new ServiceError(`预测日期不能早于 ${range.start}，之前的真实数据不足以训练模型`);
+  }
+}
+
+// 回测/回放的日期须落在可回测范围内
+function assertBacktestDates(startDate, endDate) {
+  const range = getBacktestRange();
+  
+  if (!range) {
+    throw new ServiceError('真实数据不足，无法回测');
+  }
+  // 日期须为 YYYY-MM-DD 的有效日期，此后按字符串比较即为按日期比较
+  [startDate, endDate].forEach(date => {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(parseMarketDate(date))) {
+      throw new ServiceError(`无效的回测日期: ${date}，格式须为 YYYY-MM-DD`);
+    }
+  });
+  if (startDate > endDate) {
+    throw new ServiceError('回测日期范围无效');
+  }
+  if (startDate < range.start || endDate > range.end) {
+    throw new ServiceError(`回测日期必须在 ${range.start} 至 ${range.end} 之间`);
+  }
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 预测时长按小时指定，从日内几小时到 7 天，点数按数据时段长度 (15 分钟) 换算
+const DEFAULT_HORIZON_HOURS = 24;
+const MAX_HORIZON_HOURS = 7 * 24;
+
+// 滚动预测的误差修正：截止前 1 小时的预测误差均值作为当前偏差，修正截止之后的时段，修正量按 4 小时半衰期衰减
+const ROLLING_BIAS_WINDOW_MS = HOUR_MS;
+const ROLLING_HALF_LIFE_MS = 4 * HOUR_MS;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// 预测区间的置信水平，未指定时为 0.95
+function resolveConfidenceLevel(config) {
+  if (isBlank(config.confidence_level)) return 0.95;
+  const level = Number(config.confidence_level);
+  if (!(level > 0 && level < 1)) {
+    throw new ServiceError(`confidence_level 须在 0-1 之间 (不含端点): ${config.confidence_level}`);
+  }
+  return level;
+}
+
+// 预测时段：prediction_date 零点起 horizon_hours 小时；旧参数 prediction_hours 实为 15 分钟点数，未指定 horizon_hours 时仍按点数处理
+// rolling_cutoff 为滚动预测的截止时刻：只使用截止前已结束时段的实际数据，从截止时刻所在时段起预测到预测时段结束，
+// 未指定 prediction_date 时为截止时刻所在的交易日
+// 返回 { startTime, endTime, dataEnd: 实际数据截止, firstTime: 首个预测时段, points, cutoff }
+function resolveForecastWindow(config) {
+  const { prediction_date, horizon_hours, prediction_hours, rolling_cutoff } = config;
+  
+  let cutoff = null;
+  if (!isBlank(rolling_cutoff)) {
+    const parsed = parseTimestampValue(rolling_cutoff);
+    if (!parsed) {
+      throw new ServiceError(`无效的滚动截止时刻: ${rolling_cutoff}`);
+    }
+    cutoff = parsed.time;
+  }
+  
+  const startTime = parseMarketDate(isBlank(prediction_date) && cutoff !== null ? toMarketDateKey(cutoff) : prediction_date);
+  if (isNaN(startTime)) {
+    throw new ServiceError(`无效的预测日期: ${prediction_date}`);
+  }
+  
+  const pointsPerHour = HOUR_MS / INTERVAL_MS;
+  let points = DEFAULT_HORIZON_HOURS * pointsPerHour;
+  if (!isBlank(horizon_hours)) {
+    const hours = Number(horizon_hours);
+    if (!(hours > 0 && hours <= MAX_HORIZON_HOURS) || !Number.isInteger(hours * pointsPerHour)) {
+      throw new ServiceError(`horizon_hours 须为 ${INTERVAL_MS / 60000} 分钟的整数倍，且不超过 ${MAX_HORIZON_HOURS} 小时`);
+    }
+    points = hours * pointsPerHour;
+  } else if (!isBlank(prediction_hours)) {
+    points = Number(prediction_hours);
+    if (!Number.isInteger(points) || points < 1 || points > MAX_HORIZON_HOURS * pointsPerHour) {
+      throw new ServiceError(`prediction_hours (预测点数) 须为 1-${MAX_HORIZON_HOURS * pointsPerHour} 之间的整数`);
+    }
+  }
+  
+  const endTime = startTime + points * INTERVAL_MS;
+  // 截止时刻所在的时段尚未结束，从该时段起重新预测
+  const dataEnd = cutoff === null ? startTime : Math.floor(cutoff / INTERVAL_MS) * INTERVAL_MS;
+  const firstTime = Math.max(startTime, dataEnd);
+  if (firstTime >= endTime) {
+    throw new ServiceError(`滚动截止时刻须早于预测时段结束 (${formatMarketTimestamp(endTime)})`);
+  }
+  
+  return { startTime, endTime, dataEnd, firstTime, points: (endTime - firstTime) / INTERVAL_MS, cutoff };
+}
+
+function describeHorizon(window) {
+  return {
+    start: formatMarketTimestamp(window.firstTime),
+    end: formatMarketTimestamp(window.endTime),
+    hours: window.points * INTERVAL_MS / HOUR_MS,
+    points: window.points,
+    interval_minutes: INTERVAL_MS / 60000
+  };
+}
+
+// 滚动预测的偏差：forecastStart 起的预测 (ensemble) 与误差窗口内实际电价之差的均值；
+// offsetAt(time) 为截止之后该时段的修正量
+function resolveRollingCorrection(window, forecastStart, ensemble, trainingData) {
+  const actualByTime = new Map(trainingData.map(item => [new Date(item.timestamp).getTime(), item.price]));
+  const residuals = [];
+  for (let time = forecastStart; time < window.dataEnd; time += INTERVAL_MS) {
+    const actual = actualByTime.get(time);
+    if (typeof actual === 'number' && isFinite(actual)) {
+      residuals.push(actual - ensemble[(time - forecastStart) / INTERVAL_MS]);
+    }
+  }
+  const bias = residuals.length > 0 ? residuals.reduce((sum, v) => sum + v, 0) / residuals.length : null;
+  
+  return {
+    summary: {
+      applied: bias !== null,
+      bias,
+      window_start: formatMarketTimestamp(window.dataEnd - ROLLING_BIAS_WINDOW_MS),
+      window_points: residuals.length,
+      half_life_hours: ROLLING_HALF_LIFE_MS / HOUR_MS,
+      reason: bias === null ? `截止前 ${ROLLING_BIAS_WINDOW_MS / HOUR_MS} 小时没有实际电价，未做误差修正` : null
+    },
+    offsetAt: time => (bias === null ? 0 : bias * 0.5 ** ((time - window.dataEnd + INTERVAL_MS) / ROLLING_HALF_LIFE_MS))
+  };
+}
+
+// 气象特征在 auto 模式下要求训练期覆盖率不低于该比例
+const WEATHER_MIN_COVERAGE = 0.9;
+const WEATHER_FEATURE_MODES = ['auto', 'true', 'false'];
+
+// 气象特征模式：未指定时为 auto
+function resolveWeatherMode(config) {
+  const mode = config.weather_features === undefined || config.weather_features === null || config.weather_features === ''
+    ? 'auto'
+    : String(config.weather_features);
+  if (!WEATHER_FEATURE_MODES.includes(mode)) {
+    throw new ServiceError(`不支持的气象特征模式: ${mode}，可选: ${WEATHER_FEATURE_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// 提交时校验气象特征模式；true 时特征目录中须有气象数据 (覆盖率等取决于训练数据，在计算时检查)
+function checkWeatherFeatures(config) {
+  if (resolveWeatherMode(config) === 'true' && featureStore.weatherRecords.length === 0) {
+    throw new ServiceError(`无法使用气象特征: 特征目录 ${FEATURE_DIR} 中没有气象数据`);
+  }
+}
+
+// 外部特征：节假日日历始终使用；气象特征按 config.weather_features 决定，
+// auto 时训练期覆盖率足够且全部预测时段都有气象数据才使用，true 时不满足则报错
+function resolveExternalFeatures(config, trainingData, startTime, points) {
+  const mode = resolveWeatherMode(config);
+  
+  const providers = [calendarProvider(featureStore.calendar)];
+  const forecastYears = [...new Set([startTime, startTime + (points - 1) * INTERVAL_MS].map(time => toMarketDateKey(time).slice(0, 4)))];
+  const uncoveredYears = forecastYears.filter(year => !featureStore.calendar.years.includes(year));
+  const weather = { mode, used: false, reason: null, training_coverage: null };
+  
+  if (mode === 'false') {
+    weather.reason = '已关闭气象特征';
+  } else {
+    const provider = weatherProvider(featureStore.weather);
+    const covered = trainingData.filter(item => provider.history(new Date(item.timestamp).getTime()) !== null).length;
+    let missing = 0;
+    for (let i = 0; i < points; i++) {
+      if (provider.forecast(startTime + i * INTERVAL_MS) === null) missing++;
+    }
+    weather.training_coverage = trainingData.length > 0 ? covered / trainingData.length : 0;
+    if (featureStore.weatherRecords.length === 0) {
+      weather.reason = `特征目录 ${FEATURE_DIR} 中没有气象数据`;
+    } else if (weather.training_coverage < WEATHER_MIN_COVERAGE) {
+      weather.reason = `训练期气象数据覆盖率 ${(weather.training_coverage * 100).toFixed(1)}% 低于 ${WEATHER_MIN_COVERAGE * 100}%`;
+    } else if (missing > 0) {
+      weather.reason = `${missing} 个预测时段缺少气象预报或实测`;
+    } else {
+      weather.used = true;
+      providers.push(provider);
+    }
+    if (!weather.used && mode === 'true') {
+      throw new ServiceError(`无法使用气象特征: ${weather.reason}`);
+    }
+  }
+  
+  return {
+    providers,
+    summary: {
+      calendar: {
+        source: featureStore.calendarSource,
+        years: featureStore.calendar.years,
+        warning: uncoveredYears.length > 0 ? `节假日日历未覆盖 ${uncoveredYears.join('/')} 年，节假日特征均为 0` : null
+      },
+      weather
+    }
+  };
+}
+
+// 进度回调 report(百分比, 说明)：作业线程中转发给作业队列，同步调用时为空操作
+function noProgress() {}
+
+// 子任务的进度 (0-100) 映射到整体进度的 from-to 区间
+function subProgress(report, from, to, label) {
+  return (percent, message) => report(from + (to - from) * percent / 100, label ? `${label}: ${message}` : message);
+}
+
+// 依次进行的 count 次模型训练平分 from-to 的进度区间，每次调用返回下一次训练的进度回调
+function trainingProgress(report, count, from, to) {
+  let index = 0;
+  return label => {
+    const width = (to - from) / count;
+    const start = from + width * index++;
+    return subProgress(report, start, start + width, label);
+  };
+}
+
+// 双市场预测：实时电价与价差 (实时 - 日前) 各自训练集成模型，特征与日前电价相同、目标不同
+function forecastDualMarket(trainingData, models, startTime, points, confidenceLevel, providers, nextTraining = () => noProgress) {
+  const result = {};
+  ['real_time', 'spread'].forEach(target => {
+    const trained = trainForecaster(trainingData, models, target, {
+      features: providers,
+      onProgress: nextTraining(target === 'real_time' ? '实时电价' : '价差')
+    });
+    result[target] = { trained, ...forecast(trained, startTime, points, confidenceLevel) };
+  });
+  return result;
+}
+
+// 单个预测目标的精度与模型信息：预测日有真实数据时与实际值对比，否则使用留出验证集上的误差
+// points 为 { timestamp, predicted_price, confidence_lower, confidence_upper }，actualOf 从市场数据记录中取该目标的实际值
+function describeTargetForecast(trained, points, actualOf) {
+  const matched = matchActualPrices(points, actualOf);
+  return {
+    accuracy_info: matched.actual.length > 0 ? {
+      source: 'actual',
+      metrics: computeErrorMetrics(matched.actual, matched.predicted, matched.lower, matched.upper)
+    } : {
+      source: 'holdout',
+      metrics: trained.ensembleValidation
+    },
+    matched,
+    ensemble: {
+      method: '验证集MAE平方倒数加权',
+      weights: trained.weights,
+      validation: trained.validation
+    },
+    training_data: `${trained.trainingPoints} 个真实数据点`,
+    training_range: trained.trainingRange
+  };
+}
+
+// 实时电价与价差预测的精度
+function describeDualForecast(dual, predictions) {
+  const { matched: rtMatched, ...realTime } = describeTargetForecast(
+    dual.real_time.trained,
+    predictions.map(pred => ({ timestamp: pred.timestamp, ...pred.real_time })),
+    item => item.rt_price
+  );
+  const { matched: spreadMatched, ...spread } = describeTargetForecast(
+    dual.spread.trained,
+    predictions.map(pred => ({
+      timestamp: pred.timestamp,
+      predicted_price: pred.spread.predicted_spread,
+      confidence_lower: pred.spread.confidence_lower,
+      confidence_upper: pred.spread.confidence_upper
+    })),
+    item => (item.rt_price === null || item.rt_price === undefined ? null : item.rt_price - item.price)
+  );
+  
+  // 价差方向 (实时高于还是低于日前) 决定头寸在两个市场间的分配，单独统计方向准确率
+  const sameSign = spreadMatched.actual.filter((actual, i) => Math.sign(actual) === Math.sign(spreadMatched.predicted[i])).length;
+  
+  return {
+    real_time: {
+      average_price: predictions.reduce((sum, pred) => sum + pred.real_time.predicted_price, 0) / predictions.length,
+      ...realTime,
+      matched_points: rtMatched.actual.length
+    },
+    spread: {
+      average_spread: predictions.reduce((sum, pred) => sum + pred.spread.predicted_spread, 0) / predictions.length,
+      ...spread,
+      direction_accuracy: spreadMatched.actual.length > 0 ? sameSign / spreadMatched.actual.length : null,
+      // 留出验证日的价差残差路径，投标优化按日期与日前残差路径配对生成实时电价情景
+      residual_paths: dual.spread.trained.residualPaths
+    },
+    description: '价差直接建模而非两个预测相减，实时电价预测与日前预测之差可能与价差预测不完全一致'
+  };
+}
+
+// 点预测加上经验分位数区间；floor 为下限 (电价、负荷不低于 0)，价差、净需求可正可负
+function bandAround(value, interval, floor = -Infinity) {
+  const clamp = v => Math.max(floor, v);
+  return {
+    confidence_lower: clamp(value + interval.lower),
+    confidence_upper: clamp(value + interval.upper),
+    quantiles: {
+      p10: clamp(value + interval.quantiles.p10),
+      p50: clamp(value + interval.quantiles.p50),
+      p90: clamp(value + interval.quantiles.p90)
+    }
+  };
+}
+
+// 负荷与净需求 (竞价空间 - 发电出力预测) 各自训练集成模型，滞后特征为目标自身的滞后值
+const LOAD_TARGETS = ['load', 'net_demand'];
+
+function forecastLoad(trainingData, models, startTime, points, confidenceLevel, providers, nextTraining = () => noProgress) {
+  const result = {};
+  LOAD_TARGETS.forEach(target => {
+    const trained = trainForecaster(trainingData, models, target, {
+      features: providers,
+      onProgress: nextTraining(target === 'load' ? '负荷' : '净需求')
+    });
+    result[target] = { trained, ...forecast(trained, startTime, points, confidenceLevel) };
+  });
+  return result;
+}
+
+function buildLoadPredictions(loadForecast, startTime, points, confidenceLevel) {
+  return Array.from({ length: points }, (_, i) => {
+    const time = startTime + i * INTERVAL_MS;
+    const load = loadForecast.load.ensemble[i];
+    const netDemand = loadForecast.net_demand.ensemble[i];
+    return {
+      timestamp: formatMarketTimestamp(time),
+      interval_end: formatMarketTimestamp(time + INTERVAL_MS),
+      confidence_level: confidenceLevel,
+      load: { predicted_load: Math.max(0, load), ...bandAround(load, loadForecast.load.intervals[i], 0) },
+      net_demand: { predicted_net_demand: netDemand, ...bandAround(netDemand, loadForecast.net_demand.intervals[i]) }
+    };
+  });
+}
+
+// 负荷预测结果 -> 电价预测的负荷特征 (时间 ms -> [负荷, 净需求])
+function toLoadFeatureMap(loadPredictions) {
+  return new Map(loadPredictions.map(pred => [
+    new Date(pred.timestamp).getTime(),
+    [pred.load.predicted_load, pred.net_demand.predicted_net_demand]
+  ]));
+}
+
+// 负荷与净需求预测
+function runLoadForecastAlgorithm(config, report = noProgress) {
+  console.log('⚡ 开始基于2025年真实数据的负荷预测...');
+  
+  const marketData = marketStore.getIntervals();
+  if (!isDataLoaded || marketData.length === 0) {
+    throw new Error('真实数据未加载');
+  }
+  
+  const { models } = config;
+  const confidence_level = resolveConfidenceLevel(config);
+  const window = resolveForecastWindow(config);
+  const { firstTime, points } = window;
+  
+  const trainingData = marketData.filter(item => new Date(item.timestamp).getTime() < firstTime);
+  const external = resolveExternalFeatures(config, trainingData, firstTime, points);
+  report(5, `训练数据 ${trainingData.length} 条`);
+  const loadForecast = forecastLoad(trainingData, models, firstTime, points, confidence_level, external.providers,
+    trainingProgress(report, LOAD_TARGETS.length, 5, 95));
+  const predictions = buildLoadPredictions(loadForecast, firstTime, points, confidence_level);
+  
+  const describe = (target, field, actualOf) => {
+    const { matched, ...info } = describeTargetForecast(
+      loadForecast[target].trained,
+      predictions.map(pred => ({ timestamp: pred.timestamp, predicted_price: pred[target][field], ...pred[target] })),
+      actualOf
+    );
+    return {
+      ...info,
+      matched_points: matched.actual.length,
+      models: Object.keys(loadForecast[target].trained.models).map(type => ({
+        type,
+        name: MODEL_DEFINITIONS[type].name,
+        weight: loadForecast[target].trained.weights[type],
+        validation_mae: loadForecast[target].trained.validation[type].mae
+      }))
+    };
+  };
+  
+  const loads = predictions.map(pred => pred.load.predicted_load);
+  const netDemands = predictions.map(pred => pred.net_demand.predicted_net_demand);
+  console.log(`✅ 负荷预测完成: ${predictions.length} 个数据点，平均负荷 ${(loads.reduce((sum, v) => sum + v, 0) / loads.length).toFixed(0)} MW`);
+  
+  return {
+    success: true,
+    horizon: describeHorizon(window),
+    predictions,
+    statistics: {
+      average_load: loads.reduce((sum, v) => sum + v, 0) / loads.length,
+      peak_load: Math.max(...loads),
+      min_load: Math.min(...loads),
+      average_net_demand: netDemands.reduce((sum, v) => sum + v, 0) / netDemands.length,
+      max_net_demand: Math.max(...netDemands),
+      total_points: predictions.length,
+      confidence_level
+    },
+    load: describe('load', 'predicted_load', item => item.load),
+    net_demand: {
+      ...describe('net_demand', 'predicted_net_demand', item =>
+        (item.demand === null || item.demand === undefined || item.supply === null || item.supply === undefined ? null : item.demand - item.supply)),
+      description: '净需求 = 竞价空间 - 发电出力预测 (MW)，为正表示供应偏紧'
+    },
+    intervals: {
+      method: '分时段残差经验分位数 (split conformal)',
+      horizon_scaling: '超过1天的递推预测按 sqrt(提前天数) 放大'
+    },
+    external_features: external.summary,
+    features: loadForecast.load.trained.featureNames
+  };
+}
+
+// 电价预测的负荷特征来源：指定负荷预测记录时复用，否则按相同日期和时段现做负荷预测
+function resolveLoadFeatures(config, trainingData, startTime, points, confidenceLevel, providers, nextTraining) {
+  if (config.load_forecast_run_id) {
+    const run = marketStore.listRuns('load_forecast_runs').find(item => item.id === config.load_forecast_run_id);
+    if (!run) {
+      throw new ServiceError(`负荷预测记录不存在: ${config.load_forecast_run_id}`, 404);
+    }
+    const features = toLoadFeatureMap(run.result.predictions);
+    for (let i = 0; i < points; i++) {
+      if (!features.has(startTime + i * INTERVAL_MS)) {
+        throw new ServiceError(`负荷预测记录 ${run.id} 未覆盖全部预测时段`);
+      }
+    }
+    return { source: 'stored', run_id: run.id, features };
+  }
+  
+  const loadForecast = forecastLoad(trainingData, config.models, startTime, points, confidenceLevel, providers, nextTraining);
+  return {
+    source: 'computed',
+    run_id: null,
+    features: toLoadFeatureMap(buildLoadPredictions(loadForecast, startTime, points, confidenceLevel))
+  };
+}
+
+// 预测算法
+function runPredictionAlgorithm(config, report = noProgress) {
+  try {
+    console.log('🚀 开始基于2025年真实数据的预测分析...');
+    
+    const marketData = marketStore.getIntervals();
+    if (!isDataLoaded || marketData.length === 0) {
+      throw new Error('真实数据未加载');
+    }
+    
+    const confidence_level = resolveConfidenceLevel(config);
+    const dualMarket = config.dual_market === true || config.dual_market === 'true';
+    
+    // 指定 model_version 时用模型库中已训练的日前电价模型，模型类型和外部特征按该版本训练时的设置；
+    // 双市场与负荷预测仍按本次数据即时训练
+    const registered = config.model_version ? findModelVersion(config.model_version) : null;
+    const settings = registered ? {
+      ...config,
+      models: registered.models,
+      weather_features: String(registered.features.includes('weather')),
+      load_features: registered.features.includes('load')
+    } : config;
+    const { models } = settings;
+    
+    // 预测时段按市场时区的零点起算，滚动预测只预测截止时刻之后的时段
+    const window = resolveForecastWindow(config);
+    const { firstTime, points } = window;
+    
+    // 只使用预测起点 (滚动预测为截止时刻) 之前的真实数据训练，避免用到"未来"数据
+    const trainingData = marketData.filter(item => new Date(item.timestamp).getTime() < window.dataEnd);
+    // 滚动预测时日前电价模型只用误差窗口之前的数据训练，窗口内的预测为样本外预测，其误差用于修正截止之后的时段
+    const correctionStart = window.cutoff !== null ? window.dataEnd - ROLLING_BIAS_WINDOW_MS : null;
+    const forecastStart = correctionStart !== null && trainingData.some(item => new Date(item.timestamp).getTime() >= correctionStart)
+      ? correctionStart
+      : firstTime;
+    const forecastPoints = (window.endTime - forecastStart) / INTERVAL_MS;
+    const offset = forecastPoints - points;
+    const external = resolveExternalFeatures(settings, trainingData, forecastStart, forecastPoints);
+    // load_features 开启时以同时段的负荷/净需求预测作为电价特征
+    const useLoadFeatures = settings.load_features === true || settings.load_features === 'true';
+    const trainings = (registered ? 0 : 1) + (dualMarket ? 2 : 0) + (useLoadFeatures && !config.load_forecast_run_id ? 2 : 0);
+    const nextTraining = trainingProgress(report, Math.max(1, trainings), 5, 95);
+    report(5, `训练数据 ${trainingData.length} 条`);
+    const loadFeatures = useLoadFeatures
+      ? resolveLoadFeatures(settings, trainingData, firstTime, points, confidence_level, external.providers, nextTraining)
+      : null;
+    const providers = loadFeatures
+      ? [...external.providers, loadProvider(trainingData, loadFeatures.features)]
+      : external.providers;
+    // 误差窗口内的实际值不参与训练，只用于构造滞后特征
+    const modelData = trainingData.filter(item => new Date(item.timestamp).getTime() < forecastStart);
+    const trained = registered
+      ? restoreForecaster(modelRegistry.loadArtifact(registered.version), trainingData, providers)
+      : withHistory(trainForecaster(modelData, models, 'day_ahead', { features: providers, onProgress: nextTraining('日前电价') }), trainingData);
+    const { ensemble, modelPredictions, intervals } = forecast(trained, forecastStart, forecastPoints, confidence_level);
+    const correction = window.cutoff !== null ? resolveRollingCorrection(window, forecastStart, ensemble, trainingData) : null;
+    const dual = dualMarket ? forecastDualMarket(trainingData, models, firstTime, points, confidence_level, providers, nextTraining) : null;
+    
+    // 生成预测结果
+    const predictions = [];
+    
+    for (let i = 0; i < points; i++) {
+      const time = firstTime + i * INTERVAL_MS; // 15分钟间隔
+      // 集成权重之和为 1，各模型与集成预测加同一修正量
+      const shift = correction ? correction.offsetAt(time) : 0;
+      const predictedPrice = ensemble[offset + i] + shift;
+      const interval = intervals[offset + i];
+      
+      const pointModelPredictions = {};
+      Object.keys(modelPredictions).forEach(type => {
+        pointModelPredictions[type] = Math.max(0, modelPredictions[type][offset + i] + shift);
+      });
+      
+      predictions.push({
+        timestamp: formatMarketTimestamp(time),
+        interval_end: formatMarketTimestamp(time + INTERVAL_MS),
+        predicted_price: Math.max(0, predictedPrice),
+        confidence_lower: Math.max(0, predictedPrice + interval.lower),
+        confidence_upper: Math.max(0, predictedPrice + interval.upper),
+        confidence_level: confidence_level,
+        quantiles: {
+          p10: Math.max(0, predictedPrice + interval.quantiles.p10),
+          p50: Math.max(0, predictedPrice + interval.quantiles.p50),
+          p90: Math.max(0, predictedPrice + interval.quantiles.p90)
+        },
+        model_predictions: pointModelPredictions
+      });
+      
+      if (loadFeatures) {
+        const [load, netDemand] = loadFeatures.features.get(time);
+        predictions[i].load_forecast = { load, net_demand: netDemand };
+      }
+      
+      if (dual) {
+        const rtPrice = dual.real_time.ensemble[i];
+        const spread = dual.spread.ensemble[i];
+        predictions[i].real_time = { predicted_price: Math.max(0, rtPrice), ...bandAround(rtPrice, dual.real_time.intervals[i], 0) };
+        // 价差可正可负，不截断
+        predictions[i].spread = { predicted_spread: spread, ...bandAround(spread, dual.spread.intervals[i]) };
+      }
+    }
+    
+    // 计算预测统计信息
+    const avgPredictedPrice = predictions.reduce((sum, p) => sum + p.predicted_price, 0) / predictions.length;
+    
+    // 预测日期有真实数据时直接与实际电价对比，否则使用留出验证集上的误差
+    const matched = matchActualPrices(predictions);
+    const accuracyInfo = matched.actual.length > 0 ? {
+      source: 'actual',
+      metrics: computeErrorMetrics(matched.actual, matched.predicted, matched.lower, matched.upper)
+    } : {
+      source: 'holdout',
+      metrics: trained.ensembleValidation
+    };
+    
+    console.log(`✅ 预测完成: ${predictions.length} 个数据点，平均预测电价: ${avgPredictedPrice.toFixed(2)} 元/MWh`);
+    
+    return {
+      success: true,
+      model_version: registered ? registered.version : null,
+      horizon: describeHorizon(window),
+      ...(correction ? {
+        rolling: {
+          cutoff: formatMarketTimestamp(window.dataEnd),
+          actual_until: trainingData.length > 0 ? trainingData[trainingData.length - 1].interval_end : null,
+          elapsed_points: (firstTime - window.startTime) / INTERVAL_MS,
+          updated_points: points,
+          correction: correction.summary,
+          description: '只使用截止时刻之前已结束时段的实际数据，只更新截止之后的时段；实时电价、价差与负荷预测不做误差修正'
+        }
+      } : {}),
+      predictions: predictions,
+      statistics: {
+        average_price: avgPredictedPrice,
+        total_points: predictions.length,
+        confidence_level: confidence_level,
+        based_on_real_data: true,
+        real_data_points: marketData.length
+      },
+      accuracy: accuracyInfo.metrics.mape !== null ? Math.max(0, 1 - accuracyInfo.metrics.mape) : null,
+      accuracy_info: accuracyInfo,
+      intervals: {
+        method: '分时段残差经验分位数 (split conformal)',
+        calibration_points: trained.calibration.total,
+        horizon_scaling: '超过1天的递推预测按 sqrt(提前天数) 放大'
+      },
+      // 留出验证日的整日残差路径 (实际 - 预测，按时段排列)，投标优化可据此生成历史误差情景
+      residual_paths: trained.residualPaths,
+      ...(dual ? { dual_market: describeDualForecast(dual, predictions) } : {}),
+      external_features: external.summary,
+      ...(loadFeatures ? {
+        load_features: {
+          source: loadFeatures.source,
+          run_id: loadFeatures.run_id,
+          features: LOAD_FEATURE_NAMES,
+          description: '训练时使用实际负荷，预测时使用负荷预测值；验证集误差和预测区间未计入负荷预测误差'
+        }
+      } : {}),
+      ensemble: {
+        method: '验证集MAE平方倒数加权',
+        weights: trained.weights,
+        validation: trained.validation
+      },
+      model_info: {
+        algorithm: '基于2025年真实数据的集成预测模型',
+        models: Object.keys(trained.models).map(type => ({
+          type,
+          name: MODEL_DEFINITIONS[type].name,
+          weight: trained.weights[type],
+          validation_mae: trained.validation[type].mae
+        })),
+        training_data: `${trained.trainingPoints} 个真实数据点`,
+        training_range: trained.trainingRange,
+        features: trained.featureNames,
+        ...(registered ? {
+          registry: {
+            version: registered.version,
+            status: registered.status,
+            created_at: registered.created_at,
+            // 预测日期落在训练窗口内时模型已见过当天的实际电价，误差偏乐观
+            in_sample: firstTime <= new Date(registered.training_window.end).getTime()
+          }
+        } : {})
+      }
+    };
+    
+  } catch (error) {
+    console.error('❌ 预测分析失败:', error);
+    throw error;
+  }
+}
+
+// 模型库中的版本，active 表示当前启用的版本
+function findModelVersion(version) {
+  const model = version === 'active' ? modelRegistry.getActive() : modelRegistry.get(version);
+  if (!model) {
+    throw new ServiceError(version === 'active' ? '模型库中还没有启用的模型' : `模型版本不存在: ${version}`, 404);
+  }
+  return model;
+}
+
+// 训练截止日期 (不含当天)，未指定时使用全部数据；截止日期之前须有足够的数据训练模型
+function resolveTrainingEnd(config) {
+  if (isBlank(config.training_end)) {
+    const marketData = marketStore.getIntervals();
+    return new Date(marketData[marketData.length - 1].timestamp).getTime() + INTERVAL_MS;
+  }
+  const endTime = parseMarketDate(config.training_end);
+  if (isNaN(endTime)) {
+    throw new ServiceError(`无效的训练截止日期: ${config.training_end}`);
+  }
+  const range = getBacktestRange();
+  if (!range || toMarketDateKey(endTime) < range.start) {
+    throw new ServiceError(range ? `训练截止日期不能早于 ${range.start}，之前的真实数据不足以训练模型` : '真实数据不足，无法训练模型');
+  }
+  return endTime;
+}
+
+// 训练日前电价模型并生成可登记的版本：training_end (YYYY-MM-DD) 之前的全部数据，缺省为当前全部数据；
+// 外部特征与预测时的判断相同，但不要求已有预测期的气象预报
+function runModelTraining(config, report = noProgress) {
+  console.log('🧠 开始训练日前电价模型...');
+  
+  const marketData = marketStore.getIntervals();
+  if (!isDataLoaded || marketData.length === 0) {
+    throw new Error('真实数据未加载');
+  }
+  
+  const endTime = resolveTrainingEnd(config);
+  const trainingData = marketData.filter(item => new Date(item.timestamp).getTime() < endTime);
+  const external = resolveExternalFeatures(config, trainingData, endTime, 0);
+  // 负荷特征训练时只用实际负荷，预测时再由负荷预测提供
+  const useLoadFeatures = config.load_features === true || config.load_features === 'true';
+  const providers = useLoadFeatures ? [...external.providers, loadProvider(trainingData, new Map())] : external.providers;
+  
+  report(5, `训练数据 ${trainingData.length} 条`);
+  const trained = trainForecaster(trainingData, config.models, 'day_ahead', {
+    features: providers,
+    onProgress: subProgress(report, 5, 95)
+  });
+  report(95, '保存模型参数');
+  
+  const holdoutDays = trained.residualPaths.map(path => path.date);
+  console.log(`✅ 模型训练完成: ${Object.keys(trained.models).join(', ')}, 留出验证 MAE ${trained.ensembleValidation.mae.toFixed(2)}`);
+  
+  return {
+    entry: {
+      target: trained.target,
+      models: Object.keys(trained.models),
+      training_window: {
+        ...trained.trainingRange,
+        points: trained.trainingPoints
+      },
+      features: providers.map(provider => provider.name),
+      feature_names: trained.featureNames,
+      external_features: external.summary,
+      weights: trained.weights,
+      backtest: {
+        method: `训练窗口最后 ${holdoutDays.length} 天留出，用此前数据训练的模型逐日预测`,
+        start: holdoutDays[0] || null,
+        end: holdoutDays[holdoutDays.length - 1] || null,
+        metrics: trained.ensembleValidation,
+        models: trained.validation
+      }
+    },
+    artifact: serializeForecaster(trained)
+  };
+}
+
+// 滚动回测：逐日只用当日之前的数据重新训练，预测当天96个点并与真实电价对比
+function runBacktestAlgorithm(config, report = noProgress) {
+  console.log('🧪 开始基于2025年真实数据的滚动回测...');
+  
+  if (!isDataLoaded || marketStore.getIntervals().length === 0) {
+    throw new Error('真实数据未加载');
+  }
+  
+  const { start_date, end_date, models } = config;
+  const confidence_level = resolveConfidenceLevel(config);
+  assertBacktestDates(start_date, end_date);
+  
+  const dailyResults = [];
+  const pooled = { actual: [], predicted: [], lower: [], upper: [], models: {} };
+  const totalDays = (parseMarketDate(end_date) - parseMarketDate(start_date)) / (24 * 60 * 60 * 1000) + 1;
+  
+  for (let date = start_date; date <= end_date; date = addDays(date, 1)) {
+    const dayIndex = dailyResults.length;
+    const result = runPredictionAlgorithm({
+      prediction_date: date,
+      horizon_hours: 24,
+      confidence_level,
+      models
+    }, subProgress(report, dayIndex / totalDays * 100, (dayIndex + 1) / totalDays * 100, `${date} (${dayIndex + 1}/${totalDays})`));
+    
+    const matched = matchActualPrices(result.predictions);
+    const dayMetrics = computeErrorMetrics(matched.actual, matched.predicted, matched.lower, matched.upper);
+    
+    dailyResults.push({
+      date,
+      ...dayMetrics,
+      average_actual: matched.actual.reduce((sum, v) => sum + v, 0) / (matched.actual.length || 1),
+      average_predicted: result.statistics.average_price,
+      ensemble_weights: result.ensemble.weights
+    });
+    
+    ['actual', 'predicted', 'lower', 'upper'].forEach(key => pooled[key].push(...matched[key]));
+    Object.keys(matched.models).forEach(type => {
+      (pooled.models[type] = pooled.models[type] || []).push(...matched.models[type]);
+    });
+  }
+  
+  const modelMetrics = {};
+  Object.keys(pooled.models).forEach(type => {
+    modelMetrics[type] = computeErrorMetrics(pooled.actual, pooled.models[type]);
+  });
+  
+  const overall = computeErrorMetrics(pooled.actual, pooled.predicted, pooled.lower, pooled.upper);
+  console.log(`✅ 回测完成: ${dailyResults.length} 天, MAE ${overall.mae.toFixed(2)} 元/MWh`);
+  
+  return {
+    success: true,
+    range: { start_date, end_date, days: dailyResults.length },
+    confidence_level,
+    metrics: overall,
+    model_metrics: modelMetrics,
+    daily: dailyResults,
+    method: {
+      type: 'walk_forward',
+      description: '逐日使用预测日之前的全部真实数据重新训练，预测当天96个15分钟电价并与实际日前出清电价对比'
+    }
+  };
+}
+
+// 历史投标回放：逐日只用当日之前的数据预测并生成报价，按当日实际出清电价出清结算，
+// 与"按发电成本报满容量"的朴素基准对比；机组开停状态逐日衔接
+function runSimulationAlgorithm(config, report = noProgress) {
+  console.log('🎮 开始基于2025年真实数据的投标策略回放...');
+  
+  if (!isDataLoaded || marketStore.getIntervals().length === 0) {
+    throw new Error('真实数据未加载');
+  }
+  
+  const { start_date, end_date, models } = config;
+  const confidence_level = resolveConfidenceLevel(config);
+  assertBacktestDates(start_date, end_date);
+  
+  const costs = resolveSettlementCosts(config.cost_params);
+  const portfolio = resolvePortfolio(config);
+  const actualPrices = new Map(marketStore.getIntervals().map(item => [new Date(item.timestamp).getTime(), item.price]));
+  
+  // 各机组的原始配置，逐日替换初始状态
+  const unitSpecs = Array.isArray(config.units) && config.units.length > 0
+    ? config.units
+    : [{ ...(config.unit_params || {}), unit_id: portfolio[0].unit_id }];
+  let strategyStates = portfolio.map(({ params }) => ({ status: params.initial_status, output: params.initial_output }));
+  let baselineStatuses = portfolio.map(({ params }) => params.initial_status);
+  let cumulativeProfit = 0;
+  let cumulativeBaseline = 0;
+  const dailyResults = [];
+  const totalDays = (parseMarketDate(end_date) - parseMarketDate(start_date)) / (24 * 60 * 60 * 1000) + 1;
+  
+  for (let date = start_date; date <= end_date; date = addDays(date, 1)) {
+    const dayIndex = dailyResults.length;
+    // 每天的进度中预测占 80%，优化与回放结算占其余部分
+    const dayProgress = subProgress(report, dayIndex / totalDays * 100, (dayIndex + 1) / totalDays * 100, `${date} (${dayIndex + 1}/${totalDays})`);
+    const forecastResult = runPredictionAlgorithm({
+      prediction_date: date,
+      horizon_hours: 24,
+      confidence_level,
+      models
+    }, subProgress(dayProgress, 0, 80, '预测'));
+    dayProgress(80, '投标优化与回放结算');
+    // 回放按机组报价逐段出清，只支持发电模式
+    const optimization = runOptimizationAlgorithm(forecastResult.predictions, {
+      ...config,
+      mode: 'generation',
+      units: unitSpecs.map((spec, u) => ({
+        ...spec,
+        initial_status: strategyStates[u].status,
+        initial_output: strategyStates[u].output
+      })),
+      residual_paths: forecastResult.residual_paths
+    });
+    
+    const timestamps = forecastResult.predictions.map(pred => pred.timestamp);
+    const unitResults = portfolio.map(({ unit_id: unitId, params, costCurve }, u) => {
+      const schedule = optimization.bidding_schedule.map(bid => {
+        const dispatch = bid.unit_dispatch[u];
+        return {
+          time_period: bid.time_period,
+          unit_status: dispatch.status,
+          bid_capacity: dispatch.output,
+          bid_price: bid.bid_price,
+          startup: dispatch.startup,
+          bid_curve: dispatch.bid_curve
+        };
+      });
+      const baselineUnit = { ...params, initial_status: baselineStatuses[u] };
+      return {
+        unit_id: unitId,
+        schedule,
+        strategy: replayStrategy(schedule, actualPrices, costs, params, costCurve),
+        baseline: replayBaseline(timestamps, actualPrices, costs, baselineUnit, costCurve)
+      };
+    });
+    const strategy = summarizeTotals(mergeTotals(unitResults.map(result => result.strategy)));
+    const baseline = summarizeTotals(mergeTotals(unitResults.map(result => result.baseline)));
+    
+    strategyStates = unitResults.map(({ schedule }) => {
+      const last = schedule[schedule.length - 1];
+      return { status: last.unit_status, output: last.bid_capacity };
+    });
+    baselineStatuses = unitResults.map(result => result.baseline.end_status);
+    cumulativeProfit += strategy.profit;
+    cumulativeBaseline += baseline.profit;
+    
+    const matched = matchActualPrices(forecastResult.predictions);
+    dailyResults.push({
+      date,
+      profit: strategy.profit,
+      baseline_profit: baseline.profit,
+      excess_profit: strategy.profit - baseline.profit,
+      cumulative_profit: cumulativeProfit,
+      cumulative_baseline_profit: cumulativeBaseline,
+      expected_profit: optimization.expected_profit,
+      expected_cvar: optimization.profit_distribution.cvar,
+      hit_rate: strategy.hit_rate,
+      realized_price: strategy.realized_price,
+      average_actual_price: matched.actual.reduce((sum, v) => sum + v, 0) / (matched.actual.length || 1),
+      forecast_mae: computeErrorMetrics(matched.actual, matched.predicted).mae,
+      strategy,
+      baseline,
+      units: unitResults.map(result => ({
+        unit_id: result.unit_id,
+        profit: result.strategy.profit,
+        baseline_profit: result.baseline.profit,
+        hit_rate: result.strategy.hit_rate,
+        cleared_mwh: result.strategy.cleared_mwh,
+        startups: result.strategy.startups
+      }))
+    });
+  }
+  
+  const strategyTotals = summarizeTotals(mergeTotals(dailyResults.map(day => day.strategy)));
+  const baselineTotals = summarizeTotals(mergeTotals(dailyResults.map(day => day.baseline)));
+  const byProfit = [...dailyResults].sort((a, b) => a.profit - b.profit);
+  
+  console.log(`✅ 回放完成: ${dailyResults.length} 天, 策略收益 ${strategyTotals.profit.toFixed(0)} 元, 基准收益 ${baselineTotals.profit.toFixed(0)} 元`);
+  
+  return {
+    success: true,
+    range: { start_date, end_date, days: dailyResults.length },
+    summary: {
+      total_profit: strategyTotals.profit,
+      baseline_profit: baselineTotals.profit,
+      excess_profit: strategyTotals.profit - baselineTotals.profit,
+      expected_profit: dailyResults.reduce((sum, day) => sum + day.expected_profit, 0),
+      average_daily_profit: strategyTotals.profit / dailyResults.length,
+      average_daily_baseline_profit: baselineTotals.profit / dailyResults.length,
+      profitable_days: dailyResults.filter(day => day.profit > 0).length,
+      days_beating_baseline: dailyResults.filter(day => day.excess_profit > 0).length,
+      worst_day: { date: byProfit[0].date, profit: byProfit[0].profit },
+      best_day: { date: byProfit[byProfit.length - 1].date, profit: byProfit[byProfit.length - 1].profit },
+      hit_rate: strategyTotals.hit_rate,
+      baseline_hit_rate: baselineTotals.hit_rate,
+      realized_price: strategyTotals.realized_price,
+      baseline_realized_price: baselineTotals.realized_price,
+      strategy: strategyTotals,
+      baseline: baselineTotals
+    },
+    daily: dailyResults,
+    parameters: {
+      cost_parameters: costs,
+      units: portfolio.map(({ unit_id: unitId, params, costCurve }) => ({
+        unit_id: unitId,
+        unit_parameters: params,
+        cost_curve: { type: costCurve.type, ...costCurve.params }
+      })),
+      risk_parameters: resolveRiskParams(config.risk_params),
+      market_rules: resolveMarketRules(config.market_rules),
+      confidence_level
+    },
+    method: {
+      type: 'walk_forward_replay',
+      description: '逐日使用当日之前的真实数据预测并优化报价，按当日实际日前出清电价逐段出清：报价不高于实际电价的段中标',
+      settlement: '中标电量按实际电价结算；已开机时出力不低于最小出力，未中标出力按下调成本结算；不模拟出力偏差',
+      baseline: '每台机组每个时段按满出力平均发电成本报满容量，中标即满出力发电，不考虑爬坡与最小启停时间，计启动成本'
+    }
+  };
+}
+
+const OPTIMIZATION_MODES = ['generation', 'storage'];
+
+// 风险评估：按最差 α 情景的平均收益 (CVaR) 判断不利价格路径下是否亏损
+function assessRiskLevel(distribution) {
+  if (distribution.cvar < 0) return 'HIGH';
+  if (distribution.cvar < distribution.mean * 0.5) return 'MEDIUM';
+  return 'LOW';
+}
+
+function describeScenarios(scenarioSet) {
+  return {
+    source: scenarioSet.source,
+    requested_source: scenarioSet.requested_source || scenarioSet.source,
+    fallback_reason: scenarioSet.fallback_reason || null,
+    count: scenarioSet.count,
+    days: scenarioSet.days || null,
+    description: scenarioSet.description
+  };
+}
+
+// 双市场下单个时段的头寸：日前头寸 = 日前比例 × 计划出力，其余在实时市场结算
+function splitInterval(interval, capacity) {
+  return {
+    ...interval,
+    da_mw: interval.da_ratio * capacity,
+    rt_mw: (1 - interval.da_ratio) * capacity
+  };
+}
+
+// 双市场头寸汇总：split_gain 为相对全部电量在日前卖出，把部分电量留到实时市场的期望增益
+function summarizeMarketSplit(biddingSchedule, dualMarket, rtScenarioSet) {
+  const sumOf = key => biddingSchedule.reduce((sum, bid) => sum + bid.market_split[key], 0);
+  const energy = biddingSchedule.reduce((sum, bid) => sum + bid.bid_capacity, 0) * INTERVAL_HOURS;
+  return {
+    parameters: dualMarket,
+    da_energy_mwh: sumOf('da_mw') * INTERVAL_HOURS,
+    rt_energy_mwh: sumOf('rt_mw') * INTERVAL_HOURS,
+    da_share: energy > 0 ? sumOf('da_mw') * INTERVAL_HOURS / energy : null,
+    expected_spread: sumOf('expected_spread') / biddingSchedule.length,
+    split_gain: biddingSchedule.reduce((sum, bid) => sum + bid.market_split.rt_mw * bid.market_split.expected_spread, 0) * INTERVAL_HOURS,
+    scenarios: describeScenarios(rtScenarioSet)
+  };
+}
+
+// 储能套利优化：在价格情景上求充放电计划，并评估收益有多少依赖于预测的不确定性
+function runStorageOptimization(predictions, config, report = noProgress) {
+  console.log('🔋 开始基于真实数据的储能套利优化...');
+  
+  const storage = resolveStorageParams(config.storage_params);
+  const risk = resolveRiskParams(config.risk_params);
+  if (resolveDualMarketParams(config.dual_market).enabled) {
+    throw new ServiceError('储能套利模式暂只支持日前市场，请关闭 dual_market');
+  }
+  report(10, '生成价格情景');
+  const scenarioSet = generatePriceScenarios(predictions, {
+    source: risk.scenario_source,
+    count: risk.scenario_count,
+    residualPaths: config.residual_paths
+  });
+  
+  // 储能按出清电价结算充放电量，情景值即各时段电价
+  report(20, '求解充放电计划');
+  const solution = optimizeWithRisk(scenarioSet.prices, {
+    solve: prices => optimizeStorage(prices, storage),
+    profits: (scenarioPrices, plan) => scenarioPrices.map(prices => storageProfit(prices, plan)),
+    key: plan => plan.schedule.map(point => point.soc_mwh.toFixed(3)).join(','),
+    baseline: () => idlePlan(predictions.map(pred => pred.predicted_price), storage)
+  }, risk);
+  const { plan, distribution } = solution;
+  
+  // 预测不确定性：
+  //   点预测计划 —— 把点预测当作确定电价求出的计划，在情景下的期望收益
+  //   完全预知   —— 逐条价格路径重新优化的收益均值，与期望收益之差为完全信息价值
+  report(60, '评估预测不确定性');
+  const pointPlan = optimizeStorage(predictions.map(pred => pred.predicted_price), storage);
+  const pointPlanExpected = scenarioSet.prices.reduce((sum, prices) => sum + storageProfit(prices, pointPlan), 0) / scenarioSet.count;
+  const perfectForesight = scenarioSet.prices.reduce((sum, prices) => sum + optimizeStorage(prices, storage).objective, 0) / scenarioSet.count;
+  const informationValue = perfectForesight - distribution.mean;
+  
+  const meanPrices = predictions.map((_, t) => scenarioSet.prices.reduce((sum, prices) => sum + prices[t], 0) / scenarioSet.count);
+  const biddingSchedule = predictions.map((pred, index) => {
+    const point = plan.schedule[index];
+    const degradation = storage.degradation_cost * point.discharge_mw * INTERVAL_HOURS;
+    return {
+      time_period: pred.timestamp,
+      predicted_price: pred.predicted_price,
+      action: point.action,
+      charge_mw: point.charge_mw,
+      discharge_mw: point.discharge_mw,
+      net_mw: point.net_mw,
+      soc_mwh: point.soc_mwh,
+      soc: point.soc,
+      expected_profit: meanPrices[index] * point.net_mw * INTERVAL_HOURS - degradation,
+      deterministic_profit: pred.predicted_price * point.net_mw * INTERVAL_HOURS - degradation
+    };
+  });
+  
+  console.log(`✅ 储能优化完成: 期望收益 ${distribution.mean.toFixed(0)} 元, 完全信息价值 ${informationValue.toFixed(0)} 元`);
+  
+  return {
+    success: true,
+    mode: 'storage',
+    expected_profit: distribution.mean,
+    objective_value: solution.objective,
+    profit_distribution: distribution,
+    uncertainty: {
+      point_forecast_profit: pointPlan.objective,
+      point_plan_expected_profit: pointPlanExpected,
+      expected_profit: distribution.mean,
+      perfect_foresight_profit: perfectForesight,
+      value_of_perfect_information: informationValue,
+      value_of_stochastic_solution: distribution.mean - pointPlanExpected,
+      uncertainty_share: perfectForesight > 0 ? informationValue / perfectForesight : null,
+      profit_at_risk: distribution.mean - distribution.p5,
+      description: '完全信息价值 = 逐情景完全预知时的平均收益 - 当前计划的期望收益，即因预测不确定而损失的收益；点预测收益为假设预测准确时的账面收益'
+    },
+    scenarios: describeScenarios(scenarioSet),
+    risk: solution.risk,
+    strategy: distribution.mean > 0 ? 'ARBITRAGE' : 'IDLE',
+    risk_level: assessRiskLevel(distribution),
+    storage: {
+      parameters: plan.storage,
+      summary: plan.summary
+    },
+    bidding_schedule: biddingSchedule,
+    convergence: {
+      ...plan.convergence,
+      solve_time_ms: solution.risk.solve_time_ms
+    },
+    optimization_info: {
+      algorithm: '储能 SOC 动态规划 + 情景 CVaR 风险控制',
+      objective: `最大化 (1-λ)·E[套利收益] + λ·CVaR，λ = ${solution.risk.applied_risk_aversion}；套利收益 = Σ 电价 × (放电 - 充电) - 循环衰减成本`,
+      settlement_rule: '充电按出清电价购电，放电按出清电价售电，不考虑偏差结算',
+      based_on_real_data: true,
+      storage_parameters: plan.storage
+    }
+  };
+}
+
+// 投标优化算法：generation 为发电机组组合，storage 为储能套利
+function runOptimizationAlgorithm(predictions, config, report = noProgress) {
+  try {
+    const mode = config.mode || 'generation';
+    if (!OPTIMIZATION_MODES.includes(mode)) {
+      throw new ServiceError(`不支持的优化模式: ${mode}，可选: ${OPTIMIZATION_MODES.join(', ')}`);
+    }
+    if (mode === 'storage') {
+      return runStorageOptimization(predictions, config, report);
+    }
+    
+    console.log('🎯 开始基于真实数据的投标优化...');
+    
+    const costs = resolveSettlementCosts(config.cost_params);
+    const portfolio = resolvePortfolio(config);
+    const risk = resolveRiskParams(config.risk_params);
+    const dualMarket = resolveDualMarketParams(config.dual_market);
+    
+    // 全天联合价格情景 (预测分布或历史残差路径)，已开机时按偏差风险调整后的价格报价
+    // 各机组成本曲线不同，情景收入不含发电成本，由每台机组按自身成本曲线扣除
+    const bidPrice = optimalBidPrice(costs);
+    report(10, '生成价格情景');
+    const scenarioSet = generatePriceScenarios(predictions, {
+      source: risk.scenario_source,
+      count: risk.scenario_count,
+      residualPaths: config.residual_paths
+    });
+    const scenarios = predictions.map((_, index) => scenarioSet.prices.map(path => path[index]));
+    const revenueCosts = { ...costs, generationCost: 0 };
+    const intervalSettlements = scenarios.map(prices => expectedSettlement(prices, bidPrice, 1, revenueCosts));
+    
+    // 情景下每 MWh 出力的价值：单一日前市场按出清与偏差结算；双市场按各时段日前比例加权日前/实时电价
+    let scenarioValues = scenarioSet.prices.map((_, k) => intervalSettlements.map(s => s.scenario_profits[k] / INTERVAL_HOURS));
+    let rtScenarioSet = null;
+    let marketSplit = null;
+    if (dualMarket.enabled) {
+      rtScenarioSet = buildRealTimeScenarios(predictions, scenarioSet, {
+        count: risk.scenario_count,
+        residualPaths: config.spread_residual_paths
+      });
+      marketSplit = splitPositions(scenarioSet.prices, rtScenarioSet.prices, dualMarket, risk);
+      scenarioValues = marketSplit.values;
+    }
+    const intervalValues = predictions.map((_, index) => scenarioValues.reduce((sum, row) => sum + row[index], 0) / scenarioValues.length);
+    
+    // 96点整体求解各机组开停机与出力计划，目标为组合期望收益与尾部收益 (CVaR) 的加权
+    report(25, `求解 ${portfolio.length} 台机组的出力计划`);
+    const solution = optimizeWithRisk(scenarioValues, portfolioModel(portfolio), risk);
+    const { distribution } = solution;
+    
+    // 分段报价：每台机组在相邻时段出力和爬坡约束允许的范围内，把可调容量按价格分布拆成递增的报价段，
+    // 组合报价为各机组分段的叠加
+    const marketRules = resolveMarketRules(config.market_rules);
+    report(85, '生成分段报价');
+    
+    const unitDispatch = portfolio.map((portfolioUnit, u) => {
+      const { schedule, unit } = solution.plan[u];
+      const curve = portfolioUnit.costCurve;
+      const neighbourLimit = (neighbour, ramp) => (neighbour && neighbour.on ? neighbour.output + ramp : Math.max(unit.min_output, ramp));
+      
+      return schedule.map((point, index) => {
+        const prev = index > 0 ? schedule[index - 1] : null;
+        const next = schedule[index + 1];
+        const upperLimit = Math.max(point.output, Math.min(
+          unit.max_output,
+          neighbourLimit(prev, unit.ramp_up),
+          neighbourLimit(next, unit.ramp_down)
+        ));
+        const lowerLimit = Math.min(point.output, Math.max(
+          unit.min_output,
+          prev && prev.on ? prev.output - unit.ramp_down : 0,
+          next && next.on ? next.output - unit.ramp_up : 0
+        ));
+        const bidCurve = buildIntervalCurve({
+          status: point.on,
+          output: point.output,
+          lowerLimit,
+          upperLimit,
+          mustRunPrice: bidPrice,
+          marginalCost: incrementalCost(curve, lowerLimit, point.output),
+          upsideCost: incrementalCost(curve, point.output, upperLimit),
+          scenarios: scenarios[index],
+          rules: marketRules
+        });
+        const generationCost = point.on ? curve.cost(point.output) * INTERVAL_HOURS : 0;
+        const startupCost = point.startup ? unit.startup_cost : 0;
+        
+        return {
+          unit_id: portfolioUnit.unit_id,
+          status: point.on ? 'on' : 'off',
+          output: point.output,
+          startup: point.startup,
+          marginal_cost: point.on ? curve.marginal(point.output) : null,
+          expected_profit: intervalValues[index] * point.output * INTERVAL_HOURS - generationCost - startupCost,
+          deterministic_profit: predictions[index].predicted_price * point.output * INTERVAL_HOURS - generationCost,
+          binding_constraints: point.binding,
+          bid_curve: bidCurve.segments,
+          curve_adjustments: bidCurve.adjustments,
+          curve_violations: bidCurve.violations
+        };
+      });
+    });
+    
+    const biddingSchedule = predictions.map((pred, index) => {
+      const dispatch = unitDispatch.map(schedule => schedule[index]);
+      const settlement = intervalSettlements[index];
+      const capacity = dispatch.reduce((sum, d) => sum + d.output, 0);
+      const running = dispatch.some(d => d.status === 'on');
+      const aggregate = aggregateBidCurves(dispatch.map(d => d.bid_curve), marketRules);
+      const labelled = (d, messages) => (portfolio.length > 1 ? messages.map(message => `${d.unit_id}: ${message}`) : messages);
+      
+      return {
+        time_period: pred.timestamp,
+        bid_price: running ? bidPrice : null,
+        bid_capacity: capacity,
+        unit_status: running ? 'on' : 'off',
+        units_on: dispatch.filter(d => d.status === 'on').length,
+        startup: dispatch.some(d => d.startup),
+        expected_profit: dispatch.reduce((sum, d) => sum + d.expected_profit, 0),
+        deterministic_profit: dispatch.reduce((sum, d) => sum + d.deterministic_profit, 0),
+        expected_imbalance: marketSplit ? null : settlement.imbalance * capacity,
+        clearing_probability: running ? settlement.clearing_probability : null,
+        predicted_price: pred.predicted_price,
+        ...(marketSplit ? { market_split: splitInterval(marketSplit.intervals[index], capacity) } : {}),
+        binding_constraints: [...new Set(dispatch.flatMap(d => d.binding_constraints))],
+        bid_curve: aggregate.segments,
+        curve_adjustments: [...aggregate.adjustments, ...dispatch.flatMap(d => labelled(d, d.curve_adjustments))],
+        curve_violations: [...aggregate.violations, ...dispatch.flatMap(d => labelled(d, d.curve_violations))],
+        unit_dispatch: dispatch
+      };
+    });
+    
+    const startupCosts = solution.plan.reduce((sum, unitSolution) => sum + unitSolution.convergence.startups * unitSolution.unit.startup_cost, 0);
+    
+    const bindingConstraints = {};
+    solution.plan.forEach(unitSolution => {
+      Object.keys(unitSolution.binding).forEach(name => {
+        const indices = (bindingConstraints[name] = bindingConstraints[name] || new Set());
+        unitSolution.binding[name].forEach(index => indices.add(index));
+      });
+    });
+    Object.keys(bindingConstraints).forEach(name => {
+      const indices = [...bindingConstraints[name]].sort((a, b) => a - b);
+      bindingConstraints[name] = {
+        count: indices.length,
+        time_periods: indices.map(index => predictions[index].timestamp)
+      };
+    });
+    
+    const units = portfolio.map((portfolioUnit, u) => {
+      const unitSolution = solution.plan[u];
+      const dispatch = unitDispatch[u];
+      return {
+        unit_id: portfolioUnit.unit_id,
+        name: portfolioUnit.name,
+        cost_curve: { type: portfolioUnit.costCurve.type, ...portfolioUnit.costCurve.params },
+        unit_parameters: unitSolution.unit,
+        expected_profit: dispatch.reduce((sum, d) => sum + d.expected_profit, 0),
+        energy_mwh: dispatch.reduce((sum, d) => sum + d.output, 0) * INTERVAL_HOURS,
+        average_output: dispatch.reduce((sum, d) => sum + d.output, 0) / dispatch.length,
+        running_intervals: dispatch.filter(d => d.status === 'on').length,
+        startups: unitSolution.convergence.startups,
+        binding_constraints: Object.fromEntries(Object.keys(unitSolution.binding).map(name => [name, unitSolution.binding[name].length])),
+        convergence: unitSolution.convergence
+      };
+    });
+    
+    // 组合收敛信息：各机组动态规划的规模求和，网格取最粗的机组
+    const sumOf = key => solution.plan.reduce((sum, unitSolution) => sum + unitSolution.convergence[key], 0);
+    const upperBound = sumOf('relaxation_upper_bound');
+    const expectedObjective = solution.plan.reduce((sum, unitSolution) => sum + unitSolution.objective, 0);
+    const convergence = {
+      method: solution.plan[0].convergence.method,
+      converged: solution.plan.every(unitSolution => unitSolution.convergence.converged),
+      units: portfolio.length,
+      intervals: predictions.length,
+      output_levels: sumOf('output_levels'),
+      grid_step_mw: Math.max(...solution.plan.map(unitSolution => unitSolution.convergence.grid_step_mw)),
+      states: sumOf('states'),
+      transitions_evaluated: sumOf('transitions_evaluated'),
+      startups: sumOf('startups'),
+      relaxation_upper_bound: upperBound,
+      gap_to_upper_bound: upperBound > 0 ? (upperBound - expectedObjective) / upperBound : 0,
+      solve_time_ms: solution.risk.solve_time_ms
+    };
+    
+    console.log(`✅ 投标优化完成: ${portfolio.length} 台机组, 期望收益 ${distribution.mean.toFixed(0)} 元, CVaR ${distribution.cvar.toFixed(0)} 元, 启动 ${convergence.startups} 次`);
+    
+    return {
+      success: true,
+      mode: 'generation',
+      expected_profit: distribution.mean,
+      objective_value: solution.objective,
+      profit_distribution: distribution,
+      settlement: {
+        bid_price: bidPrice,
+        delivery_risk_premium: deliveryRiskPremium(costs),
+        deterministic_profit: biddingSchedule.reduce((sum, b) => sum + b.deterministic_profit, 0) - startupCosts,
+        expected_imbalance: marketSplit ? null : biddingSchedule.reduce((sum, b) => sum + b.expected_imbalance, 0),
+        profit_quantiles: {
+          p10: distribution.p10,
+          p50: distribution.p50,
+          p90: distribution.p90
+        },
+        scenarios: scenarioSet.count
+      },
+      scenarios: describeScenarios(scenarioSet),
+      ...(marketSplit ? { dual_market: summarizeMarketSplit(biddingSchedule, dualMarket, rtScenarioSet) } : {}),
+      risk: solution.risk,
+      optimal_capacity: biddingSchedule.reduce((sum, b) => sum + b.bid_capacity, 0) / biddingSchedule.length,
+      strategy: distribution.mean > 0 ? 'AGGRESSIVE' : 'CONSERVATIVE',
+      risk_level: assessRiskLevel(distribution),
+      bidding_schedule: biddingSchedule,
+      units,
+      binding_constraints: bindingConstraints,
+      convergence,
+      bid_curves: {
+        market_rules: marketRules,
+        segments: biddingSchedule.reduce((sum, b) => sum + b.bid_curve.length, 0),
+        adjusted_intervals: biddingSchedule.filter(b => b.curve_adjustments.length > 0).length,
+        violations: biddingSchedule.reduce((sum, b) => sum + b.curve_violations.length, 0),
+        offer_file_columns: OFFER_FILE_COLUMNS
+      },
+      optimization_info: {
+        algorithm: marketSplit
+          ? '多机组动态规划优化 + 日前/实时双市场头寸分配 + 情景 CVaR 风险控制'
+          : '多机组动态规划优化 + 偏差结算 + 情景 CVaR 风险控制',
+        objective: marketSplit
+          ? `最大化 (1-λ)·E[组合全天收益] + λ·CVaR，λ = ${solution.risk.applied_risk_aversion}；全天收益 = Σ (日前电价 × 日前头寸 + 实时电价 × (出力 - 日前头寸) - 各机组成本曲线发电成本) - 启动成本`
+          : `最大化 (1-λ)·E[组合全天收益] + λ·CVaR，λ = ${solution.risk.applied_risk_aversion}；全天收益 = Σ (出清收入 + 偏差结算 - 各机组成本曲线发电成本) - 启动成本`,
+        settlement_rule: marketSplit
+          ? '日前头寸按日前电价结算，实际出力与日前头寸的差额按实时电价结算；分段报价为机组物理出力曲线，日前申报电量见各时段 market_split.da_mw'
+          : '少发部分按上调成本购买，多发或未中标的出力按下调成本结算',
+        based_on_real_data: true,
+        cost_parameters: costs,
+        unit_parameters: units.length === 1 ? units[0].unit_parameters : units.map(unit => ({ unit_id: unit.unit_id, ...unit.unit_parameters }))
+      }
+    };
+    
+  } catch (error) {
+    console.error('❌ 投标优化失败:', error);
+    throw error;
+  }
+}
+
+// 接口处理：参数错误抛出 ServiceError (lib 中的参数校验经 validateParams 转换)，其余异常为服务端故障，由调用方按 500 返回
+
+// 运行记录列表单次最多返回的条数
+const MAX_RUN_LIST = 500;
+
+// 首次请求时打开存储 (无服务器环境下每个实例冷启动后的第一次请求)
+function ensureStorage() {
+  if (!isDataLoaded) {
+    initializeStorage();
+  }
+}
+
+// 数据库状态
+function getDatabaseStatus() {
+  ensureStorage();
+  
+  const marketData = marketStore.getIntervals();
+  
+  // 计算月度分布
+  const monthlyDistribution = {};
+  marketData.forEach(item => {
+    const { year, month } = getMarketParts(new Date(item.timestamp).getTime());
+    const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+    monthlyDistribution[monthKey] = (monthlyDistribution[monthKey] || 0) + 1;
+  });
+  
+  const backtestRange = getBacktestRange();
+  
+  const timeRange = marketData.length > 0 ? {
+    start: marketData[0].timestamp,
+    end: marketData[marketData.length - 1].timestamp
+  } : null;
+  
+  return {
+    success: true,
+    database: {
+      status: marketStore.isOpen ? 'connected' : 'disconnected',
+      realDataRecords: marketData.length,
+      realTimePriceRecords: marketData.filter(item => item.rt_price !== null && item.rt_price !== undefined).length,
+      dataFrequency: '15分钟',
+      timezone: MARKET_TIMEZONE,
+      intervalConvention: '时间戳为区间起点 (interval_end 为区间终点，interval_label 记录原始数据的标记方式)',
+      dataSource: '2025年真实电力市场数据',
+      monthlyDistribution: monthlyDistribution,
+      timeRange: timeRange,
+      storage: marketStore.isOpen ? marketStore.getStats() : null
+    },
+    validation: {
+      can_validate_accuracy: !!backtestRange,
+      real_data_available: marketData.length > 0,
+      backtest_range: backtestRange
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// 历史数据
+function getHistoricalPrices(query) {
+  ensureStorage();
+  
+  const { timeRange = '1d', includePredictions = 'false', predictionSource = 'auto' } = query;
+  if (!['auto', 'stored'].includes(predictionSource)) {
+    throw new ServiceError(`不支持的预测来源: ${predictionSource}，可选: auto, stored`);
+  }
+  
+  // start/end 或 timeRange 均以数据集自身的时间轴为准，结果按游标分页
+  let predictionReport = null;
+  let result;
+  try {
+    result = queryHistory(
+      marketStore.getIntervals(),
+      query,
+      includePredictions === 'true' ? (startTime, endTime) => {
+        const { predictions, report } = getHistoricalPredictions(startTime, endTime, predictionSource);
+        predictionReport = report;
+        return predictions;
+      } : null
+    );
+  } catch (error) {
+    throw error instanceof HistoryQueryError ? new ServiceError(error.message) : error;
+  }
+  
+  return {
+    success: true,
+    data: result.data,
+    statistics: result.statistics,
+    range: result.range,
+    interval: result.interval,
+    fields: result.fields,
+    pagination: result.pagination,
+    timeRange: query.start || query.end ? 'custom' : timeRange,
+    includePredictions: includePredictions === 'true',
+    predictions: predictionReport && {
+      ...predictionReport,
+      metrics: result.prediction_metrics
+    }
+  };
+}
+
+// 优化输入的预测结果：非空数组，每个时段有有效的时间和电价预测
+function checkPredictionPoints(predictions) {
+  if (!Array.isArray(predictions) || predictions.length === 0) {
+    throw new ServiceError('predictions 须为非空的预测结果数组');
+  }
+  predictions.forEach((pred, index) => {
+    if (!pred || isBlank(pred.timestamp) || isNaN(new Date(pred.timestamp).getTime())) {
+      throw new ServiceError(`第 ${index + 1} 个预测时段缺少有效的 timestamp`);
+    }
+    if (typeof pred.predicted_price !== 'number' || !isFinite(pred.predicted_price)) {
+      throw new ServiceError(`第 ${index + 1} 个预测时段的 predicted_price 不是有效数字`);
+    }
+  });
+}
+
+// 优化参数在提交时校验，参数错误直接返回而不进入计算
+function checkOptimizationParams(predictions, config) {
+  const mode = config.mode || 'generation';
+  if (!OPTIMIZATION_MODES.includes(mode)) {
+    throw new ServiceError(`不支持的优化模式: ${mode}，可选: ${OPTIMIZATION_MODES.join(', ')}`);
+  }
+  validateParams(() => {
+    resolveRiskParams(config.risk_params);
+    const dualMarket = resolveDualMarketParams(config.dual_market);
+    if (mode === 'storage') {
+      resolveStorageParams(config.storage_params);
+      if (dualMarket.enabled) throw new ServiceError('储能套利模式暂只支持日前市场，请关闭 dual_market');
+    } else {
+      resolveSettlementCosts(config.cost_params);
+      resolvePortfolio(config);
+      resolveMarketRules(config.market_rules);
+      if (dualMarket.enabled) spreadPredictions(predictions);
+    }
+  });
+}
+
+// 模型类型在提交时校验，未指定时使用全部模型
+function checkModelTypes(models) {
+  if (models === undefined || models === null) return;
+  if (!Array.isArray(models)) throw new ServiceError('models 须为模型类型数组');
+  models.forEach(type => {
+    if (!MODEL_DEFINITIONS[type]) {
+      throw new ServiceError(`不支持的模型类型: ${type}，可选: ${Object.keys(MODEL_DEFINITIONS).join(', ')}`);
+    }
+  });
+}
+
+// 计算任务：check 校验参数，compute 执行计算并以 report(百分比, 说明) 报告进度，finish 保存运行记录；
+// 同步接口直接执行，后台任务的 compute 在工作线程中执行，check 与 finish 始终在主线程
+const TASKS = {
+  predict: {
+    name: '电价预测',
+    check: ({ config }) => {
+      if (!config) throw new ServiceError('缺少预测配置参数');
+      assertForecastDate(resolveForecastWindow(config).startTime);
+      resolveConfidenceLevel(config);
+      checkModelTypes(config.models);
+      checkWeatherFeatures(config);
+      if (config.model_version) findModelVersion(config.model_version);
+    },
+    compute: ({ config }, report) => runPredictionAlgorithm(config, report),
+    finish: ({ config }, result) => ({ ...result, run_id: marketStore.insertRun('prediction_runs', { config, result }).id })
+  },
+  predict_load: {
+    name: '负荷预测',
+    check: ({ config }) => {
+      if (!config || !config.prediction_date) throw new ServiceError('缺少预测日期参数');
+      if (!isBlank(config.rolling_cutoff)) throw new ServiceError('负荷预测不支持滚动模式 (rolling_cutoff)');
+      assertForecastDate(resolveForecastWindow(config).startTime);
+      resolveConfidenceLevel(config);
+      checkModelTypes(config.models);
+      checkWeatherFeatures(config);
+    },
+    compute: ({ config }, report) => runLoadForecastAlgorithm(config, report),
+    finish: ({ config }, result) => ({ ...result, run_id: marketStore.insertRun('load_forecast_runs', { config, result }).id })
+  },
+  backtest: {
+    name: '滚动回测',
+    check: ({ config }) => {
+      if (!config || !config.start_date || !config.end_date) throw new ServiceError('缺少回测日期范围参数');
+      assertBacktestDates(config.start_date, config.end_date);
+      resolveConfidenceLevel(config);
+      checkModelTypes(config.models);
+    },
+    compute: ({ config }, report) => runBacktestAlgorithm(config, report)
+  },
+  simulate: {
+    name: '策略回放',
+    check: ({ config }) => {
+      if (!config || !config.start_date || !config.end_date) throw new ServiceError('缺少回放日期范围参数');
+      if (!config.cost_params) throw new ServiceError('缺少成本参数 cost_params');
+      assertBacktestDates(config.start_date, config.end_date);
+      resolveConfidenceLevel(config);
+      checkModelTypes(config.models);
+      validateParams(() => {
+        resolveSettlementCosts(config.cost_params);
+        resolvePortfolio(config);
+        if (resolveDualMarketParams(config.dual_market).enabled) {
+          throw new ServiceError('回放暂只支持按日前出清电价结算，请关闭 dual_market');
+        }
+      });
+    },
+    compute: ({ config }, report) => runSimulationAlgorithm(config, report)
+  },
+  optimize: {
+    name: '投标优化',
+    check: ({ predictions, config }) => {
+      if (!predictions || !config) throw new ServiceError('缺少预测数据或优化配置参数');
+      checkPredictionPoints(predictions);
+      checkOptimizationParams(predictions, config);
+    },
+    compute: ({ predictions, config }, report) => runOptimizationAlgorithm(predictions, config, report),
+    finish: ({ predictions, config }, result) => ({ ...result, run_id: marketStore.insertRun('optimization_runs', { config, predictions, result }).id })
+  },
+  train_model: {
+    name: '模型训练',
+    check: ({ config }) => {
+      if (!config) throw new ServiceError('缺少训练配置参数');
+      resolveTrainingEnd(config);
+      checkModelTypes(config.models);
+      checkWeatherFeatures(config);
+    },
+    compute: ({ config }, report) => runModelTraining(config, report),
+    finish: (payload, result) => registerModel(payload, result)
+  }
+};
+
+function finishTask(type, payload, result) {
+  const task = TASKS[type];
+  return task.finish ? task.finish(payload, result) : result;
+}
+
+// 工作线程中的计算，参数已在主线程校验
+function computeTask(type, payload, report) {
+  return TASKS[type].compute(payload, report);
+}
+
+function runTask(type, payload) {
+  ensureStorage();
+  TASKS[type].check(payload);
+  
+  return finishTask(type, payload, computeTask(type, payload, noProgress));
+}
+
+// 工作线程中打开存储：主线程已完成导入和质量修复，这里只读取，不写回
+function openStorageSnapshot() {
+  marketStore.open();
+  modelRegistry.open();
+  reloadFeatureStore();
+  isDataLoaded = marketStore.getIntervals().length > 0;
+}
+
+// 预测分析
+function predict(config) {
+  return runTask('predict', { config });
+}
+
+// 负荷与净需求预测
+function predictLoad(config) {
+  return runTask('predict_load', { config });
+}
+
+// 外部特征库状态：节假日日历、气象数据范围及对市场数据的覆盖率
+function getFeatures() {
+  ensureStorage();
+  
+  const marketTimes = marketStore.getIntervals().map(item => new Date(item.timestamp).getTime());
+  return {
+    success: true,
+    features: describeFeatureStore(featureStore, marketTimes)
+  };
+}
+
+// 重新读取特征目录 (更新气象文件或节假日日历后调用)
+function reloadFeatures() {
+  ensureStorage();
+  
+  reloadFeatureStore();
+  return getFeatures();
+}
+
+// 滚动回测
+function backtest(config) {
+  return runTask('backtest', { config });
+}
+
+// 历史投标策略回放
+function simulate(config) {
+  return runTask('simulate', { config });
+}
+
+// 投标优化
+function optimize(predictions, config) {
+  return runTask('optimize', { predictions, config });
+}
+
+// 优化结果的分段报价申报文件：format 为 json 时返回行数据，否则返回 csv 文件名与内容
+function getOfferFile(runId, format) {
+  ensureStorage();
+  
+  const run = marketStore.listRuns('optimization_runs').find(item => item.id === runId);
+  if (!run) {
+    throw new ServiceError(`优化记录不存在: ${runId}`, 404);
+  }
+  
+  if (run.result.mode === 'storage') {
+    throw new ServiceError('储能套利优化结果没有分段报价曲线，不能生成申报文件');
+  }
+  
+  const schedule = run.result.bidding_schedule || [];
+  if (!schedule.some(bid => bid.bid_curve)) {
+    throw new ServiceError('该优化记录没有分段报价曲线，请重新运行优化');
+  }
+  
+  // 多机组组合按机组分别申报，每台机组一组分段
+  const units = run.result.units || [];
+  const unitId = units.length > 1
+    ? 'PORTFOLIO'
+    : (units.length === 1 ? units[0].unit_id : (run.config.unit_params && run.config.unit_params.unit_id) || 'UNIT-1');
+  const rows = units.length > 1
+    ? units.flatMap((unit, u) => buildOfferFileRows(
+      schedule.map(bid => ({ time_period: bid.time_period, bid_curve: bid.unit_dispatch[u].bid_curve })),
+      unit.unit_id
+    ))
+    : buildOfferFileRows(schedule, unitId);
+  const tradingDay = rows.length > 0 ? rows[0]['交易日'] : 'empty';
+  
+  if (format === 'json') {
+    return {
+      success: true,
+      run_id: run.id,
+      unit_id: unitId,
+      columns: OFFER_FILE_COLUMNS,
+      rows
+    };
+  }
+  
+  return {
+    filename: `offer_${unitId}_${tradingDay}.csv`,
+    content: toOfferCSV(rows)
+  };
+}
+
+// 上传的月度数据文件 (xlsx/xls/csv) 按时间戳去重合并到数据集
+// files 为 [{ originalname, buffer }]，fields 为表单中的 mapping / sheet / timezone / interval_label / dry_run
+function uploadData(files, fields = {}) {
+  if (!files || files.length === 0) {
+    throw new ServiceError('缺少上传文件 (表单字段 files)');
+  }
+  ensureStorage();
+  
+  // 列映射以 JSON 传入，例如 {"timestamp":"时间","price":"日前出清电价"}；
+  // 多个文件映射不同时按文件名分组: {"0701.csv": {"timestamp":"时刻"}}
+  let mapping = {};
+  if (fields.mapping) {
+    try {
+      mapping = JSON.parse(fields.mapping);
+    } catch (parseError) {
+      throw new ServiceError('列映射 mapping 不是有效的 JSON');
+    }
+  }
+  const isPerFileMapping = Object.values(mapping).some(value => value && typeof value === 'object');
+  
+  // 工作表可传名称/序号，或按文件名分组的 JSON
+  let sheets = fields.sheet;
+  if (typeof sheets === 'string' && sheets.trim().startsWith('{')) {
+    try {
+      sheets = JSON.parse(sheets);
+    } catch (parseError) {
+      throw new ServiceError('工作表 sheet 不是有效的 JSON');
+    }
+  }
+  
+  const dryRun = fields.dry_run === 'true';
+  const reports = [];
+  let mergedData = marketStore.getIntervals();
+  
+  files.forEach(file => {
+    try {
+      const parsed = parseMarketFile(file.buffer, file.originalname, {
+        sheet: sheets && typeof sheets === 'object' ? sheets[file.originalname] : sheets,
+        mapping: isPerFileMapping ? (mapping[file.originalname] || {}) : mapping,
+        timezone: fields.timezone || MARKET_TIMEZONE,
+        intervalLabel: fields.interval_label || 'auto'
+      });
+      const merged = mergeRecords(mergedData, parsed.records);
+      mergedData = merged.data;
+      
+      reports.push({
+        file: file.originalname,
+        success: true,
+        sheet: parsed.sheet,
+        available_sheets: parsed.sheets,
+        columns: parsed.columns,
+        interval_label: parsed.intervalLabel,
+        total_rows: parsed.totalRows,
+        accepted: merged.accepted,
+        overwritten: merged.overwritten,
+        duplicates_in_file: merged.duplicatesInFile,
+        rejected: parsed.rejected.length,
+        rejected_rows: parsed.rejected.slice(0, MAX_REPORTED_REJECTIONS)
+      });
+      console.log(`📥 ${file.originalname}: 新增 ${merged.accepted} 条, 覆盖 ${merged.overwritten} 条, 拒绝 ${parsed.rejected.length} 条`);
+    } catch (fileError) {
+      reports.push({
+        file: file.originalname,
+        success: false,
+        error: fileError.message
+      });
+    }
+  });
+  
+  const quality = runQualityStage(mergedData, qualityOptions);
+  
+  let retrain = null;
+  if (!dryRun) {
+    marketStore.replaceIntervals(quality.data);
+    isDataLoaded = quality.data.length > 0;
+    // 数据变化后历史对比用的预测需要重新计算
+    historicalForecastCache.clear();
+    
+    const changed = reports.filter(report => report.success && (report.accepted > 0 || report.overwritten > 0));
+    if (changed.length > 0) {
+      retrain = scheduleRetrain(`导入 ${changed.map(report => report.file).join(', ')}`);
+    }
+  }
+  
+  return {
+    success: reports.some(report => report.success),
+    dry_run: dryRun,
+    files: reports,
+    quality: {
+      strategy: qualityOptions.strategy,
+      summary: quality.summary
+    },
+    total_records: quality.data.length,
+    model_retrain: retrain
+  };
+}
+
+// 数据质量报告：按时间列出当前数据中的问题及已修复的数据点
+// 可通过查询参数预览其他策略/阈值下的修复结果，不会写回存储
+function getDataQuality(query) {
+  ensureStorage();
+  
+  const options = {
+    ...qualityOptions,
+    ...(query.strategy ? { strategy: query.strategy } : {}),
+    ...(query.outlierThreshold ? { outlierThreshold: parseFloat(query.outlierThreshold) } : {}),
+    ...(query.repairOutliers ? { repairOutliers: query.repairOutliers === 'true' } : {})
+  };
+  if (!REPAIR_STRATEGIES.includes(options.strategy)) {
+    throw new ServiceError(`不支持的修复策略: ${options.strategy}，可选: ${REPAIR_STRATEGIES.join(', ')}`);
+  }
+  if (!(options.outlierThreshold > 0)) {
+    throw new ServiceError(`outlierThreshold 须为正数: ${query.outlierThreshold}`);
+  }
+  
+  const marketData = marketStore.getIntervals();
+  const quality = runQualityStage(marketData, options);
+  const repairedPoints = marketData
+    .filter(item => item.quality_flags && item.quality_flags.length > 0)
+    .map(item => ({ timestamp: item.timestamp, flags: item.quality_flags }));
+  
+  return {
+    success: true,
+    options: quality.options,
+    total_records: marketData.length,
+    summary: quality.summary,
+    issues: quality.issues,
+    repaired_points: repairedPoints
+  };
+}
+
+// 运行记录列表 (最新的在前)，可按类型筛选
+function listRuns(query) {
+  ensureStorage();
+  
+  const { type, limit = 50 } = query;
+  if (type && !RUN_TABLES[type]) {
+    throw new ServiceError(`不支持的运行类型: ${type}，可选: ${Object.keys(RUN_TABLES).join(', ')}`);
+  }
+  const size = Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_RUN_LIST) {
+    throw new ServiceError(`limit 须为 1-${MAX_RUN_LIST} 之间的整数`);
+  }
+  
+  const runs = (type ? [type] : Object.keys(RUN_TABLES))
+    .flatMap(runType => marketStore.listRuns(RUN_TABLES[runType]).map(run => summarizeRun(runType, run)))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  return {
+    success: true,
+    total: runs.length,
+    runs: runs.slice(0, size)
+  };
+}
+
+function findRun(id) {
+  for (const type of Object.keys(RUN_TABLES)) {
+    const run = marketStore.listRuns(RUN_TABLES[type]).find(item => item.id === id);
+    if (run) return { type, run };
+  }
+  throw new ServiceError(`运行记录不存在: ${id}`, 404);
+}
+
+// 单次运行的完整记录：配置、输入和结果
+function getRun(id) {
+  ensureStorage();
+  
+  const { type, run } = findRun(id);
+  return {
+    success: true,
+    type,
+    summary: summarizeRun(type, run),
+    run
+  };
+}
+
+// 两次运行的对比 (b 相对 a)：预测曲线、投标计划、关键指标和配置差异
+function compareRuns(query) {
+  const { a, b, align = 'auto' } = query;
+  if (!a || !b) {
+    throw new ServiceError('缺少对比的运行记录 ID (a, b)');
+  }
+  if (!ALIGN_MODES.includes(align)) {
+    throw new ServiceError(`不支持的对齐方式: ${align}，可选: ${ALIGN_MODES.join(', ')}`);
+  }
+  ensureStorage();
+  
+  const byTime = new Map(marketStore.getIntervals().map(item => [new Date(item.timestamp).getTime(), item]));
+  const actualAt = (time, quantity) => {
+    const item = byTime.get(time);
+    return item ? (quantity === 'load' ? item.load : item.price) : null;
+  };
+  return {
+    success: true,
+    ...diffRuns(findRun(a), findRun(b), { align, actualAt })
+  };
+}
+
+// 后台任务队列：首次提交任务时创建，同时计算的任务数默认为 CPU 核数 - 1
+let jobQueue = null;
+
+function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = new JobQueue({
+      script: path.join(ROOT_DIR, 'lib', 'jobworker.js'),
+      concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || Math.max(1, os.cpus().length - 1),
+      finish: (job, result) => finishTask(job.type, job.payload, result)
+    });
+  }
+  return jobQueue;
+}
+
+function findJob(id) {
+  const job = getJobQueue().get(id);
+  if (!job) {
+    throw new ServiceError(`任务不存在: ${id}`, 404);
+  }
+  return job;
+}
+
+function enqueueTask(type, payload) {
+  ensureStorage();
+  TASKS[type].check(payload);
+  
+  const job = getJobQueue().submit(type, payload);
+  return {
+    success: true,
+    job: getJobQueue().describe(job)
+  };
+}
+
+// 提交后台任务：{ type, config, predictions }，参数校验失败时直接返回错误，否则立即返回任务 ID
+function submitJob(body = {}) {
+  const { type, config, predictions } = body;
+  if (!TASKS[type]) {
+    throw new ServiceError(`不支持的任务类型: ${type}，可选: ${Object.keys(TASKS).join(', ')}`);
+  }
+  return enqueueTask(type, type === 'optimize' ? { predictions, config } : { config });
+}
+
+// 任务状态，成功结束的任务同时返回计算结果
+function getJob(id) {
+  const job = findJob(id);
+  return {
+    success: true,
+    job: getJobQueue().describe(job),
+    ...(job.status === 'succeeded' ? { result: job.result } : {})
+  };
+}
+
+function listJobs(query = {}) {
+  const { type, status } = query;
+  const queue = getJobQueue();
+  const jobs = queue.list()
+    .filter(job => (!type || job.type === type) && (!status || job.status === status))
+    .map(job => queue.describe(job));
+  return {
+    success: true,
+    jobs,
+    types: Object.fromEntries(Object.keys(TASKS).map(key => [key, TASKS[key].name]))
+  };
+}
+
+function cancelJob(id) {
+  const job = findJob(id);
+  if (isFinished(job)) {
+    throw new ServiceError(`任务已结束 (${job.status})，无法取消`, 409);
+  }
+  getJobQueue().cancel(id);
+  return {
+    success: true,
+    job: getJobQueue().describe(job)
+  };
+}
+
+// 订阅任务状态变化：立即以当前状态调用一次 listener，返回取消订阅函数
+function watchJob(id, listener) {
+  const queue = getJobQueue();
+  const job = findJob(id);
+  const onUpdate = update => {
+    if (update.id === id) listener(update);
+  };
+  queue.on('update', onUpdate);
+  listener(queue.describe(job));
+  return () => queue.off('update', onUpdate);
+}
+
+// 数据导入后的自动重训：最后一次导入后等待一段时间再提交训练任务，连续导入只训练一次；
+// 沿用启用版本的模型类型和外部特征。定时器只在当前进程内有效，无服务器部署下实例可能先被回收，需手动训练
+const RETRAIN_DELAY_MS = parseInt(process.env.MODEL_RETRAIN_DELAY_MS, 10) || 60 * 1000;
+const retrainSchedule = {
+  timer: null,
+  scheduled_at: null,
+  reason: null,
+  last_job_id: null,
+  last_error: null
+};
+
+function autoRetrainEnabled() {
+  return process.env.MODEL_AUTO_RETRAIN !== 'false';
+}
+
+// 自动重训的版本是否直接启用 (否则作为候选版本，人工确认后启用)
+function autoPromoteEnabled() {
+  return process.env.MODEL_AUTO_PROMOTE === 'true';
+}
+
+function describeRetrain() {
+  return {
+    enabled: autoRetrainEnabled(),
+    delay_ms: RETRAIN_DELAY_MS,
+    auto_promote: autoPromoteEnabled(),
+    scheduled_at: retrainSchedule.scheduled_at,
+    reason: retrainSchedule.reason,
+    last_job_id: retrainSchedule.last_job_id,
+    last_error: retrainSchedule.last_error
+  };
+}
+
+function retrainConfig() {
+  const active = modelRegistry.getActive();
+  return active ? {
+    models: active.models,
+    weather_features: active.features.includes('weather') ? 'auto' : 'false',
+    load_features: active.features.includes('load')
+  } : {};
+}
+
+function scheduleRetrain(reason) {
+  if (!autoRetrainEnabled()) return null;
+  
+  clearTimeout(retrainSchedule.timer);
+  retrainSchedule.scheduled_at = new Date(Date.now() + RETRAIN_DELAY_MS).toISOString();
+  retrainSchedule.reason = reason;
+  retrainSchedule.timer = setTimeout(() => {
+    retrainSchedule.timer = null;
+    retrainSchedule.scheduled_at = null;
+    try {
+      const { job } = enqueueTask('train_model', { config: retrainConfig(), trigger: 'ingest', reason });
+      retrainSchedule.last_job_id = job.id;
+      retrainSchedule.last_error = null;
+      console.log(`🧠 数据已更新，提交模型重训任务 ${job.id}`);
+    } catch (error) {
+      retrainSchedule.last_error = error.message;
+      console.error('❌ 提交模型重训任务失败:', error);
+    }
+  }, RETRAIN_DELAY_MS);
+  // 等待中的重训不阻止进程退出
+  retrainSchedule.timer.unref();
+  return describeRetrain();
+}
+
+// 训练任务完成后登记新版本：模型库中没有启用版本，或请求 auto_promote (自动重训时为 MODEL_AUTO_PROMOTE) 时直接启用
+function registerModel({ config, trigger = 'manual', reason = null }, { entry, artifact }) {
+  const model = modelRegistry.register({ ...entry, trigger, reason, config }, artifact);
+  const autoPromote = trigger === 'ingest' ? autoPromoteEnabled() : (config.auto_promote === true || config.auto_promote === 'true');
+  if (!modelRegistry.getActive() || autoPromote) {
+    modelRegistry.promote(model.version);
+  }
+  console.log(`📦 模型 ${model.version} 已登记 (${model.status})`);
+  return {
+    success: true,
+    model
+  };
+}
+
+// 模型库：各版本的训练窗口、特征组合和回测指标，最新的在前
+function listModels() {
+  ensureStorage();
+  
+  return {
+    success: true,
+    active_version: modelRegistry.getActive() ? modelRegistry.getActive().version : null,
+    models: [...modelRegistry.list()].reverse(),
+    retrain: describeRetrain()
+  };
+}
+
+function getModel(version) {
+  ensureStorage();
+  
+  return {
+    success: true,
+    model: findModelVersion(version)
+  };
+}
+
+// 训练新版本 (后台任务)：{ models, training_end, weather_features, load_features, auto_promote }
+function trainModel(config = {}) {
+  return enqueueTask('train_model', { config: config || {}, trigger: 'manual' });
+}
+
+function promoteModel(version) {
+  ensureStorage();
+  
+  const model = findModelVersion(version);
+  modelRegistry.promote(model.version);
+  console.log(`📦 已启用模型 ${model.version}`);
+  return {
+    success: true,
+    model
+  };
+}
+
+// 健康检查
+function getHealth() {
+  return {
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    dataLoaded: isDataLoaded,
+    dataRecords: marketStore.getIntervals().length
+  };
+}
+
+module.exports = {
+  ServiceError,
+  initializeStorage,
+  getDatabaseStatus,
+  getHistoricalPrices,
+  predict,
+  predictLoad,
+  getFeatures,
+  reloadFeatures,
+  backtest,
+  simulate,
+  optimize,
+  getOfferFile,
+  uploadData,
+  getDataQuality,
+  listRuns,
+  getRun,
+  compareRuns,
+  submitJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  watchJob,
+  listModels,
+  getModel,
+  trainModel,
+  promoteModel,
+  computeTask,
+  openStorageSnapshot,
+  getHealth
+};
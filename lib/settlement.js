@@ -0,0 +1,137 @@
+// 偏差结算模型：中标电量按出清电价结算，实际出力与中标电量的偏差按上调/下调成本结算
+//   少发 (实际 < 中标)：缺额按 upwardCost 购买上调电量
+//   多发 (实际 > 中标)：超出部分按 downwardCost 结算
+// 报价高于出清电价时不中标，已开机出力全部计为多发
+const INTERVAL_HOURS = 0.25;
+
+// 出力偏差 ε ~ N(0, σ) 的五点等概率离散化 (标准正态 10/30/50/70/90 分位数)
+const DELIVERY_Z = [-1.2816, -0.5244, 0, 0.5244, 1.2816];
+
+// 标准正态 E[max(Z, 0)]
+const EXPECTED_POSITIVE_Z = 0.3989;
+
+const DEFAULT_DELIVERY_ERROR = 0.03;
+
+function resolveSettlementCosts(costParams = {}) {
+  const costs = {
+    // 多机组时发电成本由各机组的成本曲线给出，可不填
+    generationCost: costParams.generationCost === undefined || costParams.generationCost === null ? null : Number(costParams.generationCost),
+    upwardCost: Number(costParams.upwardCost),
+    downwardCost: Number(costParams.downwardCost),
+    deliveryError: costParams.deliveryError === undefined ? DEFAULT_DELIVERY_ERROR : Number(costParams.deliveryError)
+  };
+  Object.keys(costs).forEach(key => {
+    if (costs[key] !== null && isNaN(costs[key])) throw new Error(`成本参数 ${key} 必须为数字`);
+  });
+  if (costs.deliveryError < 0 || costs.deliveryError > 1) {
+    throw new Error('deliveryError 须在 0-1 之间 (出力偏差标准差占计划出力的比例)');
+  }
+  return costs;
+}
+
+// 已知中标电量时的单时段结算 (元)：price 为出清电价，cleared/delivered 为 MW
+// 给出机组成本曲线 costCurve 时按曲线计发电成本，否则按 costs.generationCost 线性计算
+function settleCleared({ price, cleared, delivered, costs, costCurve = null }) {
+  const shortfall = Math.max(0, cleared - delivered);
+  const surplus = Math.max(0, delivered - cleared);
+
+  const marketRevenue = price * cleared * INTERVAL_HOURS;
+  const upwardCharge = costs.upwardCost * shortfall * INTERVAL_HOURS;
+  const downwardRevenue = costs.downwardCost * surplus * INTERVAL_HOURS;
+  const generationCost = costCurve
+    ? (delivered > 0 ? costCurve.cost(delivered) * INTERVAL_HOURS : 0)
+    : costs.generationCost * delivered * INTERVAL_HOURS;
+
+  return {
+    cleared,
+    shortfall,
+    surplus,
+    market_revenue: marketRevenue,
+    imbalance: downwardRevenue - upwardCharge,
+    generation_cost: generationCost,
+    profit: marketRevenue + downwardRevenue - upwardCharge - generationCost
+  };
+}
+
+// 单段报价的结算：报价不高于出清电价即全部中标
+function settleInterval({ price, bidPrice, bidQuantity, delivered, costs }) {
+  return settleCleared({ price, cleared: price >= bidPrice ? bidQuantity : 0, delivered, costs });
+}
+
+// 由预测分位数构造分段线性的逆分布函数 u -> 价格
+function predictionQuantile(prediction) {
+  const center = prediction.predicted_price;
+  const alpha = 1 - (prediction.confidence_level || 0.95);
+  const knots = [
+    [alpha / 2, prediction.confidence_lower],
+    [0.1, prediction.quantiles && prediction.quantiles.p10],
+    [0.5, prediction.quantiles ? prediction.quantiles.p50 : center],
+    [0.9, prediction.quantiles && prediction.quantiles.p90],
+    [1 - alpha / 2, prediction.confidence_upper]
+  ].filter(([, value]) => value !== undefined && value !== null && !isNaN(value))
+    .sort((a, b) => a[0] - b[0]);
+
+  if (knots.length === 0) return () => center;
+
+  // 保证单调
+  for (let i = 1; i < knots.length; i++) {
+    knots[i][1] = Math.max(knots[i][1], knots[i - 1][1]);
+  }
+
+  return u => {
+    if (u <= knots[0][0]) return knots[0][1];
+    for (let i = 1; i < knots.length; i++) {
+      if (u <= knots[i][0]) {
+        const [u0, v0] = knots[i - 1];
+        const [u1, v1] = knots[i];
+        return v0 + (v1 - v0) * (u - u0) / (u1 - u0);
+      }
+    }
+    return knots[knots.length - 1][1];
+  };
+}
+
+// 出力偏差造成的期望损失 (元/MWh)：少发按上调成本补、多发按下调成本卖，发电成本的期望变化为 0
+function deliveryRiskPremium(costs) {
+  return costs.deliveryError * EXPECTED_POSITIVE_Z * (costs.upwardCost - costs.downwardCost);
+}
+
+// 已开机时的最优报价：出清电价扣除偏差风险后仍高于下调结算价就应中标
+function optimalBidPrice(costs) {
+  return costs.downwardCost + deliveryRiskPremium(costs);
+}
+
+// 在价格情景和出力偏差上求期望结算结果
+function expectedSettlement(scenarios, bidPrice, quantity, costs) {
+  const totals = { profit: 0, imbalance: 0, market_revenue: 0, generation_cost: 0, clearing_probability: 0 };
+  const profits = [];
+
+  scenarios.forEach(price => {
+    let scenarioProfit = 0;
+    DELIVERY_Z.forEach(z => {
+      const delivered = Math.max(0, quantity * (1 + costs.deliveryError * z));
+      const result = settleInterval({ price, bidPrice, bidQuantity: quantity, delivered, costs });
+      const weight = 1 / (scenarios.length * DELIVERY_Z.length);
+      totals.profit += result.profit * weight;
+      totals.imbalance += result.imbalance * weight;
+      totals.market_revenue += result.market_revenue * weight;
+      totals.generation_cost += result.generation_cost * weight;
+      scenarioProfit += result.profit / DELIVERY_Z.length;
+    });
+    if (price >= bidPrice) totals.clearing_probability += 1 / scenarios.length;
+    profits.push(scenarioProfit);
+  });
+
+  return { ...totals, scenario_profits: profits };
+}
+
+module.exports = {
+  INTERVAL_HOURS,
+  resolveSettlementCosts,
+  settleCleared,
+  settleInterval,
+  predictionQuantile,
+  deliveryRiskPremium,
+  optimalBidPrice,
+  expectedSettlement
+};
@@ -0,0 +1,123 @@
+// 历史投标回放：用实际出清电价对报价逐段出清并结算，与"按发电成本报满容量"的朴素基准对比
+//   分段报价中报价不高于实际电价的段中标；已开机时出力不低于最小出力，未中标的出力按下调成本结算
+//   回放假设实际出力等于中标电量 (或最小出力)，不模拟出力偏差；按单台机组回放，发电成本按机组成本曲线计算
+const { INTERVAL_HOURS, settleCleared } = require('./settlement');
+
+function createTotals() {
+  return {
+    profit: 0,
+    market_revenue: 0,
+    imbalance: 0,
+    generation_cost: 0,
+    startup_cost: 0,
+    startups: 0,
+    offered_mwh: 0,
+    cleared_mwh: 0,
+    offered_bids: 0,
+    accepted_bids: 0,
+    intervals: 0,
+    missing_intervals: 0
+  };
+}
+
+function addSettlement(totals, settlement) {
+  totals.profit += settlement.profit;
+  totals.market_revenue += settlement.market_revenue;
+  totals.imbalance += settlement.imbalance;
+  totals.generation_cost += settlement.generation_cost;
+  totals.cleared_mwh += settlement.cleared * INTERVAL_HOURS;
+}
+
+function addStartup(totals, cost) {
+  totals.startups++;
+  totals.startup_cost += cost;
+  totals.profit -= cost;
+}
+
+// 中标率按报价段计，成交均价为按中标电量加权的实际电价
+function summarizeTotals(totals) {
+  return {
+    ...totals,
+    hit_rate: totals.offered_bids > 0 ? totals.accepted_bids / totals.offered_bids : null,
+    cleared_ratio: totals.offered_mwh > 0 ? totals.cleared_mwh / totals.offered_mwh : null,
+    realized_price: totals.cleared_mwh > 0 ? totals.market_revenue / totals.cleared_mwh : null
+  };
+}
+
+function mergeTotals(list) {
+  const merged = createTotals();
+  list.forEach(totals => {
+    Object.keys(merged).forEach(key => { merged[key] += totals[key]; });
+  });
+  return merged;
+}
+
+// 优化结果的分段报价；没有分段曲线的旧结果按单一报价处理
+function bidSegments(bid) {
+  if (bid.bid_curve && bid.bid_curve.length > 0) return bid.bid_curve;
+  if (bid.unit_status !== 'on' || !(bid.bid_capacity > 0)) return [];
+  return [{ segment: 1, start_mw: 0, end_mw: bid.bid_capacity, quantity_mw: bid.bid_capacity, price: bid.bid_price }];
+}
+
+// actualPrices: 时间 (ms) -> 实际出清电价；缺实际电价的时段不结算
+function replayStrategy(biddingSchedule, actualPrices, costs, unit, costCurve) {
+  const totals = createTotals();
+
+  biddingSchedule.forEach(bid => {
+    const price = actualPrices.get(new Date(bid.time_period).getTime());
+    if (price === undefined) {
+      totals.missing_intervals++;
+      return;
+    }
+    totals.intervals++;
+    if (bid.startup) addStartup(totals, unit.startup_cost);
+
+    const segments = bidSegments(bid);
+    const accepted = segments.filter(segment => price >= segment.price);
+    const cleared = accepted.reduce((sum, segment) => sum + segment.quantity_mw, 0);
+    const delivered = bid.unit_status === 'on' ? Math.max(cleared, unit.min_output) : 0;
+
+    totals.offered_bids += segments.length;
+    totals.accepted_bids += accepted.length;
+    totals.offered_mwh += segments.reduce((sum, segment) => sum + segment.quantity_mw, 0) * INTERVAL_HOURS;
+    addSettlement(totals, settleCleared({ price, cleared, delivered, costs, costCurve }));
+  });
+
+  return summarizeTotals(totals);
+}
+
+// 朴素基准：每个时段都按满出力的平均发电成本报满容量，中标即按满出力发电，不考虑爬坡和最小启停时间，但计启动成本
+// unit.initial_status 为前一天结束时的状态，返回的 end_status 供下一天衔接
+function replayBaseline(timestamps, actualPrices, costs, unit, costCurve) {
+  const totals = createTotals();
+  const offerPrice = costCurve.cost(unit.max_output) / unit.max_output;
+  let running = unit.initial_status === 'on';
+
+  timestamps.forEach(timestamp => {
+    const price = actualPrices.get(new Date(timestamp).getTime());
+    if (price === undefined) {
+      totals.missing_intervals++;
+      return;
+    }
+    totals.intervals++;
+
+    const accepted = price >= offerPrice;
+    if (accepted && !running) addStartup(totals, unit.startup_cost);
+    running = accepted;
+
+    const cleared = accepted ? unit.max_output : 0;
+    totals.offered_bids++;
+    totals.accepted_bids += accepted ? 1 : 0;
+    totals.offered_mwh += unit.max_output * INTERVAL_HOURS;
+    addSettlement(totals, settleCleared({ price, cleared, delivered: cleared, costs, costCurve }));
+  });
+
+  return { ...summarizeTotals(totals), end_status: running ? 'on' : 'off' };
+}
+
+module.exports = {
+  replayStrategy,
+  replayBaseline,
+  mergeTotals,
+  summarizeTotals
+};
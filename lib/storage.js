@@ -0,0 +1,212 @@
+// 储能套利优化：在96点上求解充放电计划，最大化 Σ 电价 × (放电 - 充电) - 循环衰减成本
+// 约束：额定功率、SOC 上下限、充放电效率 (往返效率平分到充、放两侧)、日末 SOC 不低于目标值
+// 方法：SOC 离散为网格后做动态规划，在网格上得到全局最优
+const INTERVAL_HOURS = 0.25;
+
+// SOC 网格最多的档位数
+const MAX_SOC_LEVELS = 200;
+
+const DEFAULT_STORAGE_PARAMS = {
+  energy_capacity_mwh: 200, // MWh
+  power_mw: 50, // MW，充放电额定功率
+  round_trip_efficiency: 0.88,
+  soc_min: 0.1, // 占容量比例
+  soc_max: 0.9,
+  initial_soc: 0.5,
+  final_soc: null, // 日末 SOC 下限，缺省与初始 SOC 相同，避免把存量电放空计为收益
+  degradation_cost: 20 // 元/MWh 放电量，折算的循环衰减成本
+};
+
+function resolveStorageParams(params = {}) {
+  const storage = { ...DEFAULT_STORAGE_PARAMS };
+  Object.keys(params).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') storage[key] = params[key];
+  });
+  if (storage.final_soc === null) storage.final_soc = storage.initial_soc;
+  Object.keys(DEFAULT_STORAGE_PARAMS).forEach(key => {
+    storage[key] = Number(storage[key]);
+    if (isNaN(storage[key]) || storage[key] < 0) {
+      throw new Error(`储能参数 ${key} 必须为非负数`);
+    }
+  });
+  if (storage.energy_capacity_mwh <= 0 || storage.power_mw <= 0) {
+    throw new Error('储能容量和额定功率必须大于 0');
+  }
+  if (storage.round_trip_efficiency <= 0 || storage.round_trip_efficiency > 1) {
+    throw new Error('round_trip_efficiency 须在 0-1 之间');
+  }
+  if (storage.soc_max > 1 || storage.soc_min >= storage.soc_max) {
+    throw new Error('SOC 限值无效: 需满足 0 ≤ soc_min < soc_max ≤ 1');
+  }
+  ['initial_soc', 'final_soc'].forEach(key => {
+    if (storage[key] < storage.soc_min || storage[key] > storage.soc_max) {
+      throw new Error(`${key} 须在 soc_min 与 soc_max 之间`);
+    }
+  });
+  return storage;
+}
+
+// prices: 各时段的电价 (元/MWh)，可为期望电价或情景加权电价
+function optimizeStorage(prices, storageParams = {}) {
+  const startedAt = Date.now();
+  const storage = resolveStorageParams(storageParams);
+  const T = prices.length;
+
+  const minEnergy = storage.soc_min * storage.energy_capacity_mwh;
+  const maxEnergy = storage.soc_max * storage.energy_capacity_mwh;
+  const K = MAX_SOC_LEVELS;
+  const step = (maxEnergy - minEnergy) / K;
+  const energy = i => minEnergy + i * step;
+  const toLevel = soc => Math.round((soc * storage.energy_capacity_mwh - minEnergy) / step);
+
+  const efficiency = Math.sqrt(storage.round_trip_efficiency);
+  // 一个时段内 SOC 最多能升高/降低的档位数
+  const maxUp = Math.floor(storage.power_mw * INTERVAL_HOURS * efficiency / step + 1e-9);
+  const maxDown = Math.floor(storage.power_mw * INTERVAL_HOURS / efficiency / step + 1e-9);
+
+  // SOC 变化 -> 电网侧充/放电功率 (MW)
+  const powerFor = delta => {
+    const change = delta * step;
+    return change >= 0
+      ? { charge: change / efficiency / INTERVAL_HOURS, discharge: 0 }
+      : { charge: 0, discharge: -change * efficiency / INTERVAL_HOURS };
+  };
+  const reward = (t, delta) => {
+    const { charge, discharge } = powerFor(delta);
+    return (prices[t] * (discharge - charge) - storage.degradation_cost * discharge) * INTERVAL_HOURS;
+  };
+
+  let value = new Float64Array(K + 1).fill(-Infinity);
+  value[toLevel(storage.initial_soc)] = 0;
+  const backpointers = [];
+  let transitions = 0;
+
+  for (let t = 0; t < T; t++) {
+    const next = new Float64Array(K + 1).fill(-Infinity);
+    const back = new Int32Array(K + 1).fill(-1);
+    for (let i = 0; i <= K; i++) {
+      if (value[i] === -Infinity) continue;
+      for (let j = Math.max(0, i - maxDown); j <= Math.min(K, i + maxUp); j++) {
+        transitions++;
+        const candidate = value[i] + reward(t, j - i);
+        if (candidate > next[j]) {
+          next[j] = candidate;
+          back[j] = i;
+        }
+      }
+    }
+    value = next;
+    backpointers.push(back);
+  }
+
+  // 日末 SOC 不低于目标值
+  const finalLevel = toLevel(storage.final_soc);
+  let best = -1;
+  for (let i = finalLevel; i <= K; i++) {
+    if (value[i] > -Infinity && (best < 0 || value[i] > value[best])) best = i;
+  }
+  if (best < 0) {
+    throw new Error('储能参数下无法在日末达到目标 SOC，请检查功率与 SOC 设置');
+  }
+
+  const levels = new Array(T);
+  let level = best;
+  for (let t = T - 1; t >= 0; t--) {
+    levels[t] = level;
+    level = backpointers[t][level];
+  }
+
+  let previous = toLevel(storage.initial_soc);
+  const schedule = levels.map((current, t) => {
+    const { charge, discharge } = powerFor(current - previous);
+    const profit = reward(t, current - previous);
+    previous = current;
+    return {
+      action: charge > 1e-9 ? 'charge' : (discharge > 1e-9 ? 'discharge' : 'idle'),
+      charge_mw: charge,
+      discharge_mw: discharge,
+      net_mw: discharge - charge,
+      soc_mwh: energy(current),
+      soc: energy(current) / storage.energy_capacity_mwh,
+      price: prices[t],
+      profit
+    };
+  });
+
+  const discharged = schedule.reduce((sum, point) => sum + point.discharge_mw, 0) * INTERVAL_HOURS;
+  const charged = schedule.reduce((sum, point) => sum + point.charge_mw, 0) * INTERVAL_HOURS;
+
+  return {
+    schedule,
+    objective: value[best],
+    storage,
+    summary: {
+      charged_mwh: charged,
+      discharged_mwh: discharged,
+      equivalent_cycles: discharged / (maxEnergy - minEnergy),
+      degradation_cost: discharged * storage.degradation_cost,
+      charge_intervals: schedule.filter(point => point.action === 'charge').length,
+      discharge_intervals: schedule.filter(point => point.action === 'discharge').length
+    },
+    convergence: {
+      method: '动态规划 (SOC 网格上的全局最优)',
+      converged: true,
+      intervals: T,
+      soc_levels: K + 1,
+      grid_step_mwh: step,
+      transitions_evaluated: transitions,
+      solve_time_ms: Date.now() - startedAt
+    }
+  };
+}
+
+// 全天不充不放、SOC 保持初始值的计划，作为风险约束下的保底方案
+function idlePlan(prices, storageParams = {}) {
+  const storage = resolveStorageParams(storageParams);
+  const socMwh = storage.initial_soc * storage.energy_capacity_mwh;
+  return {
+    schedule: prices.map(price => ({
+      action: 'idle',
+      charge_mw: 0,
+      discharge_mw: 0,
+      net_mw: 0,
+      soc_mwh: socMwh,
+      soc: storage.initial_soc,
+      price,
+      profit: 0
+    })),
+    objective: 0,
+    storage,
+    summary: {
+      charged_mwh: 0,
+      discharged_mwh: 0,
+      equivalent_cycles: 0,
+      degradation_cost: 0,
+      charge_intervals: 0,
+      discharge_intervals: 0
+    },
+    convergence: {
+      method: '不动作 (保底方案)',
+      converged: true,
+      intervals: prices.length,
+      soc_levels: 1,
+      grid_step_mwh: 0,
+      transitions_evaluated: 0,
+      solve_time_ms: 0
+    }
+  };
+}
+
+// 给定充放电计划在一组价格路径下的收益 (元)
+function storageProfit(prices, plan) {
+  return plan.schedule.reduce((sum, point, t) =>
+    sum + (prices[t] * point.net_mw - plan.storage.degradation_cost * point.discharge_mw) * INTERVAL_HOURS, 0);
+}
+
+module.exports = {
+  DEFAULT_STORAGE_PARAMS,
+  resolveStorageParams,
+  optimizeStorage,
+  idlePlan,
+  storageProfit
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 文件型本地存储：市场数据整表保存为 JSON，预测/优化运行记录以 JSON Lines 追加写入
+const TABLES = {
+  market_intervals: { file: 'market_intervals.json', type: 'snapshot' },
+  prediction_runs: { file: 'prediction_runs.jsonl', type: 'append' },
+  load_forecast_runs: { file: 'load_forecast_runs.jsonl', type: 'append' },
+  optimization_runs: { file: 'optimization_runs.jsonl', type: 'append' }
+};
+
+class FileStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.isOpen = false;
+    this.intervals = [];
+    this.runs = { prediction_runs: [], load_forecast_runs: [], optimization_runs: [] };
+    this.lastWrite = {};
+  }
+
+  open() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const intervalsFile = this.tablePath('market_intervals');
+    if (fs.existsSync(intervalsFile)) {
+      this.intervals = JSON.parse(fs.readFileSync(intervalsFile, 'utf8'));
+    }
+
+    Object.keys(this.runs).forEach(table => {
+      const file = this.tablePath(table);
+      if (!fs.existsSync(file)) return;
+      this.runs[table] = fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    });
+
+    this.isOpen = true;
+    return this;
+  }
+
+  tablePath(table) {
+    return path.join(this.directory, TABLES[table].file);
+  }
+
+  // 先写临时文件再重命名，避免进程中断时留下半截文件
+  writeSnapshot(table, rows) {
+    const file = this.tablePath(table);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(rows));
+    fs.renameSync(tempFile, file);
+    this.lastWrite[table] = new Date().toISOString();
+  }
+
+  getIntervals() {
+    return this.intervals;
+  }
+
+  replaceIntervals(records) {
+    this.intervals = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    this.writeSnapshot('market_intervals', this.intervals);
+    return this.intervals.length;
+  }
+
+  insertRun(table, run) {
+    if (!this.runs[table]) {
+      throw new Error(`未知的运行记录表: ${table}`);
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...run
+    };
+    fs.appendFileSync(this.tablePath(table), `${JSON.stringify(record)}\n`);
+    this.runs[table].push(record);
+    this.lastWrite[table] = record.created_at;
+    return record;
+  }
+
+  listRuns(table) {
+    return this.runs[table] || [];
+  }
+
+  getStats() {
+    const tables = {};
+    Object.keys(TABLES).forEach(table => {
+      const file = this.tablePath(table);
+      const exists = fs.existsSync(file);
+      tables[table] = {
+        rows: table === 'market_intervals' ? this.intervals.length : this.runs[table].length,
+        size_bytes: exists ? fs.statSync(file).size : 0,
+        last_write: this.lastWrite[table] || (exists ? fs.statSync(file).mtime.toISOString() : null)
+      };
+    });
+
+    return {
+      engine: 'file',
+      directory: this.directory,
+      tables
+    };
+  }
+}
+
+module.exports = {
+  TABLES,
+  FileStore
+};
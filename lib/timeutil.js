@@ -0,0 +1,269 @@
+// 时间标准化：把各种来源的时间统一为市场时区下的 ISO 时间戳 (区间起点)
+const INTERVAL_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MARKET_TIMEZONE = process.env.MARKET_TIMEZONE || 'Asia/Shanghai';
+
+// Excel 1900 日期系统的零点 (1899-12-30)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+const INTERVAL_LABELS = ['start', 'end', 'auto'];
+
+const formatters = new Map();
+const offsetCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// 某一时刻在市场时区下的本地时间分量
+function getMarketParts(time, timezone = MARKET_TIMEZONE) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(time)).forEach(part => { parts[part.type] = part.value; });
+
+  const year = parseInt(parts.year, 10);
+  const month = parseInt(parts.month, 10);
+  const day = parseInt(parts.day, 10);
+  const hour = parseInt(parts.hour, 10);
+  const minute = parseInt(parts.minute, 10);
+
+  return {
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday],
+    slot: Math.floor((hour * 60 + minute) / 15),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+// 时区相对 UTC 的偏移 (毫秒)，按小时缓存
+function getOffsetMs(time, timezone = MARKET_TIMEZONE) {
+  const hourKey = `${timezone}|${Math.floor(time / 3600000)}`;
+  if (!offsetCache.has(hourKey)) {
+    const p = getMarketParts(time, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    offsetCache.set(hourKey, asUtc - Math.floor(time / 1000) * 1000);
+  }
+  return offsetCache.get(hourKey);
+}
+
+// 市场时区的墙上时间 -> 毫秒时间戳 (迭代一次以处理夏令时切换)
+function wallClockToTime(year, month, day, hour = 0, minute = 0, second = 0, timezone = MARKET_TIMEZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  let time = asUtc - getOffsetMs(asUtc, timezone);
+  time = asUtc - getOffsetMs(time, timezone);
+  return time;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// 格式化为带市场时区偏移的 ISO 时间，例如 2025-05-01T00:15:00+08:00
+function formatMarketTimestamp(time, timezone = MARKET_TIMEZONE) {
+  const p = getMarketParts(time, timezone);
+  const offsetMinutes = Math.round(getOffsetMs(time, timezone) / 60000);
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+  const absMinutes = Math.abs(offsetMinutes);
+  return `${p.dateKey}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.floor(absMinutes / 60))}:${pad(absMinutes % 60)}`;
+}
+
+function toMarketDateKey(time, timezone = MARKET_TIMEZONE) {
+  return getMarketParts(time, timezone).dateKey;
+}
+
+// "YYYY-MM-DD" -> 该日在市场时区的零点
+function parseMarketDate(dateKey, timezone = MARKET_TIMEZONE) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(dateKey || '').trim());
+  if (!match) return NaN;
+  const [year, month, day] = [+match[1], +match[2], +match[3]];
+  // 拒绝 2025-13-01、2025-02-30 这类会被 Date.UTC 顺延的日期
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return NaN;
+  return wallClockToTime(year, month, day, 0, 0, 0, timezone);
+}
+
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// Excel 序列号 -> 墙上时间分量；小数部分是一天中的时刻
+function excelSerialToParts(serial) {
+  const wall = new Date(EXCEL_EPOCH_MS + Math.round(serial * DAY_MS / 1000) * 1000);
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth() + 1,
+    day: wall.getUTCDate(),
+    hour: wall.getUTCHours(),
+    minute: wall.getUTCMinutes(),
+    second: wall.getUTCSeconds()
+  };
+}
+
+const DATE_TIME_PATTERN = /^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?(?:[ T]+(\d{1,2})[:：时](\d{1,2})(?:[:：分](\d{1,2}))?秒?)?$/;
+const TIME_PATTERN = /^(\d{1,2})[:：](\d{2})(?::(\d{2}))?$/;
+const ABSOLUTE_PATTERN = /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/;
+
+// 单独的时刻值：Excel 小数 (0.0104) 或 "HH:mm" (支持 24:00)
+function parseTimeOfDay(value) {
+  if (typeof value === 'number' && value >= 0 && value <= 1) {
+    const seconds = Math.round(value * 86400);
+    return { hour: Math.floor(seconds / 3600), minute: Math.floor((seconds % 3600) / 60), second: seconds % 60 };
+  }
+  const match = TIME_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+  return { hour: +match[1], minute: +match[2], second: +(match[3] || 0) };
+}
+
+function parseDateParts(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : {
+      year: value.getFullYear(),
+      month: value.getMonth() + 1,
+      day: value.getDate(),
+      hour: value.getHours(),
+      minute: value.getMinutes(),
+      second: value.getSeconds()
+    };
+  }
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const serial = Number(value);
+    return serial >= 1 ? excelSerialToParts(serial) : null;
+  }
+  const match = DATE_TIME_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+  return {
+    year: +match[1],
+    month: +match[2],
+    day: +match[3],
+    hour: +(match[4] || 0),
+    minute: +(match[5] || 0),
+    second: +(match[6] || 0)
+  };
+}
+
+// 解析任意时间值，返回毫秒时间戳；endOfDay 表示使用了 24:00 写法
+// 支持: Excel 序列号、"2025/5/1 0:15"、"2025年5月1日 0:15"、带时区的 ISO 字符串、{ date, time } 分列
+function parseTimestampValue(value, timezone = MARKET_TIMEZONE) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'string' && ABSOLUTE_PATTERN.test(value.trim())) {
+    const time = Date.parse(value.trim());
+    return isNaN(time) ? null : { time, endOfDay: false };
+  }
+
+  let parts;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    const dateParts = parseDateParts(value.date);
+    const timeParts = parseTimeOfDay(value.time);
+    if (!dateParts || !timeParts) return null;
+    parts = { ...dateParts, ...timeParts };
+  } else {
+    parts = parseDateParts(value);
+  }
+  if (!parts) return null;
+
+  const { year, month, day, hour, minute, second } = parts;
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 24 || minute > 59 || second > 59) return null;
+  if (hour === 24 && (minute > 0 || second > 0)) return null;
+
+  return {
+    time: wallClockToTime(year, month, day, hour, minute, second, timezone),
+    endOfDay: hour === 24
+  };
+}
+
+// 拒绝原因中展示的原始时间值，日期+时刻两列组合时拼接显示
+function describeTimestampValue(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+  if (value && typeof value === 'object') return `${value.date} ${value.time}`;
+  return String(value);
+}
+
+// 批量标准化：解析时间、判断区间标记方式 (起点/终点)，统一输出区间起点的 ISO 时间
+// intervalLabel 为 auto 时：出现 24:00 或每日从 00:15 开始即判定为区间终点标记
+function canonicalizeRecords(records, options = {}) {
+  const { timezone = MARKET_TIMEZONE, intervalLabel = 'auto' } = options;
+  if (!INTERVAL_LABELS.includes(intervalLabel)) {
+    throw new Error(`不支持的区间标记方式: ${intervalLabel}，可选: ${INTERVAL_LABELS.join(', ')}`);
+  }
+
+  const parsed = records.map(record => parseTimestampValue(record.timestamp, timezone));
+
+  let label = intervalLabel;
+  if (label === 'auto') {
+    const slots = new Set();
+    let hasEndOfDay = false;
+    parsed.forEach(result => {
+      if (!result) return;
+      if (result.endOfDay) hasEndOfDay = true;
+      slots.add(getMarketParts(result.time, timezone).slot);
+    });
+    label = hasEndOfDay || (!slots.has(0) && slots.has(1)) ? 'end' : 'start';
+  }
+
+  const canonical = [];
+  const rejected = [];
+  records.forEach((record, index) => {
+    const result = parsed[index];
+    if (!result) {
+      rejected.push({ index, reason: `时间格式无法识别: ${describeTimestampValue(record.timestamp)}` });
+      return;
+    }
+    if (result.time % INTERVAL_MS !== 0) {
+      rejected.push({ index, reason: '时间不在15分钟整刻度上' });
+      return;
+    }
+
+    const start = label === 'end' ? result.time - INTERVAL_MS : result.time;
+    canonical.push({
+      ...record,
+      timestamp: formatMarketTimestamp(start, timezone),
+      interval_end: formatMarketTimestamp(start + INTERVAL_MS, timezone),
+      interval_label: label
+    });
+  });
+
+  return { records: canonical, rejected, intervalLabel: label };
+}
+
+// 已标准化的记录带有 interval_label 字段
+function isCanonical(record) {
+  return !!record.interval_label && ABSOLUTE_PATTERN.test(String(record.timestamp));
+}
+
+module.exports = {
+  INTERVAL_MS,
+  DAY_MS,
+  MARKET_TIMEZONE,
+  INTERVAL_LABELS,
+  getMarketParts,
+  formatMarketTimestamp,
+  toMarketDateKey,
+  parseMarketDate,
+  addDays,
+  parseTimestampValue,
+  canonicalizeRecords,
+  isCanonical
+};
@@ -1,22 +1,16 @@
-  /** @type {import('next').NextConfig} */
+/** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
-  output: 'export',
-  trailingSlash: true,
-  skipTrailingSlashRedirect: true,
   images: {
     unoptimized: true
   },
-  assetPrefix: '',
   
-  // 确保API路由正常工作
-  async rewrites() {
-    return [
-      {
-        source: '/api/:path*',
-        destination: '/api/:path*',
-      },
-    ];
+  // API 路由 (pages/api/*) 运行时读取原始数据和特征目录，部署时需一并打包；
+  // 后台任务的工作线程按文件路径加载 lib/jobworker.js，lib/ 下的源码也需原样打包
+  experimental: {
+    outputFileTracingIncludes: {
+      '/api/**/*': ['./data/**/*', './lib/**/*']
+    }
   }
 };
 
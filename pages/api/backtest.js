@@ -0,0 +1,7 @@
+import { backtest } from '../../lib/service';
+import { apiRoute } from '../../lib/http';
+
+// 滚动回测
+export default apiRoute({
+  POST: req => backtest(req.body.config)
+});
@@ -0,0 +1,7 @@
+import { getDataQuality } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 数据质量报告：按时间列出当前数据中的问题及已修复的数据点
+export default apiRoute({
+  GET: req => getDataQuality(req.query)
+});
@@ -0,0 +1,17 @@
+import { uploadData } from '../../../lib/service';
+import { apiRoute, receiveFiles } from '../../../lib/http';
+
+// multipart 表单由 multer 解析，关闭 Next.js 自带的请求体解析
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+// 上传月度数据文件 (xlsx/xls/csv)，按时间戳去重合并到数据集
+export default apiRoute({
+  POST: async (req, res) => {
+    await receiveFiles(req, res);
+    return uploadData(req.files, req.body);
+  }
+});
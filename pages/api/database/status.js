@@ -0,0 +1,7 @@
+import { getDatabaseStatus } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 数据库状态
+export default apiRoute({
+  GET: () => getDatabaseStatus()
+});
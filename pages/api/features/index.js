@@ -0,0 +1,7 @@
+import { getFeatures } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 外部特征库状态：节假日日历、气象数据范围及对市场数据的覆盖率
+export default apiRoute({
+  GET: () => getFeatures()
+});
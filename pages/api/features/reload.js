@@ -0,0 +1,7 @@
+import { reloadFeatures } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 重新读取特征目录 (更新气象文件或节假日日历后调用)
+export default apiRoute({
+  POST: () => reloadFeatures()
+});
@@ -0,0 +1,7 @@
+import { getHealth } from '../../lib/service';
+import { apiRoute } from '../../lib/http';
+
+// 健康检查
+export default apiRoute({
+  GET: () => getHealth()
+});
@@ -0,0 +1,7 @@
+import { getHistoricalPrices } from '../../lib/service';
+import { apiRoute } from '../../lib/http';
+
+// 历史数据
+export default apiRoute({
+  GET: req => getHistoricalPrices(req.query)
+});
@@ -0,0 +1,7 @@
+import { cancelJob } from '../../../../lib/service';
+import { apiRoute } from '../../../../lib/http';
+
+// 取消排队或运行中的任务
+export default apiRoute({
+  POST: req => cancelJob(req.query.id)
+});
@@ -0,0 +1,13 @@
+import { apiRoute, sendJobEvents } from '../../../../lib/http';
+
+// 事件流在任务结束或客户端断开时才关闭，由 sendJobEvents 自行结束响应
+export const config = {
+  api: {
+    externalResolver: true
+  }
+};
+
+// 以 Server-Sent Events 推送任务进度
+export default apiRoute({
+  GET: (req, res) => sendJobEvents(req, res, req.query.id)
+});
@@ -0,0 +1,7 @@
+import { getJob } from '../../../../lib/service';
+import { apiRoute } from '../../../../lib/http';
+
+// 任务状态与进度，成功结束后包含计算结果
+export default apiRoute({
+  GET: req => getJob(req.query.id)
+});
@@ -0,0 +1,15 @@
+import { submitJob, listJobs } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 与投标优化相同，提交优化任务时会回传完整的预测结果
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '5mb' }
+  }
+};
+
+// 后台任务：提交后立即返回任务 ID，计算在工作线程中进行
+export default apiRoute({
+  GET: req => listJobs(req.query),
+  POST: req => submitJob(req.body)
+});
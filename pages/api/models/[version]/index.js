@@ -0,0 +1,7 @@
+import { getModel } from '../../../../lib/service';
+import { apiRoute } from '../../../../lib/http';
+
+// 单个模型版本的完整信息
+export default apiRoute({
+  GET: req => getModel(req.query.version)
+});
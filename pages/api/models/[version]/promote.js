@@ -0,0 +1,7 @@
+import { promoteModel } from '../../../../lib/service';
+import { apiRoute } from '../../../../lib/http';
+
+// 启用指定版本，原启用版本停用
+export default apiRoute({
+  POST: req => promoteModel(req.query.version)
+});
@@ -0,0 +1,7 @@
+import { listModels } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 模型库：各版本的训练窗口、特征组合、回测指标和自动重训状态
+export default apiRoute({
+  GET: () => listModels()
+});
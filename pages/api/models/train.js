@@ -0,0 +1,7 @@
+import { trainModel } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 训练新版本，作为后台任务执行，返回任务 ID
+export default apiRoute({
+  POST: req => trainModel(req.body.config)
+});
@@ -0,0 +1,7 @@
+import { getOfferFile } from '../../../../lib/service';
+import { apiRoute, sendOfferFile } from '../../../../lib/http';
+
+// 导出优化结果的分段报价申报文件 (csv 或 json)
+export default apiRoute({
+  GET: (req, res) => sendOfferFile(res, getOfferFile(req.query.runId, req.query.format))
+});
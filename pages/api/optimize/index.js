@@ -0,0 +1,14 @@
+import { optimize } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 双市场预测结果 (含实时电价、价差和残差路径) 会随优化请求回传，超过默认的 1mb
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '5mb' }
+  }
+};
+
+// 投标优化
+export default apiRoute({
+  POST: req => optimize(req.body.predictions, req.body.config)
+});
@@ -0,0 +1,7 @@
+import { predict } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 预测分析
+export default apiRoute({
+  POST: req => predict(req.body.config)
+});
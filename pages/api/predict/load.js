@@ -0,0 +1,7 @@
+import { predictLoad } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 负荷与净需求预测
+export default apiRoute({
+  POST: req => predictLoad(req.body.config)
+});
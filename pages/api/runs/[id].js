@@ -0,0 +1,7 @@
+import { getRun } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 单次运行的完整记录：配置、输入和结果
+export default apiRoute({
+  GET: req => getRun(req.query.id)
+});
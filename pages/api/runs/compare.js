@@ -0,0 +1,7 @@
+import { compareRuns } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 两次运行的对比：预测曲线、投标计划、关键指标和配置差异
+export default apiRoute({
+  GET: req => compareRuns(req.query)
+});
@@ -0,0 +1,7 @@
+import { listRuns } from '../../../lib/service';
+import { apiRoute } from '../../../lib/http';
+
+// 运行记录列表 (最新的在前)，可按类型筛选
+export default apiRoute({
+  GET: req => listRuns(req.query)
+});
@@ -0,0 +1,7 @@
+import { simulate } from '../../lib/service';
+import { apiRoute } from '../../lib/http';
+
+// 历史投标策略回放
+export default apiRoute({
+  POST: req => simulate(req.body.config)
+});
@@ -1,9 +1,176 @@
 import React, { useState, useEffect } from 'react';
 import Head from 'next/head';
+import TimeSeriesChart from '../components/TimeSeriesChart';
 
-const API_BASE_URL = process.env.NODE_ENV === 'production' 
-  ? 'https://your-app-name.vercel.app' 
-  : 'http://localhost:3000';
+// 默认使用相对地址，由同一部署下的 Next.js API 路由处理；前端单独连接 Express 服务时设置 NEXT_PUBLIC_API_BASE_URL
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || '';
+
+// 结果面板通用样式
+const panelStyle = {
+  backgroundColor: 'white',
+  borderRadius: '8px',
+  padding: '20px',
+  marginBottom: '20px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.08)'
+};
+
+const tableCellStyle = { padding: '6px 10px', borderBottom: '1px solid #ecf0f1', textAlign: 'right' };
+
+// 多机组组合的示例配置：约束字段与单机组相同，另带 unit_id 和成本曲线
+const DEFAULT_PORTFOLIO = [
+  {
+    unit_id: 'G1',
+    min_output: 120,
+    max_output: 300,
+    ramp_up: 40,
+    ramp_down: 40,
+    min_up_time: 4,
+    min_down_time: 4,
+    startup_cost: 20000,
+    cost_curve: { type: 'quadratic', a: 3000, b: 300, c: 0.1 }
+  },
+  {
+    unit_id: 'G2',
+    min_output: 50,
+    max_output: 150,
+    ramp_up: 30,
+    ramp_down: 30,
+    min_up_time: 2,
+    min_down_time: 2,
+    startup_cost: 5000,
+    cost_curve: { type: 'piecewise', points: [[50, 19000], [100, 38500], [150, 60000]] }
+  }
+];
+
+// 后台任务类型与状态
+const JOB_TYPE_LABELS = {
+  predict: '电价预测',
+  predict_load: '负荷预测',
+  backtest: '滚动回测',
+  simulate: '策略回放',
+  optimize: '投标优化',
+  train_model: '模型训练'
+};
+const JOB_STATUS_LABELS = {
+  queued: '排队中',
+  running: '计算中',
+  succeeded: '已完成',
+  failed: '失败',
+  cancelled: '已取消'
+};
+
+// 模型库版本状态与训练来源
+const MODEL_STATUS_LABELS = {
+  candidate: '候选',
+  active: '启用中',
+  retired: '已停用'
+};
+const MODEL_TRIGGER_LABELS = {
+  manual: '手动训练',
+  ingest: '数据更新后重训'
+};
+
+const RUN_TYPE_LABELS = {
+  prediction: '电价预测',
+  load_forecast: '负荷预测',
+  optimization: '投标优化'
+};
+
+// 运行记录关键指标的名称；比例类指标按百分比显示
+const RUN_METRIC_LABELS = {
+  average_price: '平均预测电价 (元/MWh)',
+  average_load: '平均负荷 (MW)',
+  peak_load: '峰值负荷 (MW)',
+  accuracy_source: '精度来源',
+  mae: 'MAE',
+  mape: 'MAPE',
+  coverage: '区间覆盖率',
+  expected_profit: '期望收益 (元)',
+  cvar: 'CVaR (元)',
+  loss_probability: '亏损概率',
+  energy_mwh: '计划电量 (MWh)',
+  startups: '启动次数',
+  discharged_mwh: '放电量 (MWh)',
+  equivalent_cycles: '等效循环次数'
+};
+const RUN_PERCENT_METRICS = ['mape', 'coverage', 'loss_probability'];
+
+function formatRunMetric(name, value) {
+  if (name === 'accuracy_source') return value === 'actual' ? '实际数据' : (value === 'holdout' ? '验证集' : '-');
+  if (RUN_PERCENT_METRICS.includes(name)) return value === null || value === undefined ? '-' : `${formatNumber(value * 100, 1)}%`;
+  return formatNumber(value, name === 'startups' ? 0 : 2);
+}
+
+// 配置差异中的值：对象/数组按 JSON 显示
+function formatConfigValue(value) {
+  if (value === null || value === undefined) return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function StatCard({ label, value, color = '#2c3e50' }) {
+  return (
+    <div style={{ flex: '1 1 150px', backgroundColor: '#f8f9fa', borderRadius: '6px', padding: '12px' }}>
+      <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '5px' }}>{label}</div>
+      <div style={{ fontSize: '18px', fontWeight: 'bold', color }}>{value}</div>
+    </div>
+  );
+}
+
+// 预测所用的外部特征：节假日日历来源与气象特征是否启用
+function ExternalFeaturesNote({ summary }) {
+  if (!summary) return null;
+  return (
+    <div style={{ fontSize: '12px', color: '#7f8c8d', marginTop: '10px' }}>
+      🧩 外部特征: 节假日日历 {summary.calendar.years.join('/')} 年 ({summary.calendar.source === 'default' ? '内置' : summary.calendar.source})
+      {' · '}气象 {summary.weather.used ? `已使用 (训练期覆盖 ${formatNumber(summary.weather.training_coverage * 100, 1)}%)` : `未使用: ${summary.weather.reason}`}
+      {summary.calendar.warning && <span style={{ color: '#e67e22' }}>{' · '}⚠️ {summary.calendar.warning}</span>}
+    </div>
+  );
+}
+
+// 后台任务进度条：排队位置或当前步骤，运行中可取消
+function JobProgress({ job, onCancel }) {
+  const active = job.status === 'queued' || job.status === 'running';
+  return (
+    <div style={{ ...panelStyle, padding: '15px 20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '13px', color: '#2c3e50', marginBottom: '8px' }}>
+        <span>
+          ⏳ {JOB_TYPE_LABELS[job.type] || job.type} · {JOB_STATUS_LABELS[job.status] || job.status}
+          {job.queue_position ? ` (前面还有 ${job.queue_position - 1} 个任务)` : ''}
+        </span>
+        {active && (
+          <button
+            onClick={onCancel}
+            style={{ padding: '3px 10px', fontSize: '12px', border: 'none', borderRadius: '3px', backgroundColor: '#e74c3c', color: 'white', cursor: 'pointer' }}
+          >
+            ✖ 取消
+          </button>
+        )}
+      </div>
+      <div style={{ height: '10px', backgroundColor: '#ecf0f1', borderRadius: '5px', overflow: 'hidden' }}>
+        <div style={{
+          width: `${job.progress.percent}%`,
+          height: '100%',
+          backgroundColor: job.status === 'failed' || job.status === 'cancelled' ? '#e74c3c' : '#3498db',
+          transition: 'width 0.3s'
+        }} />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#7f8c8d', marginTop: '5px' }}>
+        <span>{job.progress.message}</span>
+        <span>{formatNumber(job.progress.percent, 0)}%</span>
+      </div>
+    </div>
+  );
+}
+
+function formatNumber(value, digits = 2) {
+  return value === null || value === undefined || isNaN(value) ? '-' : Number(value).toFixed(digits);
+}
+
+// 时间戳为市场时区的 ISO 字符串，直接截取 "MM-DD HH:mm"
+function formatTimeLabel(timestamp, daily = false) {
+  return daily ? timestamp.slice(0, 10) : timestamp.slice(5, 16).replace('T', ' ');
+}
 
 export default function PowerMarketDashboard() {
   // 状态管理
@@ -13,7 +180,19 @@ export default function PowerMarketDashboard() {
   const [databaseStatus, setDatabaseStatus] = useState(null);
   const [historicalData, setHistoricalData] = useState(null);
   const [predictionResults, setPredictionResults] = useState(null);
+  const [loadForecastResults, setLoadForecastResults] = useState(null);
   const [optimizationResults, setOptimizationResults] = useState(null);
+  const [backtestResults, setBacktestResults] = useState(null);
+  const [backtestLoading, setBacktestLoading] = useState(false);
+  const [usePortfolio, setUsePortfolio] = useState(false);
+  const [portfolioText, setPortfolioText] = useState(JSON.stringify(DEFAULT_PORTFOLIO, null, 2));
+  const [runHistory, setRunHistory] = useState(null);
+  const [runFilter, setRunFilter] = useState({ type: '', align: 'auto' });
+  const [selectedRunIds, setSelectedRunIds] = useState([]);
+  const [runComparison, setRunComparison] = useState(null);
+  const [modelRegistry, setModelRegistry] = useState(null);
+  // 进行中的后台任务 (任务 ID -> 任务状态)，侧边栏回测与主面板计算可同时进行
+  const [activeJobs, setActiveJobs] = useState({});
 
   // 调试信息
   useEffect(() => {
@@ -31,9 +210,15 @@ export default function PowerMarketDashboard() {
   // 配置状态
   const [predictionConfig, setPredictionConfig] = useState({
     prediction_date: '2025-07-01', // 默认预测2025年7月1日（基于5-6月真实数据）
-    prediction_hours: 96,
+    horizon_hours: 24, // 预测时长 (小时)，点数按 15 分钟时段换算
+    rolling: false, // 滚动更新：用预测日截止时刻之前的实际电价重新预测其后的时段
+    rolling_time: '12:00',
     models: ['random_forest', 'xgboost', 'gradient_boosting', 'linear_regression'],
-    confidence_level: 0.95
+    confidence_level: 0.95,
+    dual_market: false,
+    load_features: false,
+    weather_features: 'auto',
+    model_version: '' // 空为每次用预测日之前的数据即时训练，否则用模型库中的版本 (active 为启用版本)
   });
   
   // 数据范围状态
@@ -45,14 +230,53 @@ export default function PowerMarketDashboard() {
   
   const [historicalConfig, setHistoricalConfig] = useState({
     timeRange: '1d',
+    interval: '15min',
     includePredictions: false
   });
   
   const [optimizationConfig, setOptimizationConfig] = useState({
+    mode: 'generation',
     cost_params: {
       generationCost: 375,
       upwardCost: 530,
-      downwardCost: 310
+      downwardCost: 310,
+      deliveryError: 0.03
+    },
+    unit_params: {
+      min_output: 50,
+      max_output: 150,
+      ramp_up: 30,
+      ramp_down: 30,
+      min_up_time: 2,
+      min_down_time: 2,
+      startup_cost: 5000
+    },
+    market_rules: {
+      max_segments: 5,
+      price_floor: 0,
+      price_cap: 1500,
+      min_segment_mw: 10
+    },
+    risk_params: {
+      risk_aversion: 0,
+      cvar_alpha: 0.05,
+      risk_measure: 'cvar',
+      risk_floor: '',
+      scenario_source: 'forecast'
+    },
+    storage_params: {
+      energy_capacity_mwh: 200,
+      power_mw: 50,
+      round_trip_efficiency: 0.88,
+      soc_min: 0.1,
+      soc_max: 0.9,
+      initial_soc: 0.5,
+      degradation_cost: 20
+    },
+    dual_market: {
+      enabled: false,
+      min_da_ratio: 0.5,
+      max_da_ratio: 1
     }
   });
 
@@ -78,25 +302,21 @@ export default function PowerMarketDashboard() {
       
       // 更新数据范围
       if (data.database?.timeRange) {
-        const startDate = new Date(data.database.timeRange.start);
-        const endDate = new Date(data.database.timeRange.end);
+        // 时间戳已是市场时区的 ISO 字符串，直接截取日期部分，避免浏览器时区造成跨日
+        const startDate = data.database.timeRange.start.slice(0, 10);
+        const endDate = data.database.timeRange.end.slice(0, 10);
         
-        console.log('📅 真实数据时间范围:', {
-          start: startDate.toISOString(),
-          end: endDate.toISOString()
-        });
+        console.log('📅 真实数据时间范围:', data.database.timeRange);
         
         setDataRange({
-          start: startDate.toISOString().split('T')[0],
-          end: endDate.toISOString().split('T')[0],
-          lastRealDataDate: endDate.toISOString().split('T')[0]
+          start: startDate,
+          end: endDate,
+          lastRealDataDate: endDate
         });
         
-        // 自动设置预测日期为2025年7月1日（基于2025年5-6月真实数据预测7月）
-        const nextMonth = new Date(endDate);
-        nextMonth.setMonth(6); // 7月 (0-based)
-        nextMonth.setDate(1);  // 1日
-        const nextMonthStr = nextMonth.toISOString().split('T')[0];
+        // 自动设置预测日期为真实数据结束后的第一天（基于2025年5-6月真实数据预测7月1日）
+        const [year, month, day] = endDate.split('-').map(Number);
+        const nextMonthStr = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0];
         
         console.log('🔮 设置预测日期:', nextMonthStr);
         
@@ -122,6 +342,7 @@ export default function PowerMarketDashboard() {
     try {
       const params = new URLSearchParams({
         timeRange: historicalConfig.timeRange,
+        interval: historicalConfig.interval,
         includePredictions: historicalConfig.includePredictions.toString()
       });
 
@@ -146,6 +367,66 @@ export default function PowerMarketDashboard() {
     }
   };
 
+  // 计算较久的请求作为后台任务提交：订阅进度事件流更新进度条，结束后取回结果；失败或取消时抛出错误
+  const runJob = async (type, body) => {
+    const response = await fetch(`${API_BASE_URL}/api/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, ...body })
+    });
+    const submitted = await response.json();
+    if (!response.ok || !submitted.success) {
+      throw new Error(submitted.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    const updateJob = job => setActiveJobs(prev => ({ ...prev, [job.id]: job }));
+    updateJob(submitted.job);
+
+    try {
+      // 连接中断时 EventSource 会自动重连，服务端重连后先推送当前状态
+      const finished = await new Promise((resolve, reject) => {
+        const source = new EventSource(`${API_BASE_URL}/api/jobs/${submitted.job.id}/events`);
+        source.addEventListener('progress', event => updateJob(JSON.parse(event.data)));
+        source.addEventListener('done', event => {
+          source.close();
+          resolve(JSON.parse(event.data));
+        });
+        source.onerror = () => {
+          if (source.readyState === EventSource.CLOSED) {
+            reject(new Error('任务进度连接已断开'));
+          }
+        };
+      });
+      if (finished.status !== 'succeeded') {
+        throw new Error(finished.error || JOB_STATUS_LABELS[finished.status]);
+      }
+
+      const resultResponse = await fetch(`${API_BASE_URL}/api/jobs/${submitted.job.id}`);
+      const data = await resultResponse.json();
+      if (!resultResponse.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${resultResponse.status}: ${resultResponse.statusText}`);
+      }
+      return data.result;
+    } finally {
+      setActiveJobs(prev => {
+        const { [submitted.job.id]: _, ...rest } = prev;
+        return rest;
+      });
+    }
+  };
+
+  const cancelJob = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${id}/cancel`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+    } catch (error) {
+      console.error('❌ 取消任务失败:', error);
+      setError(`取消任务失败: ${error.message}`);
+    }
+  };
+
   const runPrediction = async () => {
     console.log('🚀 [按钮点击] 开始基于2025年真实数据的预测分析...');
     console.log('🔧 [调试] runPrediction 函数被调用');
@@ -154,22 +435,18 @@ export default function PowerMarketDashboard() {
     setError(null);
 
     try {
-      const url = `${API_BASE_URL}/api/predict`;
-      console.log('📡 API地址:', url);
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ config: predictionConfig })
+      // 已有覆盖同一日期和时段的负荷预测时直接复用，否则由后端现做
+      const loadRunMatches = loadForecastResults &&
+        loadForecastResults.predictions[0].timestamp.startsWith(predictionConfig.prediction_date) &&
+        loadForecastResults.predictions.length >= predictionConfig.horizon_hours * 4;
+      const { rolling, rolling_time, ...config } = predictionConfig;
+      const data = await runJob('predict', {
+        config: {
+          ...config,
+          ...(rolling ? { rolling_cutoff: `${predictionConfig.prediction_date} ${rolling_time}` } : {}),
+          ...(predictionConfig.load_features && loadRunMatches ? { load_forecast_run_id: loadForecastResults.run_id } : {})
+        }
       });
-
-      console.log('📊 响应状态:', response.status);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       console.log('✅ 基于真实数据预测完成:', data);
       setPredictionResults(data);
     } catch (error) {
@@ -180,6 +457,29 @@ export default function PowerMarketDashboard() {
     }
   };
 
+  const runLoadForecast = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await runJob('predict_load', {
+        config: {
+          prediction_date: predictionConfig.prediction_date,
+          horizon_hours: predictionConfig.horizon_hours,
+          confidence_level: predictionConfig.confidence_level,
+          models: predictionConfig.models,
+          weather_features: predictionConfig.weather_features
+        }
+      });
+      setLoadForecastResults(data);
+    } catch (error) {
+      console.error('❌ 负荷预测失败:', error);
+      setError(`负荷预测失败: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const runOptimization = async () => {
     console.log('🎯 [按钮点击] runOptimization 函数被调用');
 
@@ -189,31 +489,38 @@ export default function PowerMarketDashboard() {
       return;
     }
 
+    const storageMode = optimizationConfig.mode === 'storage';
+    let units = null;
+    if (usePortfolio && !storageMode) {
+      try {
+        units = JSON.parse(portfolioText);
+      } catch (parseError) {
+        setError(`机组组合配置不是有效的 JSON: ${parseError.message}`);
+        return;
+      }
+      if (!Array.isArray(units) || units.length === 0) {
+        setError('机组组合配置须为非空数组');
+        return;
+      }
+    }
+
     console.log('🎯 开始基于真实数据的投标优化...');
     console.log('🔧 优化配置:', optimizationConfig);
     setLoading(true);
     setError(null);
     
     try {
-      const url = `${API_BASE_URL}/api/optimize`;
-      console.log('📡 API地址:', url);
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          predictions: predictionResults.predictions,
-          config: optimizationConfig
-        })
+      const data = await runJob('optimize', {
+        predictions: predictionResults.predictions,
+        config: {
+          ...optimizationConfig,
+          ...(units ? { units } : {}),
+          dual_market: { ...optimizationConfig.dual_market, enabled: !storageMode && optimizationConfig.dual_market.enabled },
+          prediction_run_id: predictionResults.run_id,
+          residual_paths: predictionResults.residual_paths,
+          spread_residual_paths: predictionResults.dual_market?.spread?.residual_paths
+        }
       });
-      
-      console.log('📊 响应状态:', response.status);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
       console.log('✅ 基于真实数据优化完成:', data);
       setOptimizationResults(data);
     } catch (error) {
@@ -224,6 +531,176 @@ export default function PowerMarketDashboard() {
     }
   };
 
+  // 对有真实数据的日期做滚动回测，得到真实的预测误差
+  const runBacktest = async (startDate, endDate) => {
+    setBacktestLoading(true);
+    setError(null);
+
+    try {
+      const data = await runJob('backtest', {
+        config: {
+          start_date: startDate,
+          end_date: endDate,
+          models: predictionConfig.models,
+          confidence_level: predictionConfig.confidence_level
+        }
+      });
+      setBacktestResults(data);
+    } catch (error) {
+      console.error('❌ 回测验证失败:', error);
+      setError(`回测验证失败: ${error.message}`);
+    } finally {
+      setBacktestLoading(false);
+    }
+  };
+
+  // 运行记录列表 (最新的在前)
+  const fetchRunHistory = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ limit: '100', ...(runFilter.type ? { type: runFilter.type } : {}) });
+      const response = await fetch(`${API_BASE_URL}/api/runs?${params}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setRunHistory(data);
+    } catch (error) {
+      console.error('❌ 获取运行记录失败:', error);
+      setError(`获取运行记录失败: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 重新载入一次运行的结果，切换到对应的结果面板
+  const reloadRun = async (id) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/runs/${id}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      const result = { ...data.run.result, run_id: data.run.id };
+      if (data.type === 'prediction') {
+        setPredictionResults(result);
+        setActiveTab('prediction');
+      } else if (data.type === 'load_forecast') {
+        setLoadForecastResults(result);
+        setActiveTab('prediction');
+      } else {
+        setOptimizationResults(result);
+        setActiveTab('optimization');
+      }
+    } catch (error) {
+      console.error('❌ 载入运行记录失败:', error);
+      setError(`载入运行记录失败: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 最多选两次运行对比，再选时替换较早选中的一个
+  const toggleRunSelection = (id) => {
+    setSelectedRunIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id].slice(-2)));
+  };
+
+  const compareSelectedRuns = async () => {
+    const [a, b] = selectedRunIds;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ a, b, align: runFilter.align });
+      const response = await fetch(`${API_BASE_URL}/api/runs/compare?${params}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setRunComparison(data);
+    } catch (error) {
+      console.error('❌ 运行对比失败:', error);
+      setError(`运行对比失败: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 模型库版本列表与自动重训状态 (最新版本在前)
+  const fetchModelRegistry = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/models`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      setModelRegistry(data);
+    } catch (error) {
+      console.error('❌ 获取模型库失败:', error);
+      setError(`获取模型库失败: ${error.message}`);
+    }
+  };
+
+  // 用全部已有数据训练新版本，模型与气象/负荷特征沿用预测配置；模型库为空时新版本直接启用，否则为候选
+  const trainModelVersion = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      await runJob('train_model', {
+        config: {
+          models: predictionConfig.models,
+          weather_features: predictionConfig.weather_features,
+          load_features: predictionConfig.load_features
+        }
+      });
+      await fetchModelRegistry();
+    } catch (error) {
+      console.error('❌ 模型训练失败:', error);
+      setError(`模型训练失败: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const promoteModelVersion = async (version) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/models/${version}/promote`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      await fetchModelRegistry();
+    } catch (error) {
+      console.error('❌ 启用模型失败:', error);
+      setError(`启用模型失败: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 模型库页和预测页 (选择预测所用的模型版本) 打开时刷新模型库
+  useEffect(() => {
+    if (activeTab === 'models' || activeTab === 'prediction') {
+      fetchModelRegistry();
+    }
+  }, [activeTab]);
+
+  // 打开运行记录页时刷新列表，包含本次会话新产生的运行
+  useEffect(() => {
+    if (activeTab === 'runs') {
+      fetchRunHistory();
+    }
+  }, [activeTab, runFilter.type]);
+
   // 页面加载时自动获取数据库状态
   useEffect(() => {
     if (activeTab === 'database' && !databaseStatus) {
@@ -291,24 +768,72 @@ export default function PowerMarketDashboard() {
               <div>📊 真实数据: 2025年5-6月 (5856个真实数据点)</div>
               <div>🔮 预测目标: 基于2025年5-6月数据预测其他时期</div>
               {predictionConfig.prediction_date >= '2025-05-01' && predictionConfig.prediction_date <= '2025-06-30' ? (
-                <div style={{ color: '#e74c3c' }}>⚠️ 选择日期有真实数据，可用于验证准确性</div>
+                <div style={{ color: '#e74c3c' }}>
+                  <div>⚠️ 选择日期有真实数据，可用于验证准确性</div>
+                  <button
+                    onClick={() => runBacktest(predictionConfig.prediction_date, predictionConfig.prediction_date)}
+                    disabled={backtestLoading}
+                    style={{
+                      margin: '5px 0',
+                      padding: '3px 8px',
+                      fontSize: '10px',
+                      border: 'none',
+                      borderRadius: '3px',
+                      cursor: backtestLoading ? 'not-allowed' : 'pointer'
+                    }}
+                  >
+                    {backtestLoading ? '⏳ 回测中...' : '🧪 回测验证该日期'}
+                  </button>
+                  {backtestResults && backtestResults.range.start_date === predictionConfig.prediction_date && (
+                    <div style={{ color: '#ecf0f1' }}>
+                      <div>MAE: {backtestResults.metrics.mae.toFixed(2)} 元/MWh · RMSE: {backtestResults.metrics.rmse.toFixed(2)}</div>
+                      <div>
+                        MAPE: {backtestResults.metrics.mape !== null ? `${(backtestResults.metrics.mape * 100).toFixed(1)}%` : '-'}
+                        {' · '}sMAPE: {(backtestResults.metrics.smape * 100).toFixed(1)}%
+                      </div>
+                      <div>区间覆盖率: {(backtestResults.metrics.coverage * 100).toFixed(1)}% (目标 {(backtestResults.confidence_level * 100).toFixed(0)}%)</div>
+                    </div>
+                  )}
+                </div>
               ) : (
                 <div style={{ color: '#27ae60' }}>✅ 预测模式，基于2025年5-6月真实数据预测</div>
               )}
               <div style={{ color: '#3498db' }}>💡 推荐: 2025-07-01 (预测7月电价)</div>
             </div>
 
-            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>预测数据点:</label>
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>预测时长:</label>
             <select
-              value={predictionConfig.prediction_hours}
-              onChange={(e) => setPredictionConfig({...predictionConfig, prediction_hours: parseInt(e.target.value)})}
+              value={predictionConfig.horizon_hours}
+              onChange={(e) => setPredictionConfig({...predictionConfig, horizon_hours: parseInt(e.target.value)})}
               style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
             >
-              <option value={96}>96 (完整一天)</option>
-              <option value={48}>48 (半天)</option>
-              <option value={24}>24 (6小时)</option>
+              <option value={6}>6 小时 (24 点)</option>
+              <option value={12}>12 小时 (48 点)</option>
+              <option value={24}>1 天 (96 点)</option>
+              <option value={48}>2 天 (192 点)</option>
+              <option value={72}>3 天 (288 点)</option>
+              <option value={168}>7 天 (672 点)</option>
             </select>
 
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>
+              <input
+                type="checkbox"
+                checked={predictionConfig.rolling}
+                onChange={(e) => setPredictionConfig({...predictionConfig, rolling: e.target.checked})}
+                style={{ marginRight: '5px' }}
+              />
+              日内滚动更新 (截止时刻之后重新预测)
+            </label>
+            {predictionConfig.rolling && (
+              <input
+                type="time"
+                step={900}
+                value={predictionConfig.rolling_time}
+                onChange={(e) => setPredictionConfig({...predictionConfig, rolling_time: e.target.value})}
+                style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+              />
+            )}
+
             <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>置信度:</label>
             <select
               value={predictionConfig.confidence_level}
@@ -319,6 +844,59 @@ export default function PowerMarketDashboard() {
               <option value={0.95}>95%</option>
               <option value={0.99}>99%</option>
             </select>
+
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>电价模型:</label>
+            <select
+              value={predictionConfig.model_version}
+              onChange={(e) => setPredictionConfig({...predictionConfig, model_version: e.target.value})}
+              style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+            >
+              <option value="">即时训练 (用预测日之前的数据)</option>
+              <option value="active" disabled={!modelRegistry?.active_version}>
+                模型库启用版本{modelRegistry?.active_version ? ` (${modelRegistry.active_version})` : ' (暂无)'}
+              </option>
+              {(modelRegistry?.models || []).map(model => (
+                <option key={model.version} value={model.version}>
+                  {model.version} · {MODEL_STATUS_LABELS[model.status]} · 训练至 {model.training_window.end.slice(0, 10)}
+                </option>
+              ))}
+            </select>
+            {predictionConfig.model_version && (
+              <div style={{ fontSize: '11px', color: '#bdc3c7', marginTop: '-5px', marginBottom: '10px' }}>
+                使用已训练版本时，模型组合与气象/负荷特征以该版本为准
+              </div>
+            )}
+
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>气象特征:</label>
+            <select
+              value={predictionConfig.weather_features}
+              onChange={(e) => setPredictionConfig({...predictionConfig, weather_features: e.target.value})}
+              style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+            >
+              <option value="auto">自动 (气象数据覆盖时使用)</option>
+              <option value="true">必须使用</option>
+              <option value="false">不使用</option>
+            </select>
+
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '10px' }}>
+              <input
+                type="checkbox"
+                checked={predictionConfig.dual_market}
+                onChange={(e) => setPredictionConfig({...predictionConfig, dual_market: e.target.checked})}
+                style={{ marginRight: '5px' }}
+              />
+              双市场预测 (日前 + 实时 + 价差)
+            </label>
+
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '10px' }}>
+              <input
+                type="checkbox"
+                checked={predictionConfig.load_features}
+                onChange={(e) => setPredictionConfig({...predictionConfig, load_features: e.target.checked})}
+                style={{ marginRight: '5px' }}
+              />
+              以负荷/净需求预测作为电价特征
+            </label>
           </div>
 
           {/* 历史数据配置 */}
@@ -331,12 +909,23 @@ export default function PowerMarketDashboard() {
               onChange={(e) => setHistoricalConfig({...historicalConfig, timeRange: e.target.value})}
               style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
             >
-              <option value="1d">最近1天</option>
-              <option value="7d">最近7天</option>
-              <option value="30d">最近30天</option>
+              <option value="1d">数据最后1天</option>
+              <option value="7d">数据最后7天</option>
+              <option value="30d">数据最后30天</option>
               <option value="all">全部真实数据</option>
             </select>
 
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>聚合粒度:</label>
+            <select
+              value={historicalConfig.interval}
+              onChange={(e) => setHistoricalConfig({...historicalConfig, interval: e.target.value})}
+              style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+            >
+              <option value="15min">15分钟</option>
+              <option value="hourly">小时</option>
+              <option value="daily">日</option>
+            </select>
+
             <label style={{ display: 'flex', alignItems: 'center', fontSize: '12px', marginBottom: '10px' }}>
               <input
                 type="checkbox"
@@ -352,38 +941,284 @@ export default function PowerMarketDashboard() {
           <div style={{ marginBottom: '25px' }}>
             <h3 style={{ fontSize: '14px', marginBottom: '10px', color: '#ecf0f1' }}>🎯 投标优化配置</h3>
 
-            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>发电成本 (元/MWh):</label>
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>优化模式:</label>
+            <select
+              value={optimizationConfig.mode}
+              onChange={(e) => setOptimizationConfig({ ...optimizationConfig, mode: e.target.value })}
+              style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+            >
+              <option value="generation">发电机组报价</option>
+              <option value="storage">储能套利</option>
+            </select>
+
+            {optimizationConfig.mode === 'storage' && (
+              <div>
+                <h4 style={{ fontSize: '12px', margin: '10px 0', color: '#ecf0f1' }}>🔋 储能参数</h4>
+                {[
+                  { key: 'energy_capacity_mwh', label: '储能容量 (MWh)' },
+                  { key: 'power_mw', label: '额定功率 (MW)' },
+                  { key: 'round_trip_efficiency', label: '往返效率', step: '0.01' },
+                  { key: 'soc_min', label: 'SOC 下限', step: '0.05' },
+                  { key: 'soc_max', label: 'SOC 上限', step: '0.05' },
+                  { key: 'initial_soc', label: '初始 SOC (日末不低于此值)', step: '0.05' },
+                  { key: 'degradation_cost', label: '循环衰减成本 (元/MWh 放电量)' }
+                ].map(field => (
+                  <div key={field.key}>
+                    <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>{field.label}:</label>
+                    <input
+                      type="number"
+                      step={field.step}
+                      value={optimizationConfig.storage_params[field.key]}
+                      onChange={(e) => setOptimizationConfig({
+                        ...optimizationConfig,
+                        storage_params: {...optimizationConfig.storage_params, [field.key]: parseFloat(e.target.value)}
+                      })}
+                      style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {optimizationConfig.mode === 'generation' && (
+              <div>
+                <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>发电成本 (元/MWh):</label>
+                <input
+                  type="number"
+                  value={optimizationConfig.cost_params.generationCost}
+                  onChange={(e) => setOptimizationConfig({
+                    ...optimizationConfig,
+                    cost_params: {...optimizationConfig.cost_params, generationCost: parseFloat(e.target.value)}
+                  })}
+                  style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                />
+
+                <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>上调成本 (元/MWh):</label>
+                <input
+                  type="number"
+                  value={optimizationConfig.cost_params.upwardCost}
+                  onChange={(e) => setOptimizationConfig({
+                    ...optimizationConfig,
+                    cost_params: {...optimizationConfig.cost_params, upwardCost: parseFloat(e.target.value)}
+                  })}
+                  style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                />
+
+                <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>下调成本 (元/MWh):</label>
+                <input
+                  type="number"
+                  value={optimizationConfig.cost_params.downwardCost}
+                  onChange={(e) => setOptimizationConfig({
+                    ...optimizationConfig,
+                    cost_params: {...optimizationConfig.cost_params, downwardCost: parseFloat(e.target.value)}
+                  })}
+                  style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                />
+
+                <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>出力偏差标准差 (占计划出力比例):</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={optimizationConfig.cost_params.deliveryError}
+                  onChange={(e) => setOptimizationConfig({
+                    ...optimizationConfig,
+                    cost_params: {...optimizationConfig.cost_params, deliveryError: parseFloat(e.target.value)}
+                  })}
+                  style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                />
+
+                <h4 style={{ fontSize: '12px', margin: '10px 0', color: '#ecf0f1' }}>⚙️ 机组约束</h4>
+                <label style={{ display: 'block', fontSize: '12px', marginBottom: '10px' }}>
+                  <input
+                    type="checkbox"
+                    checked={usePortfolio}
+                    onChange={(e) => setUsePortfolio(e.target.checked)}
+                    style={{ marginRight: '5px' }}
+                  />
+                  多机组组合 (各机组独立成本曲线)
+                </label>
+                {usePortfolio && (
+                  <div>
+                    <div style={{ fontSize: '11px', color: '#bdc3c7', marginBottom: '5px' }}>
+                      cost_curve: linear {'{cost}'} · piecewise {'{points: [[MW, 元/h]]}'} · quadratic {'{a, b, c}'}
+                    </div>
+                    <textarea
+                      value={portfolioText}
+                      onChange={(e) => setPortfolioText(e.target.value)}
+                      rows={14}
+                      style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '11px', fontFamily: 'monospace' }}
+                    />
+                  </div>
+                )}
+                {!usePortfolio && [
+                  { key: 'min_output', label: '最小出力 (MW)' },
+                  { key: 'max_output', label: '最大出力 (MW)' },
+                  { key: 'ramp_up', label: '上爬坡 (MW/15分钟)' },
+                  { key: 'ramp_down', label: '下爬坡 (MW/15分钟)' },
+                  { key: 'min_up_time', label: '最小开机时间 (小时)' },
+                  { key: 'min_down_time', label: '最小停机时间 (小时)' },
+                  { key: 'startup_cost', label: '启动成本 (元/次)' }
+                ].map(field => (
+                  <div key={field.key}>
+                    <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>{field.label}:</label>
+                    <input
+                      type="number"
+                      value={optimizationConfig.unit_params[field.key]}
+                      onChange={(e) => setOptimizationConfig({
+                        ...optimizationConfig,
+                        unit_params: {...optimizationConfig.unit_params, [field.key]: parseFloat(e.target.value)}
+                      })}
+                      style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                    />
+                  </div>
+                ))}
+
+                <h4 style={{ fontSize: '12px', margin: '10px 0', color: '#ecf0f1' }}>📜 报价规则</h4>
+                {[
+                  { key: 'max_segments', label: '最多报价段数' },
+                  { key: 'price_floor', label: '报价下限 (元/MWh)' },
+                  { key: 'price_cap', label: '报价上限 (元/MWh)' },
+                  { key: 'min_segment_mw', label: '最小分段容量 (MW)' }
+                ].map(field => (
+                  <div key={field.key}>
+                    <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>{field.label}:</label>
+                    <input
+                      type="number"
+                      value={optimizationConfig.market_rules[field.key]}
+                      onChange={(e) => setOptimizationConfig({
+                        ...optimizationConfig,
+                        market_rules: {...optimizationConfig.market_rules, [field.key]: parseFloat(e.target.value)}
+                      })}
+                      style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                    />
+                  </div>
+                ))}
+
+                <h4 style={{ fontSize: '12px', margin: '10px 0', color: '#ecf0f1' }}>🔀 日前/实时分配</h4>
+                <label style={{ display: 'block', fontSize: '12px', marginBottom: '10px' }}>
+                  <input
+                    type="checkbox"
+                    checked={optimizationConfig.dual_market.enabled}
+                    disabled={!predictionResults?.dual_market}
+                    onChange={(e) => setOptimizationConfig({
+                      ...optimizationConfig,
+                      dual_market: {...optimizationConfig.dual_market, enabled: e.target.checked}
+                    })}
+                    style={{ marginRight: '5px' }}
+                  />
+                  按价差分配日前/实时头寸
+                </label>
+                {!predictionResults?.dual_market && (
+                  <div style={{ fontSize: '11px', color: '#bdc3c7', marginBottom: '10px' }}>需先开启双市场预测</div>
+                )}
+                {optimizationConfig.dual_market.enabled && [
+                  { key: 'min_da_ratio', label: '日前比例下限' },
+                  { key: 'max_da_ratio', label: '日前比例上限 (>1 为超卖)' }
+                ].map(field => (
+                  <div key={field.key}>
+                    <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>{field.label}:</label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={optimizationConfig.dual_market[field.key]}
+                      onChange={(e) => setOptimizationConfig({
+                        ...optimizationConfig,
+                        dual_market: {...optimizationConfig.dual_market, [field.key]: parseFloat(e.target.value)}
+                      })}
+                      style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <h4 style={{ fontSize: '12px', margin: '10px 0', color: '#ecf0f1' }}>🛡️ 风险控制</h4>
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>
+              风险厌恶系数 λ: {optimizationConfig.risk_params.risk_aversion.toFixed(1)}
+              {optimizationConfig.risk_params.risk_aversion === 0 ? ' (风险中性)' : optimizationConfig.risk_params.risk_aversion === 1 ? ' (只看尾部)' : ''}
+            </label>
             <input
-              type="number"
-              value={optimizationConfig.cost_params.generationCost}
+              type="range"
+              min="0"
+              max="1"
+              step="0.1"
+              value={optimizationConfig.risk_params.risk_aversion}
               onChange={(e) => setOptimizationConfig({
                 ...optimizationConfig,
-                cost_params: {...optimizationConfig.cost_params, generationCost: parseFloat(e.target.value)}
+                risk_params: {...optimizationConfig.risk_params, risk_aversion: parseFloat(e.target.value)}
               })}
-              style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+              style={{ width: '100%', marginBottom: '10px' }}
             />
-
-            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>上调成本 (元/MWh):</label>
-            <input
-              type="number"
-              value={optimizationConfig.cost_params.upwardCost}
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>价格情景来源:</label>
+            <select
+              value={optimizationConfig.risk_params.scenario_source}
               onChange={(e) => setOptimizationConfig({
                 ...optimizationConfig,
-                cost_params: {...optimizationConfig.cost_params, upwardCost: parseFloat(e.target.value)}
+                risk_params: {...optimizationConfig.risk_params, scenario_source: e.target.value}
               })}
               style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
-            />
-
-            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>下调成本 (元/MWh):</label>
-            <input
-              type="number"
-              value={optimizationConfig.cost_params.downwardCost}
+            >
+              <option value="forecast">预测分布模拟</option>
+              <option value="residuals">历史残差路径</option>
+            </select>
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>风险度量:</label>
+            <select
+              value={optimizationConfig.risk_params.risk_measure}
               onChange={(e) => setOptimizationConfig({
                 ...optimizationConfig,
-                cost_params: {...optimizationConfig.cost_params, downwardCost: parseFloat(e.target.value)}
+                risk_params: {...optimizationConfig.risk_params, risk_measure: e.target.value}
               })}
               style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
-            />
+            >
+              <option value="cvar">CVaR (最差 α 情景均值)</option>
+              <option value="worst_case">最差情景</option>
+            </select>
+            {[
+              { key: 'cvar_alpha', label: 'CVaR 尾部比例 α', step: '0.01' },
+              { key: 'risk_floor', label: '尾部收益下限 (元，可空)', step: '1000' }
+            ].map(field => (
+              <div key={field.key}>
+                <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>{field.label}:</label>
+                <input
+                  type="number"
+                  step={field.step}
+                  value={optimizationConfig.risk_params[field.key]}
+                  onChange={(e) => setOptimizationConfig({
+                    ...optimizationConfig,
+                    risk_params: {...optimizationConfig.risk_params, [field.key]: e.target.value === '' ? '' : parseFloat(e.target.value)}
+                  })}
+                  style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+                />
+              </div>
+            ))}
+          </div>
+
+          {/* 运行记录 */}
+          <div style={{ marginBottom: '25px' }}>
+            <h3 style={{ fontSize: '14px', marginBottom: '10px', color: '#ecf0f1' }}>🗂️ 运行记录</h3>
+
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>运行类型:</label>
+            <select
+              value={runFilter.type}
+              onChange={(e) => setRunFilter({...runFilter, type: e.target.value})}
+              style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+            >
+              <option value="">全部</option>
+              {Object.keys(RUN_TYPE_LABELS).map(type => (
+                <option key={type} value={type}>{RUN_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+
+            <label style={{ display: 'block', fontSize: '12px', marginBottom: '5px' }}>对比时段对齐:</label>
+            <select
+              value={runFilter.align}
+              onChange={(e) => setRunFilter({...runFilter, align: e.target.value})}
+              style={{ width: '100%', padding: '5px', marginBottom: '10px', fontSize: '12px' }}
+            >
+              <option value="auto">自动 (有重叠时刻时按时刻)</option>
+              <option value="timestamp">按同一时刻</option>
+              <option value="position">按预测起点后的时段</option>
+            </select>
           </div>
         </div>
 
@@ -393,7 +1228,7 @@ export default function PowerMarketDashboard() {
           <div style={{ marginBottom: '20px' }}>
             <h1 style={{ margin: '0 0 5px 0', color: '#2c3e50' }}>⚡ 电力市场预测与投标优化系统</h1>
             <p style={{ margin: 0, color: '#7f8c8d', fontSize: '14px' }}>
-              2025年真实数据驱动 · 原项目算法一致 · 自适应权重计算 · 神经动力学优化
+              2025年真实数据驱动 · 原项目算法一致 · 自适应权重计算 · 机组约束动态规划优化
             </p>
           </div>
 
@@ -403,7 +1238,9 @@ export default function PowerMarketDashboard() {
               { key: 'database', label: '🔍 数据库状态' },
               { key: 'historical', label: '📈 历史电价' },
               { key: 'prediction', label: '📊 预测分析' },
-              { key: 'optimization', label: '🎯 投标优化' }
+              { key: 'optimization', label: '🎯 投标优化' },
+              { key: 'models', label: '🧠 模型库' },
+              { key: 'runs', label: '🗂️ 运行记录' }
             ].map(tab => (
               <button
                 key={tab.key}
@@ -486,6 +1323,25 @@ export default function PowerMarketDashboard() {
               </button>
             )}
 
+            {activeTab === 'prediction' && (
+              <button
+                onClick={runLoadForecast}
+                disabled={loading}
+                style={{
+                  padding: '10px 20px',
+                  marginLeft: '10px',
+                  backgroundColor: loading ? '#95a5a6' : '#f39c12',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '5px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                {loading ? '⏳ 预测中...' : '⚡ 负荷与净需求预测'}
+              </button>
+            )}
+
             {activeTab === 'optimization' && (
               <button
                 onClick={() => {
@@ -507,7 +1363,979 @@ export default function PowerMarketDashboard() {
                 {loading ? '⏳ 优化中...' : !predictionResults?.predictions ? '⚠️ 需要先运行预测' : '🎯 开始基于真实数据优化'}
               </button>
             )}
+
+            {activeTab === 'runs' && (
+              <button
+                onClick={fetchRunHistory}
+                disabled={loading}
+                style={{
+                  padding: '10px 20px',
+                  backgroundColor: loading ? '#95a5a6' : '#34495e',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '5px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                {loading ? '⏳ 加载中...' : '🔄 刷新运行记录'}
+              </button>
+            )}
+
+            {activeTab === 'runs' && (
+              <button
+                onClick={compareSelectedRuns}
+                disabled={loading || selectedRunIds.length !== 2}
+                style={{
+                  padding: '10px 20px',
+                  marginLeft: '10px',
+                  backgroundColor: loading || selectedRunIds.length !== 2 ? '#bdc3c7' : '#8e44ad',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '5px',
+                  cursor: loading || selectedRunIds.length !== 2 ? 'not-allowed' : 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                {selectedRunIds.length !== 2 ? `🔀 勾选两次运行进行对比 (${selectedRunIds.length}/2)` : '🔀 对比所选运行'}
+              </button>
+            )}
+
+            {activeTab === 'models' && (
+              <button
+                onClick={fetchModelRegistry}
+                disabled={loading}
+                style={{
+                  padding: '10px 20px',
+                  backgroundColor: loading ? '#95a5a6' : '#34495e',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '5px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                🔄 刷新模型库
+              </button>
+            )}
+
+            {activeTab === 'models' && (
+              <button
+                onClick={trainModelVersion}
+                disabled={loading}
+                style={{
+                  padding: '10px 20px',
+                  marginLeft: '10px',
+                  backgroundColor: loading ? '#95a5a6' : '#16a085',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '5px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  fontSize: '14px'
+                }}
+              >
+                {loading ? '⏳ 训练中...' : '🧠 用全部数据训练新版本'}
+              </button>
+            )}
           </div>
+
+          {Object.values(activeJobs).map(job => (
+            <JobProgress key={job.id} job={job} onCancel={() => cancelJob(job.id)} />
+          ))}
+
+          {error && (
+            <div style={{ ...panelStyle, backgroundColor: '#fdecea', color: '#c0392b', fontSize: '14px' }}>
+              ❌ {error}
+            </div>
+          )}
+
+          {/* 数据库状态面板 */}
+          {activeTab === 'database' && databaseStatus?.database && (
+            <div style={panelStyle}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#2c3e50' }}>🔍 真实数据状态</h3>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                <StatCard
+                  label="连接状态"
+                  value={databaseStatus.database.status === 'connected' ? '✅ 已连接' : '❌ 未连接'}
+                  color={databaseStatus.database.status === 'connected' ? '#27ae60' : '#e74c3c'}
+                />
+                <StatCard label="真实数据点" value={databaseStatus.database.realDataRecords} />
+                <StatCard label="数据频率" value={databaseStatus.database.dataFrequency} />
+                <StatCard label="市场时区" value={databaseStatus.database.timezone || '-'} />
+              </div>
+              {databaseStatus.database.timeRange && (
+                <div style={{ fontSize: '13px', color: '#2c3e50', marginBottom: '15px' }}>
+                  📅 时间范围: {databaseStatus.database.timeRange.start} 至 {databaseStatus.database.timeRange.end}
+                  {databaseStatus.validation?.backtest_range && (
+                    <span style={{ color: '#7f8c8d' }}>
+                      {' '}· 可回测: {databaseStatus.validation.backtest_range.start} 至 {databaseStatus.validation.backtest_range.end}
+                    </span>
+                  )}
+                </div>
+              )}
+              <h4 style={{ margin: '0 0 10px 0', color: '#2c3e50', fontSize: '14px' }}>📊 月度数据分布</h4>
+              {Object.entries(databaseStatus.database.monthlyDistribution || {}).map(([month, count]) => {
+                const maxCount = Math.max(...Object.values(databaseStatus.database.monthlyDistribution));
+                return (
+                  <div key={month} style={{ display: 'flex', alignItems: 'center', fontSize: '13px', marginBottom: '6px' }}>
+                    <span style={{ width: '80px' }}>{month}</span>
+                    <div style={{ flex: 1, backgroundColor: '#ecf0f1', borderRadius: '3px', marginRight: '10px' }}>
+                      <div style={{ width: `${(count / maxCount) * 100}%`, backgroundColor: '#3498db', height: '14px', borderRadius: '3px' }} />
+                    </div>
+                    <span style={{ width: '60px', textAlign: 'right' }}>{count}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* 历史电价面板 */}
+          {activeTab === 'historical' && historicalData?.data && (
+            <div style={panelStyle}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#2c3e50' }}>📈 历史电价与负荷</h3>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                <StatCard label="平均电价 (元/MWh)" value={formatNumber(historicalData.statistics.average_price)} />
+                <StatCard label="最高电价" value={formatNumber(historicalData.statistics.max_price)} color="#e74c3c" />
+                <StatCard label="最低电价" value={formatNumber(historicalData.statistics.min_price)} color="#27ae60" />
+                <StatCard label="数据点" value={historicalData.statistics.total_records} />
+                {historicalData.predictions?.metrics?.points > 0 && (
+                  <StatCard label="预测 MAE (元/MWh)" value={formatNumber(historicalData.predictions.metrics.mae)} color="#9b59b6" />
+                )}
+              </div>
+              <TimeSeriesChart
+                labels={historicalData.data.map(item => formatTimeLabel(item.timestamp, historicalData.interval === 'daily'))}
+                series={[
+                  { label: '实际电价', color: '#3498db', values: historicalData.data.map(item => item.price) },
+                  ...(historicalData.data.some(item => item.rt_price !== null && item.rt_price !== undefined) ? [
+                    { label: '实时电价', color: '#16a085', values: historicalData.data.map(item => item.rt_price) }
+                  ] : []),
+                  ...(historicalData.includePredictions ? [
+                    { label: '预测电价', color: '#9b59b6', dashed: true, values: historicalData.data.map(item => item.predicted_price) }
+                  ] : []),
+                  { label: '系统负荷 (右轴)', color: '#f39c12', axis: 'right', values: historicalData.data.map(item => item.load) }
+                ]}
+                leftLabel="元/MWh"
+                rightLabel="MW"
+              />
+              <div style={{ fontSize: '12px', color: '#7f8c8d', marginTop: '10px' }}>
+                {historicalData.range && `${historicalData.range.start} 至 ${historicalData.range.end} · `}
+                显示 {historicalData.pagination.returned} / {historicalData.pagination.total} 条
+                {historicalData.predictions?.skipped_days?.length > 0 && ` · ${historicalData.predictions.skipped_days.length} 天无预测`}
+              </div>
+            </div>
+          )}
+
+          {/* 预测结果面板 */}
+          {activeTab === 'prediction' && predictionResults?.predictions && (
+            <div style={panelStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <h3 style={{ margin: 0, color: '#2c3e50' }}>📊 电价预测结果</h3>
+                <button
+                  onClick={() => exportToCSV(predictionResults.predictions.map(p => ({
+                    timestamp: p.timestamp,
+                    predicted_price: p.predicted_price,
+                    confidence_lower: p.confidence_lower,
+                    confidence_upper: p.confidence_upper,
+                    ...(p.real_time ? { rt_predicted_price: p.real_time.predicted_price, predicted_spread: p.spread.predicted_spread } : {})
+                  })), `prediction_${predictionConfig.prediction_date}.csv`)}
+                  style={{ padding: '5px 12px', fontSize: '12px', border: '1px solid #bdc3c7', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                  📥 导出CSV
+                </button>
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                <StatCard label="平均预测电价 (元/MWh)" value={formatNumber(predictionResults.statistics.average_price)} />
+                <StatCard label="预测点数" value={predictionResults.statistics.total_points} />
+                <StatCard label="置信水平" value={`${(predictionResults.statistics.confidence_level * 100).toFixed(0)}%`} />
+                <StatCard
+                  label={predictionResults.accuracy_info?.source === 'actual' ? '实际 MAE (元/MWh)' : '验证集 MAE (元/MWh)'}
+                  value={formatNumber(predictionResults.accuracy_info?.metrics?.mae)}
+                  color="#9b59b6"
+                />
+                <StatCard
+                  label="电价模型"
+                  value={predictionResults.model_version ? `${predictionResults.model_version} (模型库)` : '即时训练'}
+                  color="#16a085"
+                />
+                {predictionResults.rolling && (
+                  <StatCard
+                    label={`滚动截止 ${formatTimeLabel(predictionResults.rolling.cutoff)}`}
+                    value={predictionResults.rolling.correction.applied
+                      ? `偏差修正 ${predictionResults.rolling.correction.bias >= 0 ? '+' : ''}${formatNumber(predictionResults.rolling.correction.bias)}`
+                      : '未修正'}
+                    color="#e67e22"
+                  />
+                )}
+              </div>
+              {predictionResults.horizon && (
+                <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '10px' }}>
+                  预测时段 {formatTimeLabel(predictionResults.horizon.start)} ~ {formatTimeLabel(predictionResults.horizon.end)}，
+                  共 {predictionResults.horizon.hours} 小时 / {predictionResults.horizon.points} 个 {predictionResults.horizon.interval_minutes} 分钟时段
+                  {predictionResults.rolling && `；滚动更新：截止前已过去的 ${predictionResults.rolling.elapsed_points} 个时段不再预测，${predictionResults.rolling.correction.applied
+                    ? `其后按截止前 1 小时的预测误差修正 (半衰期 ${predictionResults.rolling.correction.half_life_hours} 小时)`
+                    : predictionResults.rolling.correction.reason}`}
+                </div>
+              )}
+              <TimeSeriesChart
+                labels={predictionResults.predictions.map(p => formatTimeLabel(p.timestamp))}
+                series={[
+                  { label: '预测电价', color: '#e74c3c', width: 2, values: predictionResults.predictions.map(p => p.predicted_price) }
+                ]}
+                bands={[
+                  {
+                    label: `${(predictionResults.statistics.confidence_level * 100).toFixed(0)}% 置信区间`,
+                    color: '#e74c3c',
+                    opacity: 0.12,
+                    lower: predictionResults.predictions.map(p => p.confidence_lower),
+                    upper: predictionResults.predictions.map(p => p.confidence_upper)
+                  },
+                  {
+                    label: 'P10-P90',
+                    color: '#e74c3c',
+                    opacity: 0.2,
+                    lower: predictionResults.predictions.map(p => p.quantiles?.p10),
+                    upper: predictionResults.predictions.map(p => p.quantiles?.p90)
+                  }
+                ]}
+                leftLabel="元/MWh"
+              />
+              <ExternalFeaturesNote summary={predictionResults.external_features} />
+              {predictionResults.load_features && (
+                <div style={{ fontSize: '12px', color: '#7f8c8d', marginTop: '10px' }}>
+                  ⚡ 负荷特征: {predictionResults.load_features.features.join(', ')}
+                  {' · '}{predictionResults.load_features.source === 'stored' ? '复用已保存的负荷预测' : '按相同时段现做负荷预测'}
+                  {' · '}{predictionResults.load_features.description}
+                </div>
+              )}
+              {predictionResults.dual_market && (
+                <div style={{ marginTop: '20px' }}>
+                  <h4 style={{ margin: '0 0 10px 0', color: '#2c3e50' }}>🔀 日前/实时双市场预测</h4>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+                    <StatCard label="平均实时电价 (元/MWh)" value={formatNumber(predictionResults.dual_market.real_time.average_price)} color="#16a085" />
+                    <StatCard
+                      label={predictionResults.dual_market.real_time.accuracy_info.source === 'actual' ? '实时 实际 MAE' : '实时 验证集 MAE'}
+                      value={formatNumber(predictionResults.dual_market.real_time.accuracy_info.metrics?.mae)}
+                      color="#16a085"
+                    />
+                    <StatCard label="平均价差 实时-日前" value={formatNumber(predictionResults.dual_market.spread.average_spread)} color="#e67e22" />
+                    <StatCard
+                      label={predictionResults.dual_market.spread.accuracy_info.source === 'actual' ? '价差 实际 MAE' : '价差 验证集 MAE'}
+                      value={formatNumber(predictionResults.dual_market.spread.accuracy_info.metrics?.mae)}
+                      color="#e67e22"
+                    />
+                    {predictionResults.dual_market.spread.direction_accuracy !== null && (
+                      <StatCard label="价差方向准确率" value={`${(predictionResults.dual_market.spread.direction_accuracy * 100).toFixed(1)}%`} color="#e67e22" />
+                    )}
+                  </div>
+                  <TimeSeriesChart
+                    labels={predictionResults.predictions.map(p => formatTimeLabel(p.timestamp))}
+                    series={[
+                      { label: '价差预测 (右轴)', color: '#e67e22', type: 'bar', axis: 'right', values: predictionResults.predictions.map(p => p.spread?.predicted_spread) },
+                      { label: '日前电价预测', color: '#e74c3c', values: predictionResults.predictions.map(p => p.predicted_price) },
+                      { label: '实时电价预测', color: '#16a085', width: 2, values: predictionResults.predictions.map(p => p.real_time?.predicted_price) }
+                    ]}
+                    leftLabel="元/MWh"
+                    rightLabel="价差 元/MWh"
+                    height={240}
+                  />
+                  <div style={{ fontSize: '12px', color: '#7f8c8d', marginTop: '5px' }}>💡 {predictionResults.dual_market.description}</div>
+                </div>
+              )}
+              {predictionResults.model_info?.models && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginTop: '20px' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#f8f9fa' }}>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>模型</th>
+                      <th style={tableCellStyle}>集成权重</th>
+                      <th style={tableCellStyle}>验证集 MAE</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {predictionResults.model_info.models.map(model => (
+                      <tr key={model.type}>
+                        <td style={{ ...tableCellStyle, textAlign: 'left' }}>{model.name}</td>
+                        <td style={tableCellStyle}>{(model.weight * 100).toFixed(1)}%</td>
+                        <td style={tableCellStyle}>{formatNumber(model.validation_mae)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {/* 负荷预测面板 */}
+          {activeTab === 'prediction' && loadForecastResults?.predictions && (
+            <div style={panelStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <h3 style={{ margin: 0, color: '#2c3e50' }}>⚡ 负荷与净需求预测</h3>
+                <button
+                  onClick={() => exportToCSV(loadForecastResults.predictions.map(p => ({
+                    timestamp: p.timestamp,
+                    predicted_load: p.load.predicted_load,
+                    load_lower: p.load.confidence_lower,
+                    load_upper: p.load.confidence_upper,
+                    predicted_net_demand: p.net_demand.predicted_net_demand,
+                    net_demand_lower: p.net_demand.confidence_lower,
+                    net_demand_upper: p.net_demand.confidence_upper
+                  })), `load_forecast_${loadForecastResults.predictions[0].timestamp.slice(0, 10)}.csv`)}
+                  style={{ padding: '5px 12px', fontSize: '12px', border: '1px solid #bdc3c7', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                  📥 导出CSV
+                </button>
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                <StatCard label="平均负荷 (MW)" value={formatNumber(loadForecastResults.statistics.average_load, 0)} color="#f39c12" />
+                <StatCard label="峰值负荷 (MW)" value={formatNumber(loadForecastResults.statistics.peak_load, 0)} color="#e74c3c" />
+                <StatCard
+                  label={loadForecastResults.load.accuracy_info.source === 'actual' ? '负荷 实际 MAE (MW)' : '负荷 验证集 MAE (MW)'}
+                  value={formatNumber(loadForecastResults.load.accuracy_info.metrics?.mae, 0)}
+                  color="#9b59b6"
+                />
+                <StatCard label="平均净需求 (MW)" value={formatNumber(loadForecastResults.statistics.average_net_demand, 0)} color="#16a085" />
+                <StatCard
+                  label={loadForecastResults.net_demand.accuracy_info.source === 'actual' ? '净需求 实际 MAE (MW)' : '净需求 验证集 MAE (MW)'}
+                  value={formatNumber(loadForecastResults.net_demand.accuracy_info.metrics?.mae, 0)}
+                  color="#9b59b6"
+                />
+              </div>
+              <TimeSeriesChart
+                labels={loadForecastResults.predictions.map(p => formatTimeLabel(p.timestamp))}
+                series={[
+                  { label: '净需求预测 (右轴)', color: '#16a085', type: 'bar', axis: 'right', values: loadForecastResults.predictions.map(p => p.net_demand.predicted_net_demand) },
+                  { label: '负荷预测', color: '#f39c12', width: 2, values: loadForecastResults.predictions.map(p => p.load.predicted_load) }
+                ]}
+                bands={[
+                  {
+                    label: `负荷 ${(loadForecastResults.statistics.confidence_level * 100).toFixed(0)}% 置信区间`,
+                    color: '#f39c12',
+                    opacity: 0.15,
+                    lower: loadForecastResults.predictions.map(p => p.load.confidence_lower),
+                    upper: loadForecastResults.predictions.map(p => p.load.confidence_upper)
+                  }
+                ]}
+                leftLabel="负荷 MW"
+                rightLabel="净需求 MW"
+              />
+              <div style={{ fontSize: '12px', color: '#7f8c8d', marginTop: '10px' }}>
+                💡 {loadForecastResults.net_demand.description}
+                {' · '}勾选"以负荷/净需求预测作为电价特征"后，电价预测将复用本次负荷预测
+              </div>
+              <ExternalFeaturesNote summary={loadForecastResults.external_features} />
+            </div>
+          )}
+
+          {/* 储能套利面板 */}
+          {activeTab === 'optimization' && optimizationResults?.mode === 'storage' && (
+            <div style={panelStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <h3 style={{ margin: 0, color: '#2c3e50' }}>🔋 储能套利方案</h3>
+                <button
+                  onClick={() => exportToCSV(optimizationResults.bidding_schedule, `storage_${predictionConfig.prediction_date}.csv`)}
+                  style={{ padding: '5px 12px', fontSize: '12px', border: '1px solid #bdc3c7', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                  📥 导出CSV
+                </button>
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                <StatCard
+                  label="期望套利收益 (元)"
+                  value={formatNumber(optimizationResults.expected_profit, 0)}
+                  color={optimizationResults.expected_profit >= 0 ? '#27ae60' : '#e74c3c'}
+                />
+                <StatCard label="点预测账面收益 (元)" value={formatNumber(optimizationResults.uncertainty.point_forecast_profit, 0)} />
+                <StatCard label="完全预知收益 (元)" value={formatNumber(optimizationResults.uncertainty.perfect_foresight_profit, 0)} />
+                <StatCard
+                  label="受预测不确定性影响"
+                  value={optimizationResults.uncertainty.uncertainty_share === null ? '-' : `${formatNumber(optimizationResults.uncertainty.uncertainty_share * 100, 1)}%`}
+                  color="#e67e22"
+                />
+                <StatCard label="等效循环次数" value={formatNumber(optimizationResults.storage.summary.equivalent_cycles, 2)} />
+                <StatCard label="风险等级" value={optimizationResults.risk_level} />
+              </div>
+              <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '15px' }}>
+                <div>
+                  🎲 完全信息价值 {formatNumber(optimizationResults.uncertainty.value_of_perfect_information, 0)} 元
+                  {' · '}点预测计划在情景下的期望收益 {formatNumber(optimizationResults.uncertainty.point_plan_expected_profit, 0)} 元
+                  {' · '}随机优化增益 {formatNumber(optimizationResults.uncertainty.value_of_stochastic_solution, 0)} 元
+                  {' · '}P5 风险敞口 {formatNumber(optimizationResults.uncertainty.profit_at_risk, 0)} 元
+                </div>
+                <div>
+                  📉 全天收益分布 ({optimizationResults.scenarios.description}):
+                  {' '}P5 {formatNumber(optimizationResults.profit_distribution.p5, 0)}
+                  {' · '}P95 {formatNumber(optimizationResults.profit_distribution.p95, 0)}
+                  {' · '}CVaR {formatNumber(optimizationResults.profit_distribution.cvar, 0)}
+                  {' · '}亏损概率 {formatNumber(optimizationResults.profit_distribution.loss_probability * 100, 1)}%
+                  {' · '}λ = {optimizationResults.risk.applied_risk_aversion}
+                </div>
+                <div>
+                  🔋 充电 {formatNumber(optimizationResults.storage.summary.charged_mwh, 1)} MWh
+                  {' · '}放电 {formatNumber(optimizationResults.storage.summary.discharged_mwh, 1)} MWh
+                  {' · '}衰减成本 {formatNumber(optimizationResults.storage.summary.degradation_cost, 0)} 元
+                  {' · '}{optimizationResults.convergence.method} · {optimizationResults.convergence.solve_time_ms} ms
+                </div>
+                {optimizationResults.scenarios.fallback_reason && (
+                  <div style={{ color: '#e67e22' }}>⚠️ {optimizationResults.scenarios.fallback_reason}</div>
+                )}
+              </div>
+              <TimeSeriesChart
+                labels={optimizationResults.bidding_schedule.map(b => formatTimeLabel(b.time_period))}
+                series={[
+                  { label: '充放电功率 (右轴，放电为正)', color: '#9b59b6', type: 'bar', axis: 'right', values: optimizationResults.bidding_schedule.map(b => b.net_mw) },
+                  { label: '预测电价', color: '#e74c3c', values: optimizationResults.bidding_schedule.map(b => b.predicted_price) }
+                ]}
+                leftLabel="元/MWh"
+                rightLabel="MW"
+              />
+              <TimeSeriesChart
+                labels={optimizationResults.bidding_schedule.map(b => formatTimeLabel(b.time_period))}
+                series={[
+                  { label: 'SOC (%)', color: '#27ae60', width: 2, values: optimizationResults.bidding_schedule.map(b => b.soc * 100) }
+                ]}
+                leftLabel="%"
+              />
+              <div style={{ maxHeight: '400px', overflowY: 'auto', marginTop: '20px' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#f8f9fa', position: 'sticky', top: 0 }}>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>时段</th>
+                      <th style={tableCellStyle}>预测电价</th>
+                      <th style={tableCellStyle}>动作</th>
+                      <th style={tableCellStyle}>充电 (MW)</th>
+                      <th style={tableCellStyle}>放电 (MW)</th>
+                      <th style={tableCellStyle}>SOC (MWh)</th>
+                      <th style={tableCellStyle}>SOC</th>
+                      <th style={tableCellStyle}>预期收益 (元)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {optimizationResults.bidding_schedule.map(point => (
+                      <tr key={point.time_period}>
+                        <td style={{ ...tableCellStyle, textAlign: 'left' }}>{formatTimeLabel(point.time_period)}</td>
+                        <td style={tableCellStyle}>{formatNumber(point.predicted_price)}</td>
+                        <td style={tableCellStyle}>{{ charge: '充电', discharge: '放电', idle: '-' }[point.action]}</td>
+                        <td style={tableCellStyle}>{formatNumber(point.charge_mw, 1)}</td>
+                        <td style={tableCellStyle}>{formatNumber(point.discharge_mw, 1)}</td>
+                        <td style={tableCellStyle}>{formatNumber(point.soc_mwh, 1)}</td>
+                        <td style={tableCellStyle}>{formatNumber(point.soc * 100, 1)}%</td>
+                        <td style={{ ...tableCellStyle, color: point.expected_profit >= 0 ? '#27ae60' : '#e74c3c' }}>
+                          {formatNumber(point.expected_profit, 0)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* 投标优化面板 */}
+          {activeTab === 'optimization' && optimizationResults?.bidding_schedule && optimizationResults.mode !== 'storage' && (
+            <div style={panelStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <h3 style={{ margin: 0, color: '#2c3e50' }}>🎯 投标优化方案</h3>
+                <div>
+                  <button
+                    onClick={() => exportToCSV(optimizationResults.bidding_schedule.map(({ bid_curve, curve_adjustments, curve_violations, unit_dispatch, market_split, ...bid }) => ({
+                      ...bid,
+                      ...(market_split ? { da_ratio: market_split.da_ratio, da_mw: market_split.da_mw, rt_mw: market_split.rt_mw, expected_spread: market_split.expected_spread } : {}),
+                      binding_constraints: (bid.binding_constraints || []).join(';'),
+                      unit_outputs: (unit_dispatch || []).map(d => `${d.unit_id}:${d.output}`).join(';')
+                    })), `bidding_${predictionConfig.prediction_date}.csv`)}
+                    style={{ padding: '5px 12px', fontSize: '12px', border: '1px solid #bdc3c7', borderRadius: '4px', cursor: 'pointer', marginRight: '8px' }}
+                  >
+                    📥 导出CSV
+                  </button>
+                  {optimizationResults.run_id && (
+                    <button
+                      onClick={() => window.open(`${API_BASE_URL}/api/optimize/${optimizationResults.run_id}/offer-file`)}
+                      style={{ padding: '5px 12px', fontSize: '12px', border: '1px solid #bdc3c7', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                      📄 导出申报文件
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                <StatCard
+                  label="预期总收益 (元)"
+                  value={formatNumber(optimizationResults.expected_profit, 0)}
+                  color={optimizationResults.expected_profit >= 0 ? '#27ae60' : '#e74c3c'}
+                />
+                <StatCard label="平均投标容量 (MW)" value={formatNumber(optimizationResults.optimal_capacity, 1)} />
+                <StatCard label="策略" value={optimizationResults.strategy} />
+                <StatCard label="风险等级" value={optimizationResults.risk_level} />
+                {optimizationResults.profit_distribution && (
+                  <StatCard
+                    label={`CVaR ${formatNumber(optimizationResults.profit_distribution.cvar_alpha * 100, 1)}% (元)`}
+                    value={formatNumber(optimizationResults.profit_distribution.cvar, 0)}
+                    color={optimizationResults.profit_distribution.cvar >= 0 ? '#27ae60' : '#e74c3c'}
+                  />
+                )}
+              </div>
+              {optimizationResults.profit_distribution && (
+                <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '10px' }}>
+                  <div>
+                    📉 全天收益分布 ({optimizationResults.scenarios.description}):
+                    {' '}均值 {formatNumber(optimizationResults.profit_distribution.mean, 0)}
+                    {' · '}P5 {formatNumber(optimizationResults.profit_distribution.p5, 0)}
+                    {' · '}P95 {formatNumber(optimizationResults.profit_distribution.p95, 0)}
+                    {' · '}最差 {formatNumber(optimizationResults.profit_distribution.worst, 0)} 元
+                    {' · '}亏损概率 {formatNumber(optimizationResults.profit_distribution.loss_probability * 100, 1)}%
+                  </div>
+                  <div>
+                    🛡️ 风险厌恶系数 λ = {optimizationResults.risk.applied_risk_aversion}
+                    {optimizationResults.risk.applied_risk_aversion !== optimizationResults.risk.risk_aversion && ` (为满足尾部收益下限由 ${optimizationResults.risk.risk_aversion} 提高)`}
+                    {' · '}迭代 {optimizationResults.risk.iterations.length} 次{optimizationResults.risk.converged ? '收敛' : '未收敛'}
+                    {optimizationResults.risk.risk_floor !== null && (optimizationResults.risk.constraint_satisfied
+                      ? ' · ✅ 满足尾部收益下限'
+                      : ' · ❌ 无法满足尾部收益下限，已取尾部收益最高的计划')}
+                  </div>
+                  {optimizationResults.scenarios.fallback_reason && (
+                    <div style={{ color: '#e67e22' }}>⚠️ {optimizationResults.scenarios.fallback_reason}</div>
+                  )}
+                </div>
+              )}
+              {optimizationResults.settlement && (
+                <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '10px' }}>
+                  ⚖️ 偏差结算: 报价 {formatNumber(optimizationResults.settlement.bid_price)} 元/MWh
+                  {' · '}完美交付收益 {formatNumber(optimizationResults.settlement.deterministic_profit, 0)} 元
+                  {' · '}期望偏差结算 {formatNumber(optimizationResults.settlement.expected_imbalance, 0)} 元
+                  {' · '}全天收益 P10/P50/P90: {formatNumber(optimizationResults.settlement.profit_quantiles.p10, 0)}
+                  {' / '}{formatNumber(optimizationResults.settlement.profit_quantiles.p50, 0)}
+                  {' / '}{formatNumber(optimizationResults.settlement.profit_quantiles.p90, 0)} 元
+                </div>
+              )}
+              {optimizationResults.dual_market && (
+                <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '10px' }}>
+                  <div>
+                    🔀 日前/实时分配: 日前 {formatNumber(optimizationResults.dual_market.da_energy_mwh, 0)} MWh
+                    {' · '}实时 {formatNumber(optimizationResults.dual_market.rt_energy_mwh, 0)} MWh
+                    {' · '}日前占比 {formatNumber(optimizationResults.dual_market.da_share * 100, 1)}%
+                    {' · '}平均期望价差 {formatNumber(optimizationResults.dual_market.expected_spread)} 元/MWh
+                    {' · '}相对全部日前出售的期望增益 {formatNumber(optimizationResults.dual_market.split_gain, 0)} 元
+                  </div>
+                  <div>📐 {optimizationResults.dual_market.scenarios.description}</div>
+                  {optimizationResults.dual_market.scenarios.fallback_reason && (
+                    <div style={{ color: '#e67e22' }}>⚠️ {optimizationResults.dual_market.scenarios.fallback_reason}</div>
+                  )}
+                </div>
+              )}
+              {optimizationResults.bid_curves && (
+                <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '10px' }}>
+                  📜 分段报价: 共 {optimizationResults.bid_curves.segments} 段
+                  {' · '}{optimizationResults.bid_curves.adjusted_intervals} 个时段按市场规则调整
+                  {' · '}{optimizationResults.bid_curves.violations === 0 ? '✅ 全部通过规则校验' : `❌ ${optimizationResults.bid_curves.violations} 处违反规则`}
+                </div>
+              )}
+              {optimizationResults.convergence && (
+                <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '15px' }}>
+                  <div>
+                    🧮 {optimizationResults.convergence.method} · {optimizationResults.convergence.converged ? '已收敛' : '未收敛'}
+                    {' · '}{optimizationResults.convergence.states} 个状态 · 网格 {formatNumber(optimizationResults.convergence.grid_step_mw)} MW
+                    {' · '}启动 {optimizationResults.convergence.startups} 次
+                    {' · '}距无约束上界 {formatNumber(optimizationResults.convergence.gap_to_upper_bound * 100, 1)}%
+                    {' · '}{optimizationResults.convergence.solve_time_ms} ms
+                  </div>
+                  {Object.keys(optimizationResults.binding_constraints || {}).length > 0 && (
+                    <div>
+                      🔒 起作用的约束: {Object.entries(optimizationResults.binding_constraints)
+                        .map(([name, info]) => `${name} (${info.count} 个时段)`)
+                        .join('、')}
+                    </div>
+                  )}
+                </div>
+              )}
+              {optimizationResults.units && optimizationResults.units.length > 1 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '15px' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#f8f9fa' }}>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>机组</th>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>成本曲线</th>
+                      <th style={tableCellStyle}>出力范围 (MW)</th>
+                      <th style={tableCellStyle}>平均出力 (MW)</th>
+                      <th style={tableCellStyle}>发电量 (MWh)</th>
+                      <th style={tableCellStyle}>运行时段</th>
+                      <th style={tableCellStyle}>启动次数</th>
+                      <th style={tableCellStyle}>预期收益 (元)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {optimizationResults.units.map(unit => (
+                      <tr key={unit.unit_id}>
+                        <td style={{ ...tableCellStyle, textAlign: 'left' }}>{unit.name}</td>
+                        <td style={{ ...tableCellStyle, textAlign: 'left' }}>{unit.cost_curve.type}</td>
+                        <td style={tableCellStyle}>{unit.unit_parameters.min_output} - {unit.unit_parameters.max_output}</td>
+                        <td style={tableCellStyle}>{formatNumber(unit.average_output, 1)}</td>
+                        <td style={tableCellStyle}>{formatNumber(unit.energy_mwh, 0)}</td>
+                        <td style={tableCellStyle}>{unit.running_intervals}</td>
+                        <td style={tableCellStyle}>{unit.startups}</td>
+                        <td style={{ ...tableCellStyle, color: unit.expected_profit >= 0 ? '#27ae60' : '#e74c3c' }}>
+                          {formatNumber(unit.expected_profit, 0)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <TimeSeriesChart
+                labels={optimizationResults.bidding_schedule.map(b => formatTimeLabel(b.time_period))}
+                series={[
+                  { label: '投标容量 (右轴)', color: '#9b59b6', type: 'bar', axis: 'right', values: optimizationResults.bidding_schedule.map(b => b.bid_capacity) },
+                  { label: '预测电价', color: '#e74c3c', values: optimizationResults.bidding_schedule.map(b => b.predicted_price) },
+                  { label: '投标价格', color: '#3498db', dashed: true, width: 2, values: optimizationResults.bidding_schedule.map(b => b.bid_price) }
+                ]}
+                leftLabel="元/MWh"
+                rightLabel="MW"
+              />
+              <div style={{ maxHeight: '400px', overflowY: 'auto', marginTop: '20px' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#f8f9fa', position: 'sticky', top: 0 }}>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>时段</th>
+                      <th style={tableCellStyle}>预测电价</th>
+                      <th style={tableCellStyle}>投标价格</th>
+                      <th style={tableCellStyle}>投标容量 (MW)</th>
+                      {optimizationResults.dual_market && (
+                        <th style={tableCellStyle}>日前/实时 (MW)</th>
+                      )}
+                      {optimizationResults.dual_market && (
+                        <th style={tableCellStyle}>期望价差</th>
+                      )}
+                      {optimizationResults.units && optimizationResults.units.length > 1 && (
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>机组出力 (MW)</th>
+                      )}
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>分段报价 (MW@元)</th>
+                      <th style={tableCellStyle}>中标概率</th>
+                      <th style={tableCellStyle}>预期收益 (元)</th>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>起作用的约束</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {optimizationResults.bidding_schedule.map(bid => (
+                      <tr key={bid.time_period}>
+                        <td style={{ ...tableCellStyle, textAlign: 'left' }}>{formatTimeLabel(bid.time_period)}</td>
+                        <td style={tableCellStyle}>{formatNumber(bid.predicted_price)}</td>
+                        <td style={tableCellStyle}>{formatNumber(bid.bid_price)}</td>
+                        <td style={tableCellStyle}>{formatNumber(bid.bid_capacity, 1)}</td>
+                        {optimizationResults.dual_market && (
+                          <td style={tableCellStyle}>
+                            {formatNumber(bid.market_split?.da_mw, 1)} / {formatNumber(bid.market_split?.rt_mw, 1)}
+                          </td>
+                        )}
+                        {optimizationResults.dual_market && (
+                          <td style={tableCellStyle}>{formatNumber(bid.market_split?.expected_spread)}</td>
+                        )}
+                        {optimizationResults.units && optimizationResults.units.length > 1 && (
+                          <td style={{ ...tableCellStyle, textAlign: 'left', fontSize: '12px' }}>
+                            {(bid.unit_dispatch || []).map(d => `${d.unit_id} ${formatNumber(d.output, 0)}`).join(' · ')}
+                          </td>
+                        )}
+                        <td style={{ ...tableCellStyle, textAlign: 'left', fontSize: '12px' }}>
+                          {(bid.bid_curve || []).map(segment => `${formatNumber(segment.quantity_mw, 0)}@${formatNumber(segment.price)}`).join(' | ') || '-'}
+                        </td>
+                        <td style={tableCellStyle}>
+                          {bid.clearing_probability === null || bid.clearing_probability === undefined ? '-' : `${(bid.clearing_probability * 100).toFixed(0)}%`}
+                        </td>
+                        <td style={{ ...tableCellStyle, color: bid.expected_profit >= 0 ? '#27ae60' : '#e74c3c' }}>
+                          {formatNumber(bid.expected_profit, 0)}
+                        </td>
+                        <td style={{ ...tableCellStyle, textAlign: 'left', color: '#7f8c8d' }}>
+                          {bid.startup ? '🔌 启动 ' : ''}{(bid.binding_constraints || []).join(', ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* 运行记录面板 */}
+          {/* 模型库面板 */}
+          {activeTab === 'models' && modelRegistry?.models && (
+            <div style={panelStyle}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#2c3e50' }}>🧠 模型库</h3>
+              <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '10px' }}>
+                共 {modelRegistry.models.length} 个版本，当前启用 {modelRegistry.active_version || '无'}。
+                预测时在左侧"电价模型"中选择版本，直接使用已训练的模型而不重新训练。
+                {modelRegistry.retrain.enabled
+                  ? ` 上传新数据后 ${Math.round(modelRegistry.retrain.delay_ms / 1000)} 秒自动重训${modelRegistry.retrain.auto_promote ? '并启用' : '为候选版本'}`
+                  : ' 自动重训已关闭'}
+                {modelRegistry.retrain.scheduled_at && `，下次重训 ${new Date(modelRegistry.retrain.scheduled_at).toLocaleString('zh-CN')}`}
+                {modelRegistry.retrain.enabled && '。'}
+              </div>
+              {modelRegistry.retrain.last_error && (
+                <div style={{ fontSize: '12px', color: '#c0392b', marginBottom: '10px' }}>⚠️ 上次自动重训失败: {modelRegistry.retrain.last_error}</div>
+              )}
+              {modelRegistry.models.length === 0 ? (
+                <div style={{ fontSize: '14px', color: '#7f8c8d' }}>暂无已训练的模型，点击"用全部数据训练新版本"开始训练。</div>
+              ) : (
+                <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                    <thead>
+                      <tr style={{ backgroundColor: '#f8f9fa', position: 'sticky', top: 0 }}>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>版本</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>状态</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>训练时间</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>训练窗口</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>模型与特征</th>
+                        <th style={tableCellStyle}>留出 MAE</th>
+                        <th style={tableCellStyle}>留出 RMSE</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'center' }}>操作</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {modelRegistry.models.map(model => (
+                        <tr key={model.version} style={{ backgroundColor: model.status === 'active' ? '#e8f8f5' : 'transparent' }}>
+                          <td style={{ ...tableCellStyle, textAlign: 'left' }}><b>{model.version}</b></td>
+                          <td style={{ ...tableCellStyle, textAlign: 'left' }}>{MODEL_STATUS_LABELS[model.status]}</td>
+                          <td style={{ ...tableCellStyle, textAlign: 'left', fontSize: '12px' }}>
+                            {new Date(model.created_at).toLocaleString('zh-CN')}
+                            <div style={{ color: '#7f8c8d' }}>{MODEL_TRIGGER_LABELS[model.trigger] || model.trigger}</div>
+                          </td>
+                          <td style={{ ...tableCellStyle, textAlign: 'left', fontSize: '12px' }}>
+                            {formatTimeLabel(model.training_window.start)} ~ {formatTimeLabel(model.training_window.end)}
+                            <div style={{ color: '#7f8c8d' }}>{model.training_window.points} 点</div>
+                          </td>
+                          <td style={{ ...tableCellStyle, textAlign: 'left', fontSize: '12px', color: '#7f8c8d' }}>
+                            {model.models.join(', ')}
+                            <div>特征: 价格{model.features.map(name => ` + ${name}`).join('')}</div>
+                          </td>
+                          <td style={tableCellStyle}>{formatNumber(model.backtest.metrics.mae)}</td>
+                          <td style={tableCellStyle}>{formatNumber(model.backtest.metrics.rmse)}</td>
+                          <td style={{ ...tableCellStyle, textAlign: 'center' }}>
+                            {model.status !== 'active' && (
+                              <button
+                                onClick={() => promoteModelVersion(model.version)}
+                                disabled={loading}
+                                style={{ padding: '3px 10px', fontSize: '12px', border: '1px solid #bdc3c7', borderRadius: '4px', cursor: 'pointer' }}
+                              >
+                                ✅ 启用
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'runs' && runHistory?.runs && (
+            <div style={panelStyle}>
+              <h3 style={{ margin: '0 0 15px 0', color: '#2c3e50' }}>🗂️ 运行记录</h3>
+              <div style={{ fontSize: '12px', color: '#7f8c8d', marginBottom: '10px' }}>
+                共 {runHistory.total} 次运行{runHistory.total > runHistory.runs.length ? `，显示最新 ${runHistory.runs.length} 次` : ''}。
+                勾选两次运行后对比 (先选的为 A)，载入可将结果恢复到预测/优化面板。
+              </div>
+              {runHistory.runs.length === 0 ? (
+                <div style={{ fontSize: '14px', color: '#7f8c8d' }}>暂无运行记录，运行预测或投标优化后会自动保存。</div>
+              ) : (
+                <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                    <thead>
+                      <tr style={{ backgroundColor: '#f8f9fa', position: 'sticky', top: 0 }}>
+                        <th style={{ ...tableCellStyle, textAlign: 'center' }}>对比</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>运行时间</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>类型</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>预测时段</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'left' }}>设置</th>
+                        <th style={tableCellStyle}>关键指标</th>
+                        <th style={{ ...tableCellStyle, textAlign: 'center' }}>操作</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {runHistory.runs.map(run => {
+                        const selectedIndex = selectedRunIds.indexOf(run.id);
+                        return (
+                          <tr key={run.id} style={{ backgroundColor: selectedIndex >= 0 ? '#f4ecf7' : 'transparent' }}>
+                            <td style={{ ...tableCellStyle, textAlign: 'center' }}>
+                              <label style={{ cursor: 'pointer' }}>
+                                <input type="checkbox" checked={selectedIndex >= 0} onChange={() => toggleRunSelection(run.id)} />
+                                {selectedIndex >= 0 && <b style={{ marginLeft: '4px', color: '#8e44ad' }}>{selectedIndex === 0 ? 'A' : 'B'}</b>}
+                              </label>
+                            </td>
+                            <td style={{ ...tableCellStyle, textAlign: 'left' }}>{new Date(run.created_at).toLocaleString('zh-CN')}</td>
+                            <td style={{ ...tableCellStyle, textAlign: 'left' }}>{RUN_TYPE_LABELS[run.type]}</td>
+                            <td style={{ ...tableCellStyle, textAlign: 'left' }}>
+                              {run.start ? `${formatTimeLabel(run.start)} 起 ${run.points} 点` : '-'}
+                            </td>
+                            <td style={{ ...tableCellStyle, textAlign: 'left', fontSize: '12px', color: '#7f8c8d' }}>
+                              {run.type === 'optimization'
+                                ? `${run.mode === 'storage' ? '储能套利' : (run.units > 1 ? `${run.units} 台机组` : '单机组')} · λ=${run.risk_aversion ?? 0}${run.dual_market ? ' · 双市场' : ''}`
+                                : `${run.model_version ? `模型 ${run.model_version}` : `${(run.models || []).length} 个模型`}${run.dual_market ? ' · 双市场' : ''}${run.load_features ? ' · 负荷特征' : ''}`}
+                            </td>
+                            <td style={tableCellStyle}>
+                              {run.type === 'optimization'
+                                ? `期望收益 ${formatNumber(run.metrics.expected_profit, 0)} 元`
+                                : `MAE ${formatNumber(run.metrics.mae)} (${formatRunMetric('accuracy_source', run.metrics.accuracy_source)})`}
+                            </td>
+                            <td style={{ ...tableCellStyle, textAlign: 'center' }}>
+                              <button
+                                onClick={() => reloadRun(run.id)}
+                                disabled={loading}
+                                style={{ padding: '3px 10px', fontSize: '12px', border: '1px solid #bdc3c7', borderRadius: '4px', cursor: 'pointer' }}
+                              >
+                                📂 载入
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* 运行对比面板：B 相对 A 的差异 */}
+          {activeTab === 'runs' && runComparison && (
+            <div style={panelStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <h3 style={{ margin: 0, color: '#2c3e50' }}>🔀 运行对比</h3>
+                <button
+                  onClick={() => setRunComparison(null)}
+                  style={{ padding: '5px 12px', fontSize: '12px', border: '1px solid #bdc3c7', borderRadius: '4px', cursor: 'pointer' }}
+                >
+                  ✖ 关闭
+                </button>
+              </div>
+              <div style={{ fontSize: '13px', marginBottom: '15px' }}>
+                {['a', 'b'].map(side => (
+                  <div key={side} style={{ marginBottom: '4px' }}>
+                    <b style={{ color: side === 'a' ? '#2980b9' : '#e67e22' }}>{side.toUpperCase()}</b>
+                    {' '}{RUN_TYPE_LABELS[runComparison[side].type]} · {new Date(runComparison[side].created_at).toLocaleString('zh-CN')}
+                    {runComparison[side].start ? ` · ${formatTimeLabel(runComparison[side].start)} 起 ${runComparison[side].points} 点` : ''}
+                  </div>
+                ))}
+              </div>
+
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '20px' }}>
+                <thead>
+                  <tr style={{ backgroundColor: '#f8f9fa' }}>
+                    <th style={{ ...tableCellStyle, textAlign: 'left' }}>指标</th>
+                    <th style={tableCellStyle}>A</th>
+                    <th style={tableCellStyle}>B</th>
+                    <th style={tableCellStyle}>B - A</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runComparison.metrics.map(metric => (
+                    <tr key={metric.name}>
+                      <td style={{ ...tableCellStyle, textAlign: 'left' }}>{RUN_METRIC_LABELS[metric.name] || metric.name}</td>
+                      <td style={tableCellStyle}>{formatRunMetric(metric.name, metric.a)}</td>
+                      <td style={tableCellStyle}>{formatRunMetric(metric.name, metric.b)}</td>
+                      <td style={tableCellStyle}>{metric.name === 'accuracy_source' ? '' : formatRunMetric(metric.name, metric.diff)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {runComparison.forecast.comparable ? (
+                <div style={{ marginBottom: '20px' }}>
+                  <h4 style={{ margin: '0 0 10px 0', color: '#2c3e50' }}>
+                    预测曲线 ({runComparison.forecast.alignment === 'timestamp' ? '按同一时刻对齐' : '按预测起点后的时段对齐，横轴为 A 的时刻'})
+                  </h4>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+                    <StatCard label={`平均差 B - A (${runComparison.forecast.unit})`} value={formatNumber(runComparison.forecast.stats.mean_diff)} />
+                    <StatCard label={`平均绝对差 (${runComparison.forecast.unit})`} value={formatNumber(runComparison.forecast.stats.mean_abs_diff)} />
+                    <StatCard
+                      label={`最大绝对差${runComparison.forecast.stats.max_abs_diff_at ? ` (${formatTimeLabel(runComparison.forecast.stats.max_abs_diff_at)})` : ''}`}
+                      value={formatNumber(runComparison.forecast.stats.max_abs_diff)}
+                    />
+                    <StatCard
+                      label="按当前实际数据的 MAE (A / B)"
+                      value={`${formatNumber(runComparison.forecast.accuracy.a?.mae)} / ${formatNumber(runComparison.forecast.accuracy.b?.mae)}`}
+                      color="#9b59b6"
+                    />
+                  </div>
+                  <TimeSeriesChart
+                    labels={runComparison.forecast.points.map(point => formatTimeLabel(point.a_timestamp || point.b_timestamp))}
+                    series={[
+                      { label: '差值 B - A (右轴)', color: '#95a5a6', type: 'bar', axis: 'right', values: runComparison.forecast.points.map(point => point.diff) },
+                      { label: 'A', color: '#2980b9', width: 2, values: runComparison.forecast.points.map(point => point.a) },
+                      { label: 'B', color: '#e67e22', width: 2, dashed: true, values: runComparison.forecast.points.map(point => point.b) }
+                    ]}
+                    leftLabel={runComparison.forecast.unit}
+                    rightLabel={`差值 ${runComparison.forecast.unit}`}
+                    height={260}
+                  />
+                </div>
+              ) : (
+                <div style={{ fontSize: '13px', color: '#7f8c8d', marginBottom: '20px' }}>💡 {runComparison.forecast.reason}</div>
+              )}
+
+              {runComparison.schedule && (runComparison.schedule.comparable ? (
+                <div style={{ marginBottom: '20px' }}>
+                  <h4 style={{ margin: '0 0 10px 0', color: '#2c3e50' }}>
+                    {runComparison.schedule.mode === 'storage' ? '充放电计划' : '投标计划'}
+                  </h4>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+                    <StatCard label="计划有变化的时段" value={`${runComparison.schedule.changed_intervals} / ${runComparison.schedule.points.length}`} />
+                    <StatCard
+                      label={`${runComparison.schedule.mode === 'storage' ? '净放电量' : '计划电量'} A / B (MWh)`}
+                      value={`${formatNumber(runComparison.schedule.totals.energy_mwh.a, 1)} / ${formatNumber(runComparison.schedule.totals.energy_mwh.b, 1)}`}
+                    />
+                    <StatCard
+                      label="期望收益 A / B (元)"
+                      value={`${formatNumber(runComparison.schedule.totals.expected_profit.a, 0)} / ${formatNumber(runComparison.schedule.totals.expected_profit.b, 0)}`}
+                      color="#27ae60"
+                    />
+                  </div>
+                  <TimeSeriesChart
+                    labels={runComparison.schedule.points.map(point => formatTimeLabel(point.a_timestamp || point.b_timestamp))}
+                    series={[
+                      {
+                        label: `${runComparison.schedule.mode === 'storage' ? '充放电功率' : '投标容量'} A (MW)`,
+                        color: '#2980b9',
+                        width: 2,
+                        values: runComparison.schedule.points.map(point => point.a && point.a[runComparison.schedule.fields[0]])
+                      },
+                      {
+                        label: `${runComparison.schedule.mode === 'storage' ? '充放电功率' : '投标容量'} B (MW)`,
+                        color: '#e67e22',
+                        width: 2,
+                        dashed: true,
+                        values: runComparison.schedule.points.map(point => point.b && point.b[runComparison.schedule.fields[0]])
+                      }
+                    ]}
+                    leftLabel="MW"
+                    height={220}
+                  />
+                </div>
+              ) : (
+                <div style={{ fontSize: '13px', color: '#7f8c8d', marginBottom: '20px' }}>💡 {runComparison.schedule.reason}</div>
+              ))}
+
+              <h4 style={{ margin: '0 0 10px 0', color: '#2c3e50' }}>配置差异</h4>
+              {runComparison.config_diff.length === 0 ? (
+                <div style={{ fontSize: '13px', color: '#7f8c8d' }}>两次运行的配置相同</div>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                  <thead>
+                    <tr style={{ backgroundColor: '#f8f9fa' }}>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>配置项</th>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>A</th>
+                      <th style={{ ...tableCellStyle, textAlign: 'left' }}>B</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {runComparison.config_diff.map(item => (
+                      <tr key={item.path}>
+                        <td style={{ ...tableCellStyle, textAlign: 'left', fontFamily: 'monospace' }}>{item.path}</td>
+                        <td style={{ ...tableCellStyle, textAlign: 'left' }}>{formatConfigValue(item.a)}</td>
+                        <td style={{ ...tableCellStyle, textAlign: 'left' }}>{formatConfigValue(item.b)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </>
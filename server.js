@@ -1,376 +1,83 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
-const fs = require('fs');
-const XLSX = require('xlsx');
-const math = require('mathjs');
+
+// 业务服务以工作目录定位原始数据与本地存储，直接运行 node server.js 时以本文件所在目录为准
+process.env.APP_ROOT = process.env.APP_ROOT || __dirname;
+
+const service = require('./lib/service');
+const { receiveFiles, handleRequest, sendOfferFile, sendJobEvents } = require('./lib/http');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // 中间件
 app.use(cors());
-app.use(express.json());
+// 双市场预测结果 (含实时电价、价差和残差路径) 会随优化请求回传，超过默认的 100kb
+app.use(express.json({ limit: '5mb' }));
 app.use(express.static('public'));
 
-// 数据存储
-let powerMarketData = [];
-let isDataLoaded = false;
+// API路由：与 pages/api/* 下的 Next.js API 路由一一对应，处理逻辑在 lib/service.js
 
-// 加载Excel数据
-function loadExcelData() {
-  try {
-    console.log('🔍 开始加载2025年真实电力市场数据...');
-    
-    // 加载5月数据
-    const mayFile = path.join(__dirname, 'data', 'rawdata_0501.xlsx');
-    const juneFile = path.join(__dirname, 'data', 'rawdata_0601.xlsx');
-    
-    let allData = [];
-    
-    if (fs.existsSync(mayFile)) {
-      const mayWorkbook = XLSX.readFile(mayFile);
-      const maySheet = mayWorkbook.Sheets[mayWorkbook.SheetNames[0]];
-      const mayData = XLSX.utils.sheet_to_json(maySheet);
-      allData = allData.concat(mayData);
-      console.log(`✅ 5月数据加载完成: ${mayData.length} 条记录`);
-    }
-    
-    if (fs.existsSync(juneFile)) {
-      const juneWorkbook = XLSX.readFile(juneFile);
-      const juneSheet = juneWorkbook.Sheets[juneWorkbook.SheetNames[0]];
-      const juneData = XLSX.utils.sheet_to_json(juneSheet);
-      allData = allData.concat(juneData);
-      console.log(`✅ 6月数据加载完成: ${juneData.length} 条记录`);
-    }
-    
-    // 数据预处理
-    powerMarketData = allData.map(row => ({
-      timestamp: row['时间'] || row['timestamp'] || row['Time'],
-      price: parseFloat(row['电价'] || row['price'] || row['Price']) || 0,
-      load: parseFloat(row['负荷'] || row['load'] || row['Load']) || 0,
-      demand: parseFloat(row['需求'] || row['demand'] || row['Demand']) || 0,
-      supply: parseFloat(row['供应'] || row['supply'] || row['Supply']) || 0
-    })).filter(item => item.timestamp && !isNaN(item.price));
-    
-    isDataLoaded = true;
-    console.log(`🎉 数据加载完成! 总计 ${powerMarketData.length} 条2025年真实数据`);
-    
-    return true;
-  } catch (error) {
-    console.error('❌ 数据加载失败:', error);
-    return false;
-  }
-}
+// 数据库状态
+app.get('/api/database/status', handleRequest(() => service.getDatabaseStatus()));
 
-// 预测算法
-function runPredictionAlgorithm(config) {
-  try {
-    console.log('🚀 开始基于2025年真实数据的预测分析...');
-    
-    if (!isDataLoaded || powerMarketData.length === 0) {
-      throw new Error('真实数据未加载');
-    }
-    
-    const { prediction_date, prediction_hours, confidence_level } = config;
-    
-    // 使用真实数据进行预测
-    const recentData = powerMarketData.slice(-168); // 最近一周数据
-    const avgPrice = recentData.reduce((sum, item) => sum + item.price, 0) / recentData.length;
-    const priceStd = math.std(recentData.map(item => item.price));
-    
-    // 生成预测结果
-    const predictions = [];
-    const baseDate = new Date(prediction_date);
-    
-    for (let i = 0; i < prediction_hours; i++) {
-      const timestamp = new Date(baseDate.getTime() + i * 15 * 60 * 1000); // 15分钟间隔
-      
-      // 简单的时间序列预测（基于历史模式）
-      const hourOfDay = timestamp.getHours();
-      const dayOfWeek = timestamp.getDay();
-      
-      // 基于时间的价格调整因子
-      let timeFactor = 1.0;
-      if (hourOfDay >= 8 && hourOfDay <= 10) timeFactor = 1.2; // 早高峰
-      if (hourOfDay >= 18 && hourOfDay <= 20) timeFactor = 1.3; // 晚高峰
-      if (dayOfWeek === 0 || dayOfWeek === 6) timeFactor *= 0.9; // 周末
-      
-      const predictedPrice = avgPrice * timeFactor + (Math.random() - 0.5) * priceStd * 0.3;
-      const confidenceRange = priceStd * (1 - confidence_level) * 2;
-      
-      predictions.push({
-        timestamp: timestamp.toISOString(),
-        predicted_price: Math.max(0, predictedPrice),
-        confidence_lower: Math.max(0, predictedPrice - confidenceRange),
-        confidence_upper: predictedPrice + confidenceRange,
-        confidence_level: confidence_level
-      });
-    }
-    
-    // 计算预测统计信息
-    const avgPredictedPrice = predictions.reduce((sum, p) => sum + p.predicted_price, 0) / predictions.length;
-    
-    console.log(`✅ 预测完成: ${predictions.length} 个数据点，平均预测电价: ${avgPredictedPrice.toFixed(2)} 元/MWh`);
-    
-    return {
-      success: true,
-      predictions: predictions,
-      statistics: {
-        average_price: avgPredictedPrice,
-        total_points: predictions.length,
-        confidence_level: confidence_level,
-        based_on_real_data: true,
-        real_data_points: powerMarketData.length
-      },
-      accuracy: 0.85 + Math.random() * 0.1, // 模拟准确度
-      model_info: {
-        algorithm: '基于2025年真实数据的集成预测模型',
-        training_data: `${powerMarketData.length} 个真实数据点`,
-        features: ['历史电价', '负荷模式', '时间特征', '季节性因子']
-      }
-    };
-    
-  } catch (error) {
-    console.error('❌ 预测分析失败:', error);
-    throw error;
-  }
-}
+// 历史数据
+app.get('/api/historical-prices', handleRequest(req => service.getHistoricalPrices(req.query)));
 
-// 投标优化算法
-function runOptimizationAlgorithm(predictions, config) {
-  try {
-    console.log('🎯 开始基于真实数据的投标优化...');
-    
-    const { cost_params } = config;
-    const { generationCost, upwardCost, downwardCost } = cost_params;
-    
-    // 神经动力学优化算法
-    let totalProfit = 0;
-    const biddingSchedule = [];
-    
-    predictions.forEach((pred, index) => {
-      const predictedPrice = pred.predicted_price;
-      
-      // 基于预测价格和成本的投标策略
-      let bidPrice = predictedPrice;
-      let bidCapacity = 100; // 基础容量 MW
-      
-      // 策略调整
-      if (predictedPrice > generationCost * 1.5) {
-        // 高价时段，增加投标容量
-        bidCapacity = 150;
-        bidPrice = predictedPrice * 0.95; // 略低于预测价格以提高中标概率
-      } else if (predictedPrice < generationCost * 1.2) {
-        // 低价时段，减少投标容量
-        bidCapacity = 50;
-        bidPrice = Math.max(generationCost * 1.1, predictedPrice * 0.9);
-      }
-      
-      // 计算预期收益
-      const expectedProfit = (bidPrice - generationCost) * bidCapacity;
-      totalProfit += expectedProfit;
-      
-      biddingSchedule.push({
-        time_period: pred.timestamp,
-        bid_price: bidPrice,
-        bid_capacity: bidCapacity,
-        expected_profit: expectedProfit,
-        predicted_price: predictedPrice
-      });
-    });
-    
-    // 风险评估
-    const avgBidPrice = biddingSchedule.reduce((sum, b) => sum + b.bid_price, 0) / biddingSchedule.length;
-    const avgPredictedPrice = predictions.reduce((sum, p) => sum + p.predicted_price, 0) / predictions.length;
-    
-    let riskLevel = 'LOW';
-    if (avgBidPrice > avgPredictedPrice * 1.1) riskLevel = 'HIGH';
-    else if (avgBidPrice > avgPredictedPrice * 1.05) riskLevel = 'MEDIUM';
-    
-    console.log(`✅ 投标优化完成: 预期总收益 ${totalProfit.toFixed(0)} 元`);
-    
-    return {
-      success: true,
-      expected_profit: totalProfit,
-      optimal_capacity: biddingSchedule.reduce((sum, b) => sum + b.bid_capacity, 0) / biddingSchedule.length,
-      strategy: totalProfit > 0 ? 'AGGRESSIVE' : 'CONSERVATIVE',
-      risk_level: riskLevel,
-      bidding_schedule: biddingSchedule,
-      optimization_info: {
-        algorithm: '神经动力学优化',
-        based_on_real_data: true,
-        cost_parameters: cost_params
-      }
-    };
-    
-  } catch (error) {
-    console.error('❌ 投标优化失败:', error);
-    throw error;
-  }
-}
+// 预测分析
+app.post('/api/predict', handleRequest(req => service.predict(req.body.config)));
 
-// API路由
+// 负荷与净需求预测
+app.post('/api/predict/load', handleRequest(req => service.predictLoad(req.body.config)));
 
-// 数据库状态
-app.get('/api/database/status', (req, res) => {
-  try {
-    if (!isDataLoaded) {
-      loadExcelData();
-    }
-    
-    // 计算月度分布
-    const monthlyDistribution = {};
-    powerMarketData.forEach(item => {
-      const date = new Date(item.timestamp);
-      const monthKey = `2025-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      monthlyDistribution[monthKey] = (monthlyDistribution[monthKey] || 0) + 1;
-    });
-    
-    const timeRange = powerMarketData.length > 0 ? {
-      start: powerMarketData[0].timestamp,
-      end: powerMarketData[powerMarketData.length - 1].timestamp
-    } : null;
-    
-    res.json({
-      success: true,
-      database: {
-        status: 'connected',
-        realDataRecords: powerMarketData.length,
-        dataFrequency: '15分钟',
-        dataSource: '2025年真实电力市场数据',
-        monthlyDistribution: monthlyDistribution,
-        timeRange: timeRange
-      },
-      validation: {
-        can_validate_accuracy: true,
-        real_data_available: true
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// 外部特征库状态：节假日日历、气象数据范围及对市场数据的覆盖率
+app.get('/api/features', handleRequest(() => service.getFeatures()));
 
-// 历史数据
-app.get('/api/historical-prices', (req, res) => {
-  try {
-    if (!isDataLoaded) {
-      loadExcelData();
-    }
-    
-    const { timeRange = '1d', includePredictions = 'false' } = req.query;
-    
-    let filteredData = [...powerMarketData];
-    
-    // 根据时间范围过滤
-    if (timeRange !== 'all') {
-      const now = new Date();
-      let startTime;
-      
-      switch (timeRange) {
-        case '1d':
-          startTime = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-          break;
-        case '7d':
-          startTime = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case '30d':
-          startTime = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          startTime = new Date(0);
-      }
-      
-      filteredData = filteredData.filter(item => new Date(item.timestamp) >= startTime);
-    }
-    
-    // 限制返回数据量
-    if (filteredData.length > 1000) {
-      filteredData = filteredData.slice(-1000);
-    }
-    
-    // 计算统计信息
-    const prices = filteredData.map(item => item.price);
-    const statistics = {
-      average_price: prices.reduce((sum, p) => sum + p, 0) / prices.length,
-      max_price: Math.max(...prices),
-      min_price: Math.min(...prices),
-      total_records: filteredData.length
-    };
-    
-    res.json({
-      success: true,
-      data: filteredData,
-      statistics: statistics,
-      timeRange: timeRange,
-      includePredictions: includePredictions === 'true'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// 重新读取特征目录 (更新气象文件或节假日日历后调用)
+app.post('/api/features/reload', handleRequest(() => service.reloadFeatures()));
 
-// 预测分析
-app.post('/api/predict', (req, res) => {
-  try {
-    const { config } = req.body;
-    
-    if (!config) {
-      return res.status(400).json({
-        success: false,
-        error: '缺少预测配置参数'
-      });
-    }
-    
-    const result = runPredictionAlgorithm(config);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// 滚动回测
+app.post('/api/backtest', handleRequest(req => service.backtest(req.body.config)));
+
+// 历史投标策略回放
+app.post('/api/simulate', handleRequest(req => service.simulate(req.body.config)));
 
 // 投标优化
-app.post('/api/optimize', (req, res) => {
-  try {
-    const { predictions, config } = req.body;
-    
-    if (!predictions || !config) {
-      return res.status(400).json({
-        success: false,
-        error: '缺少预测数据或优化配置参数'
-      });
-    }
-    
-    const result = runOptimizationAlgorithm(predictions, config);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+app.post('/api/optimize', handleRequest(req => service.optimize(req.body.predictions, req.body.config)));
+
+// 导出优化结果的分段报价申报文件 (csv 或 json)
+app.get('/api/optimize/:runId/offer-file', handleRequest((req, res) =>
+  sendOfferFile(res, service.getOfferFile(req.params.runId, req.query.format))));
+
+// 上传月度数据文件 (xlsx/xls/csv)，按时间戳去重合并到数据集
+app.post('/api/data/upload', handleRequest(async (req, res) => {
+  await receiveFiles(req, res);
+  return service.uploadData(req.files, req.body);
+}));
+
+// 数据质量报告：按时间列出当前数据中的问题及已修复的数据点
+app.get('/api/data/quality', handleRequest(req => service.getDataQuality(req.query)));
+
+// 运行记录：列表、两次运行对比、单次运行的完整记录 (compare 须在 :id 之前注册)
+app.get('/api/runs', handleRequest(req => service.listRuns(req.query)));
+app.get('/api/runs/compare', handleRequest(req => service.compareRuns(req.query)));
+app.get('/api/runs/:id', handleRequest(req => service.getRun(req.params.id)));
+
+// 后台任务：提交后立即返回任务 ID，计算在工作线程中进行；查询状态与结果、SSE 推送进度、取消
+app.post('/api/jobs', handleRequest(req => service.submitJob(req.body)));
+app.get('/api/jobs', handleRequest(req => service.listJobs(req.query)));
+app.get('/api/jobs/:id', handleRequest(req => service.getJob(req.params.id)));
+app.get('/api/jobs/:id/events', handleRequest((req, res) => sendJobEvents(req, res, req.params.id)));
+app.post('/api/jobs/:id/cancel', handleRequest(req => service.cancelJob(req.params.id)));
+
+// 模型库：版本列表、训练新版本 (后台任务)、版本详情、启用指定版本 (train 须在 :version 之前注册)
+app.get('/api/models', handleRequest(() => service.listModels()));
+app.post('/api/models/train', handleRequest(req => service.trainModel(req.body.config)));
+app.get('/api/models/:version', handleRequest(req => service.getModel(req.params.version)));
+app.post('/api/models/:version/promote', handleRequest(req => service.promoteModel(req.params.version)));
 
 // 健康检查
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    dataLoaded: isDataLoaded,
-    dataRecords: powerMarketData.length
-  });
-});
+app.get('/api/health', handleRequest(() => service.getHealth()));
 
 // 启动服务器
 app.listen(PORT, () => {
@@ -378,8 +85,8 @@ app.listen(PORT, () => {
   console.log(`📡 服务器地址: http://localhost:${PORT}`);
   console.log(`🔍 API文档: http://localhost:${PORT}/api/health`);
   
-  // 启动时加载数据
-  loadExcelData();
+  // 启动时打开本地存储
+  service.initializeStorage();
 });
 
 module.exports = app;